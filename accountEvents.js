@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Record of account lifecycle events (logouts, deauthorizations), newest first
+// Kept in a storage backend next to the tokens so it outlives the accounts it describes.
+//
+// Event types: logout (disconnected through this server), deauthorized (the user removed
+// the app on TikTok's side)
+class AccountEventLog {
+  constructor(store, { maxEvents = 1000 } = {}) {
+    this.store = store;
+    this.maxEvents = maxEvents;
+  }
+
+  async record(openId, type, details = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      open_id: openId,
+      type,
+      ...details,
+      at: Date.now()
+    };
+    await this.store.set(event.id, event);
+    logger.info('Account event recorded', { open_id: openId, type });
+
+    // Drop the oldest events beyond maxEvents
+    const events = await this.store.list();
+    if (events.length > this.maxEvents) {
+      events.sort((a, b) => a.at - b.at);
+      for (const old of events.slice(0, events.length - this.maxEvents)) {
+        await this.store.delete(old.id);
+      }
+    }
+    return event;
+  }
+
+  async list({ openId, type, limit = 100 } = {}) {
+    const events = await this.store.list();
+    return events
+      .filter((event) => (!openId || event.open_id === openId) && (!type || event.type === type))
+      .sort((a, b) => b.at - a.at)
+      .slice(0, limit);
+  }
+}
+
+module.exports = AccountEventLog;
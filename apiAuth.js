@@ -0,0 +1,193 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Roles for callers of this server's own endpoints, each including the ones before it:
+//   read    - accounts, analytics, video metrics, job/post status
+//   publish - posting, uploads, scheduling
+//   admin   - connecting and removing accounts, account events, shutdown
+const ROLES = ['read', 'publish', 'admin'];
+
+// Leeway for exp/nbf checks between clocks
+const CLOCK_SKEW_SECONDS = 60;
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// API keys are random, so a plain SHA-256 is enough to keep them out of the config
+function hashApiKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+function generateApiKey() {
+  return `tok_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Validate a configured principal: { name, role, accounts? } (accounts: open_ids or labels; none means all)
+function checkPrincipal(entry, source) {
+  if (!ROLES.includes(entry.role)) {
+    throw new Error(`${source}: role must be one of ${ROLES.join(', ')}`);
+  }
+  if (entry.accounts !== undefined && entry.accounts !== null
+    && (!Array.isArray(entry.accounts) || entry.accounts.some((account) => typeof account !== 'string'))) {
+    throw new Error(`${source}: accounts must be a list of open_ids or labels`);
+  }
+}
+
+// Read the API key file: [{ "name": "n8n", "hash": "sha256:...", "role": "publish", "accounts": ["brand-main"] }]
+function loadApiKeys(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+  const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(keys)) {
+    throw new Error(`${filePath} must contain a list of API keys`);
+  }
+  keys.forEach((key, index) => {
+    if (typeof key.hash !== 'string' || !/^sha256:[0-9a-f]{64}$/.test(key.hash)) {
+      throw new Error(`${filePath}: key ${index} needs a "hash" of the form sha256:<hex>`);
+    }
+    checkPrincipal(key, `${filePath}: key ${key.name || index}`);
+  });
+  return keys;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64').toString('utf8'));
+  } catch (err) {
+    throw authError(401, 'Malformed token');
+  }
+}
+
+// Verify a compact JWT signed with HS256 (secret) or RS256 (publicKey) and return its claims
+// The algorithm has to match the configured key, so an RS256 public key can't be used as an HMAC secret.
+function verifyJwt(token, { secret, publicKey, issuer, audience, now = Date.now() }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError(401, 'Malformed token');
+  }
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeSegment(headerPart);
+  const signingInput = `${headerPart}.${payloadPart}`;
+  const signature = Buffer.from(signaturePart, 'base64');
+
+  let valid = false;
+  if (header.alg === 'HS256' && secret) {
+    const expected = crypto.createHmac('sha256', secret).update(signingInput).digest();
+    valid = signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  } else if (header.alg === 'RS256' && publicKey) {
+    valid = crypto.createVerify('RSA-SHA256').update(signingInput).verify(publicKey, signature);
+  } else {
+    throw authError(401, `Unsupported token algorithm: ${header.alg}`);
+  }
+  if (!valid) {
+    throw authError(401, 'Invalid token signature');
+  }
+
+  const claims = decodeSegment(payloadPart);
+  // A time claim that isn't a number would compare false below, i.e. never expire
+  for (const claim of ['exp', 'nbf', 'iat']) {
+    if (claims[claim] !== undefined && !Number.isFinite(claims[claim])) {
+      throw authError(401, `Token claim ${claim} must be a number of seconds`);
+    }
+  }
+  const seconds = Math.floor(now / 1000);
+  if (claims.exp !== undefined && seconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw authError(401, 'Token expired');
+  }
+  if (claims.nbf !== undefined && seconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw authError(401, 'Token not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw authError(401, 'Token issuer not accepted');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw authError(401, 'Token audience not accepted');
+  }
+  return claims;
+}
+
+// Authenticates callers of this server by API key (X-API-Key or Authorization: Bearer) or JWT (Authorization: Bearer)
+// With neither configured every request is refused, unless authentication is explicitly disabled
+// (API_AUTH_DISABLED=true, for local development): then requests from this machine are let in as
+// admin. Never disable it behind a reverse proxy on the same host, whose requests all come from here.
+class ApiAuthenticator {
+  constructor({ apiKeys = [], jwtSecret, jwtPublicKey, jwtIssuer, jwtAudience, disabled = false } = {}) {
+    this.apiKeys = new Map(apiKeys.map((key) => [key.hash, key]));
+    this.jwt = { secret: jwtSecret, publicKey: jwtPublicKey, issuer: jwtIssuer, audience: jwtAudience };
+    this.enabled = this.apiKeys.size > 0 || Boolean(jwtSecret || jwtPublicKey);
+    // Configured credentials always win over the opt-out
+    this.disabled = !this.enabled && disabled;
+  }
+
+  // API_KEYS_FILE (default ./api-keys.json), JWT_SECRET, JWT_PUBLIC_KEY or JWT_PUBLIC_KEY_FILE, JWT_ISSUER, JWT_AUDIENCE,
+  // API_AUTH_DISABLED
+  static fromEnv(env = process.env) {
+    const publicKey = env.JWT_PUBLIC_KEY_FILE
+      ? fs.readFileSync(env.JWT_PUBLIC_KEY_FILE, 'utf8')
+      : (env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n');
+    return new ApiAuthenticator({
+      apiKeys: loadApiKeys(env.API_KEYS_FILE || './api-keys.json'),
+      jwtSecret: env.JWT_SECRET,
+      jwtPublicKey: publicKey || undefined,
+      jwtIssuer: env.JWT_ISSUER,
+      jwtAudience: env.JWT_AUDIENCE,
+      disabled: String(env.API_AUTH_DISABLED || '').trim().toLowerCase() === 'true'
+    });
+  }
+
+  // The caller of a request as { name, role, accounts, via }; throws a 401 error without valid credentials
+  authenticate(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const credential = req.get('X-API-Key') || (bearer && bearer[1]);
+
+    if (this.disabled) {
+      if (isLoopback(req.socket.remoteAddress)) {
+        return { name: 'local', role: 'admin', accounts: null, via: 'local' };
+      }
+      throw authError(401, 'API authentication is disabled, so only requests from this machine are accepted');
+    }
+    if (!this.enabled) {
+      throw authError(401, 'No API keys or JWT configured: create a key with npm run create-api-key (or set API_AUTH_DISABLED=true for local development)');
+    }
+    if (!credential) {
+      throw authError(401, 'Authentication required: send an API key (X-API-Key) or a token (Authorization: Bearer)');
+    }
+
+    const key = this.apiKeys.get(hashApiKey(credential));
+    if (key) {
+      return { name: key.name || 'api-key', role: key.role, accounts: key.accounts || null, via: 'api_key' };
+    }
+    if (credential.split('.').length !== 3 || !(this.jwt.secret || this.jwt.publicKey)) {
+      throw authError(401, 'Invalid API key');
+    }
+
+    const claims = verifyJwt(credential, this.jwt);
+    const principal = { name: claims.sub || 'jwt', role: claims.role, accounts: claims.accounts || null, via: 'jwt' };
+    try {
+      checkPrincipal(principal, 'Token');
+    } catch (err) {
+      throw authError(401, err.message);
+    }
+    return principal;
+  }
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// Whether a role includes another (admin > publish > read)
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = ApiAuthenticator;
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.hashApiKey = hashApiKey;
+module.exports.generateApiKey = generateApiKey;
+module.exports.verifyJwt = verifyJwt;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { parseScopes, requestedScopes } = require('./scopes');
+
+// Server configuration, read once from the environment and validated against SCHEMA
+// Every problem is collected (settings with one fall back to their default), so startup can
+// report them all at once instead of failing on the first TikTok call.
+// Encryption, storage, API authentication and logging are configured by their own modules
+// (TokenCipher.fromEnv, createStorageBackend, ApiAuthenticator.fromEnv, Logger.fromEnv).
+
+// .env.<NODE_ENV> (e.g. .env.production, .env.sandbox), then .env; real environment variables
+// win over both, and the first file to set a variable wins over the next
+function loadEnvFiles(dir = process.cwd(), env = process.env) {
+  const files = [env.NODE_ENV && `.env.${env.NODE_ENV}`, '.env'].filter(Boolean);
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    if (fs.existsSync(filePath)) {
+      dotenv.config({ path: filePath, processEnv: env });
+    }
+  }
+}
+
+// type: string | integer | number | url | enum | scopes; unset (or empty) settings take the default
+const SCHEMA = {
+  PORT: { type: 'integer', min: 1, max: 65535, default: 7777 },
+  PUBLIC_BASE_URL: { type: 'url' },
+  TIKTOK_APPS: { type: 'string' },
+  TIKTOK_DEFAULT_APP: { type: 'string' },
+  TOKEN_RENEW_BEFORE_MINUTES: { type: 'number', min: 1, default: 30 },
+  TOKEN_RENEW_INTERVAL_MINUTES: { type: 'number', min: 1, default: 5 },
+  PUBLISH_CONCURRENCY: { type: 'integer', min: 1, default: 1 },
+  PUBLISH_POLL_INTERVAL_SECONDS: { type: 'number', min: 1, default: 5 },
+  PUBLISH_WEBHOOK_URL: { type: 'url' },
+  PUBLISH_WEBHOOK_SECRET: { type: 'string' },
+  SCHEDULE_CATCH_UP: { type: 'enum', values: ['publish', 'skip'], default: 'publish' },
+  SCHEDULE_CATCH_UP_MAX_HOURS: { type: 'number', min: 1, default: 24 },
+  SCHEDULE_CHECK_INTERVAL_SECONDS: { type: 'number', min: 1, default: 30 },
+  TIKTOK_WEBHOOK_SUBSCRIBERS: { type: 'string' },
+  TIKTOK_WEBHOOK_TOLERANCE_SECONDS: { type: 'number', min: 0 },
+  WAREHOUSE_PATH: { type: 'string', default: './analytics.sqlite' },
+  WAREHOUSE_BACKFILL_DAYS: { type: 'integer', min: 1, default: 30 },
+  WAREHOUSE_SYNC_INTERVAL_MINUTES: { type: 'number', min: 0, default: 360 },
+  VIDEO_METRICS_MAX_VIDEOS: { type: 'integer', min: 1, default: 100 },
+  VIDEO_METRICS_INTERVAL_MINUTES: { type: 'number', min: 0, default: 60 },
+  UPLOAD_TMP_DIR: { type: 'string' },
+  MAX_UPLOAD_BYTES: { type: 'integer', min: 1, default: 4 * 1024 * 1024 * 1024 },
+  SHUTDOWN_TIMEOUT_SECONDS: { type: 'number', min: 0, default: 30 }
+};
+
+// Settings of one TikTok app, read as TIKTOK_<suffix> for the default app and
+// TIKTOK_<APP>_<suffix> for the apps named in TIKTOK_APPS
+const APP_SCHEMA = {
+  CLIENT_KEY: { type: 'string', required: true },
+  CLIENT_SECRET: { type: 'string', required: true },
+  REDIRECT_URI: { type: 'url' },
+  SCOPES: { type: 'scopes' },
+  API_BASE_URL: { type: 'url', default: 'https://open.tiktokapis.com' },
+  AUTH_BASE_URL: { type: 'url', default: 'https://www.tiktok.com' }
+};
+
+// App settings a named app takes from the unprefixed variable when its own isn't set
+const SHARED_APP_SETTINGS = ['REDIRECT_URI', 'SCOPES', 'API_BASE_URL', 'AUTH_BASE_URL'];
+
+// Accounts connected before apps were recorded belong to the app set up by the unprefixed variables
+const DEFAULT_APP = 'default';
+const APP_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function readSetting(env, name, spec, problems) {
+  const raw = env[name] === undefined ? '' : String(env[name]).trim();
+  if (raw === '') {
+    if (spec.required) {
+      problems.push(`${name} is not set`);
+    }
+    return spec.default === undefined ? null : spec.default;
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!valid || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        const range = [spec.min !== undefined && `at least ${spec.min}`, spec.max !== undefined && `at most ${spec.max}`].filter(Boolean).join(' and ');
+        problems.push(`${name} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}${range ? ` ${range}` : ''} (got "${raw}")`);
+        return spec.default === undefined ? null : spec.default;
+      }
+      return value;
+    }
+    case 'url':
+      if (!/^https?:\/\/[^\s/]+/i.test(raw)) {
+        problems.push(`${name} must be an http(s) URL (got "${raw}")`);
+        return spec.default === undefined ? null : spec.default;
+      }
+      return raw.replace(/\/+$/, '');
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        problems.push(`${name} must be one of: ${spec.values.join(', ')} (got "${raw}")`);
+        return spec.default;
+      }
+      return raw;
+    case 'scopes':
+      try {
+        return requestedScopes(parseScopes(raw));
+      } catch (err) {
+        problems.push(`${name}: ${err.message}`);
+        return null;
+      }
+    default:
+      return raw;
+  }
+}
+
+function readApp(env, name, prefix, shared, baseUrl, problems) {
+  const values = {};
+  for (const [suffix, spec] of Object.entries(APP_SCHEMA)) {
+    const envName = `${prefix}${suffix}`;
+    const unset = env[envName] === undefined || String(env[envName]).trim() === '';
+    values[suffix] = suffix in shared && (unset || envName === `TIKTOK_${suffix}`)
+      ? shared[suffix]
+      : readSetting(env, envName, spec, problems);
+  }
+  return {
+    name,
+    clientKey: values.CLIENT_KEY,
+    clientSecret: values.CLIENT_SECRET,
+    redirectUri: values.REDIRECT_URI || `${baseUrl}/auth/callback`,
+    // Scopes /auth/login asks for when none are given (null: the built-in default)
+    scopes: values.SCOPES,
+    apiBaseUrl: values.API_BASE_URL,
+    authBaseUrl: values.AUTH_BASE_URL
+  };
+}
+
+// The default app comes from TIKTOK_CLIENT_KEY/SECRET; more (e.g. a sandbox app next to the
+// production one) are listed in TIKTOK_APPS and read from TIKTOK_<APP>_CLIENT_KEY etc.
+// Unset URLs and scopes of a named app fall back to the default app's variables.
+function readApps(env, baseUrl, problems) {
+  const names = String(env.TIKTOK_APPS || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const apps = {};
+
+  const shared = {};
+  for (const suffix of SHARED_APP_SETTINGS) {
+    shared[suffix] = readSetting(env, `TIKTOK_${suffix}`, APP_SCHEMA[suffix], problems);
+  }
+
+  if (names.length === 0 || env.TIKTOK_CLIENT_KEY || env.TIKTOK_CLIENT_SECRET) {
+    apps[DEFAULT_APP] = readApp(env, DEFAULT_APP, 'TIKTOK_', shared, baseUrl, problems);
+  }
+  for (const name of names) {
+    if (!APP_NAME.test(name) || name === DEFAULT_APP) {
+      problems.push(`TIKTOK_APPS: "${name}" is not a valid app name (letters, digits, - and _, not "${DEFAULT_APP}")`);
+      continue;
+    }
+    const prefix = `TIKTOK_${name.toUpperCase().replace(/-/g, '_')}_`;
+    apps[name] = readApp(env, name, prefix, shared, baseUrl, problems);
+  }
+
+  const defaultApp = readSetting(env, 'TIKTOK_DEFAULT_APP', SCHEMA.TIKTOK_DEFAULT_APP, problems)
+    || (apps[DEFAULT_APP] ? DEFAULT_APP : names[0]);
+  if (defaultApp && !apps[defaultApp]) {
+    problems.push(`TIKTOK_DEFAULT_APP: "${defaultApp}" is not a configured app (${Object.keys(apps).join(', ')})`);
+  }
+  return { apps, defaultApp };
+}
+
+// Read and validate the configuration; problems are listed in config.problems
+function loadConfig(env = process.env) {
+  const problems = [];
+  const settings = {};
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    settings[name] = readSetting(env, name, spec, problems);
+  }
+
+  // Links in responses point at PUBLIC_BASE_URL, or this machine when it isn't set
+  const baseUrl = settings.PUBLIC_BASE_URL || `http://localhost:${settings.PORT}`;
+  const { apps, defaultApp } = readApps(env, baseUrl, problems);
+  const minutes = 60 * 1000;
+
+  return {
+    env: env.NODE_ENV || 'development',
+    port: settings.PORT,
+    baseUrl,
+    publicBaseUrl: settings.PUBLIC_BASE_URL,
+    tiktok: { apps, defaultApp },
+    tokenRenewal: {
+      renewBeforeMs: settings.TOKEN_RENEW_BEFORE_MINUTES * minutes,
+      intervalMs: settings.TOKEN_RENEW_INTERVAL_MINUTES * minutes
+    },
+    publishing: {
+      concurrency: settings.PUBLISH_CONCURRENCY,
+      pollIntervalMs: settings.PUBLISH_POLL_INTERVAL_SECONDS * 1000,
+      webhookUrl: settings.PUBLISH_WEBHOOK_URL,
+      webhookSecret: settings.PUBLISH_WEBHOOK_SECRET
+    },
+    scheduler: {
+      catchUp: settings.SCHEDULE_CATCH_UP,
+      catchUpMaxMs: settings.SCHEDULE_CATCH_UP_MAX_HOURS * 60 * minutes,
+      tickMs: settings.SCHEDULE_CHECK_INTERVAL_SECONDS * 1000
+    },
+    webhooks: {
+      subscribers: settings.TIKTOK_WEBHOOK_SUBSCRIBERS,
+      toleranceMs: settings.TIKTOK_WEBHOOK_TOLERANCE_SECONDS === null ? null : settings.TIKTOK_WEBHOOK_TOLERANCE_SECONDS * 1000
+    },
+    warehouse: {
+      path: settings.WAREHOUSE_PATH,
+      backfillDays: settings.WAREHOUSE_BACKFILL_DAYS,
+      syncIntervalMs: settings.WAREHOUSE_SYNC_INTERVAL_MINUTES * minutes
+    },
+    videoMetrics: {
+      maxVideos: settings.VIDEO_METRICS_MAX_VIDEOS,
+      intervalMs: settings.VIDEO_METRICS_INTERVAL_MINUTES * minutes
+    },
+    uploads: {
+      tmpDir: settings.UPLOAD_TMP_DIR,
+      maxBytes: settings.MAX_UPLOAD_BYTES
+    },
+    shutdownTimeoutMs: settings.SHUTDOWN_TIMEOUT_SECONDS * 1000,
+    problems
+  };
+}
+
+// The server's configuration, loaded from the .env files and the environment on first require
+loadEnvFiles();
+const config = loadConfig();
+
+module.exports = config;
+module.exports.loadConfig = loadConfig;
+module.exports.loadEnvFiles = loadEnvFiles;
+module.exports.SCHEMA = SCHEMA;
+module.exports.APP_SCHEMA = APP_SCHEMA;
+module.exports.DEFAULT_APP = DEFAULT_APP;
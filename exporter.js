@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('./logger');
+
+// Longest date range a single shop/affiliate call accepts; longer exports are split into windows
+const WINDOW_DAYS = 30;
+// Longest date range an export may cover
+const MAX_EXPORT_DAYS = 366;
+// Safety stop for APIs that keep reporting has_more
+const MAX_PAGES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+function exportError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+// Parse a YYYY-MM-DD date, rejecting impossible dates like 2025-02-30
+function parseDate(value, name) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw exportError(400, `${name} must be a date in YYYY-MM-DD format`);
+  }
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(ms) || formatDate(ms) !== value) {
+    throw exportError(400, `${name} is not a valid date: ${value}`);
+  }
+  return ms;
+}
+
+// Validated ?start_date=&end_date= range, defaulting to the last 7 days
+// maxDays limits the length of the range (both ends included)
+function parseDateRange(query, { maxDays = WINDOW_DAYS } = {}) {
+  const today = Date.parse(`${formatDate(Date.now())}T00:00:00Z`);
+  const end = query.end_date ? parseDate(query.end_date, 'end_date') : today;
+  const start = query.start_date ? parseDate(query.start_date, 'start_date') : end - 7 * DAY_MS;
+
+  if (end > today) {
+    throw exportError(400, 'end_date cannot be in the future');
+  }
+  if (start > end) {
+    throw exportError(400, 'start_date must not be after end_date');
+  }
+  const days = (end - start) / DAY_MS + 1;
+  if (days > maxDays) {
+    throw exportError(400, maxDays === WINDOW_DAYS
+      ? `Date range is ${days} days; a single request covers at most ${WINDOW_DAYS}. Use format=csv or format=ndjson to export longer ranges`
+      : `Date range is ${days} days; exports cover at most ${maxDays}`);
+  }
+
+  return { start_date: formatDate(start), end_date: formatDate(end) };
+}
+
+// Validated ?page=&page_size= for a single request
+function parsePaging(query, defaultPageSize) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.page_size === undefined ? defaultPageSize : Number(query.page_size);
+  if (!Number.isInteger(page) || page < 1) {
+    throw exportError(400, 'page must be a positive integer');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    throw exportError(400, 'page_size must be an integer between 1 and 100');
+  }
+  return { page, page_size: pageSize };
+}
+
+// Split a validated range into consecutive windows of at most windowDays
+function splitDateRange({ start_date, end_date }, windowDays = WINDOW_DAYS) {
+  const windows = [];
+  const end = Date.parse(`${end_date}T00:00:00Z`);
+  for (let start = Date.parse(`${start_date}T00:00:00Z`); start <= end; start += windowDays * DAY_MS) {
+    windows.push({
+      start_date: formatDate(start),
+      end_date: formatDate(Math.min(start + (windowDays - 1) * DAY_MS, end))
+    });
+  }
+  return windows;
+}
+
+// The record list in a page of results: the first array in the response's data
+function pageItems(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  const list = Object.values(data || {}).find(Array.isArray);
+  return list || [];
+}
+
+// Walk every page of a listing and yield its records
+// fetchPage({ page, cursor }) returns TikTok's { data } body; paging follows data.cursor / next_cursor
+// when the API returns one, page numbers otherwise, until has_more is false or a page comes back short
+async function* paginate(fetchPage, { pageSize }) {
+  let cursor;
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const body = await fetchPage({ page, cursor });
+    const data = body.data || {};
+    const items = pageItems(data);
+    yield* items;
+
+    const nextCursor = data.next_cursor !== undefined ? data.next_cursor : data.cursor;
+    const hasMore = data.has_more !== undefined ? Boolean(data.has_more) : items.length >= pageSize;
+    if (!hasMore || items.length === 0) {
+      return;
+    }
+    cursor = nextCursor;
+  }
+  logger.warn('Export stopped at the page limit', { pages: MAX_PAGES });
+}
+
+// Flatten nested objects into dot-separated columns; arrays are kept as JSON
+function flattenRecord(record, prefix = '', row = {}) {
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRecord(value, column, row);
+    } else {
+      row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return row;
+}
+
+// Text a spreadsheet would run as a formula when the CSV is opened (captions and product titles
+// come from TikTok users); numbers are left alone, so negative amounts stay numbers
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Wait until a stream takes more data again; rejects when it closes or fails first
+// (a response whose client went away never drains)
+function drained(stream) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      return reject(new Error('Stream closed before it drained'));
+    }
+    const settle = (error) => {
+      stream.off('drain', settle);
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      return error ? reject(error) : resolve();
+    };
+    const onClose = () => settle(new Error('Stream closed before it drained'));
+    stream.on('drain', settle);
+    stream.on('close', onClose);
+    stream.on('error', settle);
+  });
+}
+
+// Stream records to the response as NDJSON (records as TikTok returns them, as they arrive) or CSV
+// CSV rows are spooled to a temp file first so the header can list every column (sorted),
+// whatever page a column first shows up in, and a failed fetch still gets a proper error response.
+// NDJSON starts streaming after the first page, so later failures abort the download.
+// When the client disconnects, no more pages are fetched and the record source is closed.
+async function sendExport(res, format, records, fileName) {
+  const iterator = records[Symbol.asyncIterator]();
+  let disconnected = false;
+  const onClose = () => {
+    disconnected = !res.writableFinished;
+  };
+  res.on('close', onClose);
+  const nextRecord = () => {
+    if (disconnected) {
+      throw exportError(499, 'Client disconnected');
+    }
+    return iterator.next();
+  };
+
+  let spoolPath = null;
+  let spool = null;
+  try {
+    let next = await nextRecord();
+
+    if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.ndjson"`);
+      try {
+        for (; !next.done; next = await nextRecord()) {
+          if (!res.write(`${JSON.stringify(next.value)}\n`)) {
+            await drained(res);
+          }
+        }
+        res.end();
+      } catch (err) {
+        if (!disconnected) {
+          logger.error('Export aborted', err);
+        }
+        res.destroy(err);
+      }
+      return;
+    }
+
+    spoolPath = path.join(os.tmpdir(), `tiktok-export-${crypto.randomBytes(8).toString('hex')}.ndjson`);
+    spool = fs.createWriteStream(spoolPath);
+    const columns = new Set();
+    for (; !next.done; next = await nextRecord()) {
+      const row = flattenRecord(next.value);
+      Object.keys(row).forEach((column) => columns.add(column));
+      if (!spool.write(`${JSON.stringify(row)}\n`)) {
+        await drained(spool);
+      }
+    }
+    await new Promise((resolve, reject) => spool.end((err) => (err ? reject(err) : resolve())));
+
+    const header = Array.from(columns).sort();
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    try {
+      res.write(`${header.map(csvCell).join(',')}\r\n`);
+      const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          const row = JSON.parse(line);
+          if (!res.write(`${header.map((column) => csvCell(row[column])).join(',')}\r\n`)) {
+            await drained(res);
+          }
+        }
+      } finally {
+        lines.close();
+      }
+      res.end();
+    } catch (err) {
+      if (!disconnected) {
+        logger.error('Export aborted', err);
+      }
+      res.destroy(err);
+    }
+  } catch (err) {
+    // Failures before anything was sent get an error response from the route, unless nobody is listening
+    if (!disconnected) {
+      throw err;
+    }
+    logger.info('Export stopped: client disconnected', { file: fileName });
+  } finally {
+    res.off('close', onClose);
+    // Closes a record source that was not read to the end (e.g. stops paginating)
+    await Promise.resolve(iterator.return && iterator.return()).catch(() => {});
+    if (spool) {
+      spool.on('error', () => {}); // writes still pending when an export stops are dropped with the file
+      spool.destroy();
+      await fs.promises.rm(spoolPath, { force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  parseDateRange,
+  parsePaging,
+  splitDateRange,
+  paginate,
+  pageItems,
+  flattenRecord,
+  sendExport,
+  EXPORT_FORMATS,
+  WINDOW_DAYS,
+  MAX_EXPORT_DAYS
+};
@@ -0,0 +1,125 @@
+const { requestedScopes } = require('./scopes');
+const { DEFAULT_APP } = require('./config');
+
+// Refresh tokens expiring sooner than this are reported, so someone logs in again in time
+const REFRESH_WARNING_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Configuration problems (see config.js; the server doesn't start with any) and the TikTok apps
+function checkConfig(config) {
+  return { ok: config.problems.length === 0, problems: config.problems, apps: Object.keys(config.tiktok.apps) };
+}
+
+// State of one stored account: problems make it unusable, warnings need attention soon
+// Granted scopes are compared with the ones its TikTok app asks for
+function checkAccount(account, { now, apps }) {
+  const problems = [];
+  const warnings = [];
+  const app = apps[account.app || DEFAULT_APP];
+
+  if (!app) {
+    problems.push(`TikTok app ${account.app || DEFAULT_APP} is not configured`);
+  } else if (account.reauth_required) {
+    problems.push(`Needs to log in again: ${account.reauth_reason || 'refresh failed'}`);
+  } else if (account.refresh_expires_at && account.refresh_expires_at <= now) {
+    problems.push('Refresh token expired; log in again');
+  } else if (account.refresh_expires_at && account.refresh_expires_at - now < REFRESH_WARNING_MS) {
+    warnings.push(`Refresh token expires ${new Date(account.refresh_expires_at).toISOString()}; log in again before then`);
+  }
+  if (!problems.length && account.expires_at && account.expires_at <= now) {
+    warnings.push('Access token expired and was not renewed yet');
+  }
+  const scopes = app ? requestedScopes(null, app.scopes || undefined) : [];
+  if (Array.isArray(account.scopes)) {
+    const missing = scopes.filter((scope) => !account.scopes.includes(scope));
+    if (missing.length > 0) {
+      warnings.push(`Configured scopes not granted: ${missing.join(', ')}`);
+    }
+  }
+
+  return {
+    open_id: account.open_id,
+    label: account.label,
+    app: account.app || DEFAULT_APP,
+    ok: problems.length === 0,
+    access_token_expires_at: account.expires_at || null,
+    refresh_expires_at: account.refresh_expires_at || null,
+    reauth_required: account.reauth_required,
+    scopes: account.scopes,
+    problems,
+    warnings
+  };
+}
+
+// Readiness report: configuration, whether stored tokens can be decrypted, and each account's tokens
+// status is not_ready with broken config, an unreadable store, or while the server drains or
+// shuts down; degraded when something needs attention but requests can be served (including
+// no usable account yet: a fresh deploy has to take traffic so someone can log in); ready otherwise
+async function checkReadiness({ tokenStorage, lifecycle, config, now = Date.now() }) {
+  const configCheck = checkConfig(config);
+
+  const storage = { ok: true, problems: [] };
+  let accounts = [];
+  try {
+    const inspected = await tokenStorage.inspectAccounts();
+    accounts = inspected.accounts.map((account) => checkAccount(account, { now, apps: config.tiktok.apps }));
+    for (const { key, error } of inspected.unreadable) {
+      if (key === null) {
+        storage.ok = false;
+        storage.problems.push(`Stored tokens cannot be read: ${error}`);
+      } else {
+        accounts.push({ open_id: key, ok: false, problems: [`Stored tokens cannot be decrypted: ${error}`], warnings: [] });
+      }
+    }
+  } catch (err) {
+    storage.ok = false;
+    storage.problems.push(`Token storage unavailable: ${err.message}`);
+  }
+
+  const usable = accounts.filter((account) => account.ok).length;
+  const accountCheck = {
+    ok: usable > 0,
+    total: accounts.length,
+    usable,
+    problems: usable > 0 ? [] : [accounts.length > 0 ? 'No account has usable tokens' : 'No TikTok account connected; visit /auth/login']
+  };
+
+  const state = lifecycle ? lifecycle.state : 'running';
+  const lifecycleCheck = { ok: state === 'running', state, problems: state === 'running' ? [] : [`Server is ${state}`] };
+
+  let status = 'ready';
+  if (!configCheck.ok || !storage.ok || !lifecycleCheck.ok) {
+    status = 'not_ready';
+  } else if (!accountCheck.ok || accounts.some((account) => !account.ok || account.warnings.length > 0)) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    checks: {
+      config: configCheck,
+      token_storage: storage,
+      accounts: accountCheck,
+      lifecycle: lifecycleCheck
+    },
+    accounts
+  };
+}
+
+// The checks as shown to callers without a credential: whether each one passed (and the lifecycle
+// state), without app names, account counts or error messages
+function publicChecks(checks) {
+  const summary = {};
+  for (const [name, check] of Object.entries(checks)) {
+    summary[name] = { ok: check.ok };
+  }
+  summary.lifecycle.state = checks.lifecycle.state;
+  return summary;
+}
+
+module.exports = {
+  checkReadiness,
+  publicChecks,
+  checkAccount,
+  checkConfig,
+  REFRESH_WARNING_MS
+};
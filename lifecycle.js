@@ -0,0 +1,219 @@
+const logger = require('./logger');
+
+// Paths still answered while draining or stopping: health checks, metrics, the lifecycle controls
+// and shared photo files, which TikTok may still be fetching for photo posts already sent
+const ALWAYS_ALLOWED = [/^\/health(\/|$)/, /^\/metrics$/, /^\/lifecycle(\/|$)/, /^\/publishing\/(pause|resume)$/, /^\/shutdown(\/|$)/, /^\/media\//];
+
+// Grace period of a forced shutdown (POST /shutdown/force): enough to flush and close storage
+const FORCED_TIMEOUT_MS = 2000;
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms).unref();
+  });
+}
+
+// Server lifecycle: draining, pausing publishing and graceful shutdown
+//
+// States: running -> draining (new requests refused, in-flight work finishes; can resume)
+//                 -> stopping (HTTP server closed, workers stopped, storage flushed and closed)
+//
+// Shutdown (SIGTERM/SIGINT or POST /shutdown) stops accepting requests and background work, then
+// waits up to timeoutMs for in-flight requests, uploads, publish jobs and token refreshes.
+// Uploads checkpoint every chunk, so whatever is cut off at the timeout can be resumed after a
+// restart. The server never signals other processes; a supervisor (pm2, nodemon, systemd,
+// Kubernetes) sees this process exit and decides what happens next.
+class Lifecycle {
+  constructor({ publishQueue, uploadEngine, tokenRefresher, workers = [], close, timeoutMs = 30000 }) {
+    this.publishQueue = publishQueue;
+    this.uploadEngine = uploadEngine;
+    this.tokenRefresher = tokenRefresher;
+    this.workers = workers; // background workers with an async stop() (scheduler, syncs)
+    this.close = close; // async () => void, closes storage backends once nothing writes anymore
+    this.timeoutMs = timeoutMs;
+    this.state = 'running';
+    this.server = null;
+    this.exitProcess = false;
+    this.inFlight = 0;
+    this.stopping = null;
+    this.cutShort = null;
+  }
+
+  // The HTTP server to close on shutdown; exitProcess ends the process once stopped (node index.js)
+  attach(server, { exitProcess = false } = {}) {
+    this.server = server;
+    this.exitProcess = exitProcess;
+  }
+
+  // Shut down on SIGTERM/SIGINT; a second signal exits right away
+  handleSignals() {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        if (this.stopping) {
+          logger.warn('Second shutdown signal, exiting now', { signal });
+          process.exit(1);
+        }
+        this.shutdown(signal);
+      });
+    }
+  }
+
+  // Express middleware: counts in-flight requests and refuses new ones unless running
+  requestGate() {
+    return (req, res, next) => {
+      if (this.state !== 'running' && !ALWAYS_ALLOWED.some((pattern) => pattern.test(req.path))) {
+        res.set({ 'Retry-After': '30', Connection: 'close' });
+        return res.status(503).json({
+          error: this.state === 'draining' ? 'Server is draining' : 'Server is shutting down',
+          details: 'Not accepting new requests; retry against another instance or later',
+          state: this.state
+        });
+      }
+
+      this.inFlight += 1;
+      let done = false;
+      const finished = () => {
+        if (!done) {
+          done = true;
+          this.inFlight -= 1;
+        }
+      };
+      res.on('finish', finished);
+      res.on('close', finished);
+      next();
+    };
+  }
+
+  // Express middleware for routes that post to TikTok right away instead of through the publish
+  // queue (inbox uploads, photo posts): refused while publishing is paused, like queued posts wait
+  publishingGate() {
+    return (req, res, next) => {
+      if (this.state !== 'running' || this.publishQueue.paused) {
+        res.set('Retry-After', '30');
+        return res.status(503).json({
+          error: this.state === 'running' ? 'Publishing is paused' : 'Server is not accepting new posts',
+          details: 'Retry once publishing resumes (POST /publishing/resume)',
+          state: this.state,
+          publishing_paused: this.publishQueue.paused
+        });
+      }
+      next();
+    };
+  }
+
+  status() {
+    return {
+      state: this.state,
+      publishing_paused: this.publishQueue.paused,
+      in_flight_requests: this.inFlight,
+      running_uploads: this.uploadEngine.running.size,
+      running_publish_jobs: this.publishQueue.active.size,
+      running_token_refreshes: this.tokenRefresher.inFlight.size,
+      shutdown_timeout_seconds: this.timeoutMs / 1000
+    };
+  }
+
+  // Refuse new requests and stop starting publish jobs; in-flight work carries on
+  drain() {
+    if (this.state === 'running') {
+      this.state = 'draining';
+      this.publishQueue.pause();
+      logger.info('Draining: new requests are refused and publishing is paused');
+    }
+    return this.status();
+  }
+
+  // Back to normal after a drain (not after shutdown started)
+  resume() {
+    if (this.state === 'draining') {
+      this.state = 'running';
+      this.publishQueue.resume();
+      logger.info('Drain ended: accepting requests and publishing again');
+    }
+    return this.status();
+  }
+
+  // New and scheduled posts are queued but not started until publishing resumes
+  pausePublishing() {
+    this.publishQueue.pause();
+    logger.info('Publishing paused');
+    return this.status();
+  }
+
+  resumePublishing() {
+    if (this.state === 'draining') {
+      const error = new Error('Publishing resumes when the drain ends (POST /lifecycle/resume)');
+      error.status = 409;
+      throw error;
+    }
+    this.publishQueue.resume();
+    logger.info('Publishing resumed');
+    return this.status();
+  }
+
+  // Stop everything; resolves once stopped (or the timeout passed) and then exits if attached that way
+  shutdown(reason = 'shutdown', { timeoutMs = this.timeoutMs } = {}) {
+    if (!this.stopping) {
+      this.stopping = this.stop(reason, timeoutMs);
+    } else if (timeoutMs < this.timeoutMs) {
+      // Already stopping: a shorter timeout (forced shutdown) cuts the wait short
+      sleep(timeoutMs).then(() => this.cutShort && this.cutShort());
+    }
+    return this.stopping;
+  }
+
+  // Shut down with only a short grace period; storage is still flushed and closed
+  forceShutdown(reason = 'forced shutdown') {
+    return this.shutdown(reason, { timeoutMs: FORCED_TIMEOUT_MS });
+  }
+
+  async stop(reason, timeoutMs) {
+    this.state = 'stopping';
+    logger.info('Shutting down', { reason, timeout_ms: timeoutMs, ...this.status() });
+
+    // Stop accepting connections; idle keep-alive connections are closed, busy ones after their response
+    const serverClosed = this.server
+      ? new Promise((resolve) => this.server.close(() => resolve()))
+      : Promise.resolve();
+    if (this.server && this.server.closeIdleConnections) {
+      this.server.closeIdleConnections();
+    }
+
+    // Stop timers first so nothing new starts, then wait for what is already running
+    const settled = Promise.allSettled([
+      serverClosed,
+      this.publishQueue.stop(),
+      this.tokenRefresher.stop(),
+      this.uploadEngine.drain(),
+      ...this.workers.map((worker) => worker.stop())
+    ]);
+    const timedOut = await Promise.race([
+      settled.then(() => false),
+      sleep(timeoutMs).then(() => true),
+      new Promise((resolve) => {
+        this.cutShort = () => resolve(true);
+      })
+    ]);
+
+    if (timedOut) {
+      logger.warn('Shutdown timeout reached; interrupted uploads can be resumed after the restart', this.status());
+      if (this.server && this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+    }
+
+    try {
+      await this.close();
+    } catch (error) {
+      logger.error('Closing storage failed', error);
+    }
+    logger.info('Shutdown complete', { reason, timed_out: timedOut });
+
+    if (this.exitProcess) {
+      process.exit(timedOut ? 1 : 0);
+    }
+    return { timed_out: timedOut };
+  }
+}
+
+module.exports = Lifecycle;
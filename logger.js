@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line, debug/info on stdout, warn/error on stderr
+//   {"time":"...","level":"info","msg":"Publish job queued","request_id":"...","job_id":"..."}
+// LOG_LEVEL picks the lowest level written (default: info). Lines written while handling a
+// request carry its request_id, also when they come from services further down.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are never logged, wherever they appear
+const SECRET_KEYS = /^(access_token|refresh_token|token|id_token|auth_code|code_verifier|verifier|client_secret|secret|password|authorization|cookie|x-api-key|api_key|upload_url|signature|tiktok-signature|x-webhook-signature)$/i;
+
+// Secrets inside strings: bearer credentials, TikTok tokens, this server's API keys, and query
+// strings of URLs (signed upload/media URLs, OAuth callbacks with a code)
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/\b(act|rft)\.[A-Za-z0-9!*._~-]{8,}/g, REDACTED],
+  [/\btok_[0-9a-f]{64}\b/g, REDACTED],
+  [/(\bhttps?:\/\/[^\s?"'#]+)\?[^\s"'#]+/gi, `$1?${REDACTED}`]
+];
+
+// Configured secrets, in case one ends up in an error message
+const SECRET_ENV = ['TIKTOK_CLIENT_SECRET', 'ENCRYPTION_KEY', 'ENCRYPTION_KEYS_PREVIOUS', 'JWT_SECRET', 'PUBLISH_WEBHOOK_SECRET'];
+
+function configuredSecrets() {
+  return SECRET_ENV
+    .flatMap((name) => String(process.env[name] || '').split(','))
+    .map((value) => value.trim())
+    .filter((value) => value.length >= 8);
+}
+
+function redactString(text, secrets) {
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+// Errors as plain fields; TikTok's log_id and response body are kept for support tickets
+function serializeError(err) {
+  return {
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.status && { status: err.status }),
+    ...(err.logId && { log_id: err.logId }),
+    ...(err.response && err.response.data !== undefined && { response: err.response.data })
+  };
+}
+
+// Copy of a value with secrets replaced
+function redact(value, secrets = configuredSecrets(), depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), secrets, depth);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (depth >= 6) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, secrets, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, secrets, depth + 1);
+  }
+  return copy;
+}
+
+// Fields of the request being handled (request_id), for every log line written on its behalf
+const context = new AsyncLocalStorage();
+
+class Logger {
+  constructor({ level = 'info', fields = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.fields = fields;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  static fromEnv(env = process.env) {
+    return new Logger({ level: (env.LOG_LEVEL || 'info').toLowerCase() });
+  }
+
+  // Logger that adds fields to every line (e.g. { job_id })
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, stdout: this.stdout, stderr: this.stderr });
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // fields: an object of extra fields, or an Error (logged as { error: { message, code, log_id, ... } })
+  log(level, msg, fields) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...context.getStore(),
+      ...this.fields,
+      ...extra
+    });
+
+    const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// Incoming X-Request-Id values are reused when they look like an id, so a caller can correlate
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Polled constantly, so only logged at debug level
+const QUIET_PATHS = new Set(['/health']);
+
+// Express middleware: give each request an id (X-Request-Id, sent back in the response),
+// run the rest of the request with it in the log context and log the request when it's answered
+function requestLogging(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        request_id: requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        ...(req.principal && { principal: req.principal.name })
+      };
+      log.log(QUIET_PATHS.has(req.path) ? 'debug' : 'info', 'Request handled', fields);
+    });
+
+    context.run({ request_id: requestId }, next);
+  };
+}
+
+// Id of the request being handled, if any
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.request_id : null;
+}
+
+let logger;
+try {
+  logger = Logger.fromEnv();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.redact = redact;
+module.exports.requestLogging = requestLogging;
+module.exports.currentRequestId = currentRequestId;
+module.exports.LEVELS = LEVELS;
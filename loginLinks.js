@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Signed links to /auth/login
+// The login flow runs in a browser, which can't send an API key, so admins (POST /auth/login-links)
+// and error responses (consent_url, login_url) hand out links that carry their own short-lived
+// HMAC signature instead. The signature covers every login parameter, so a link can't be changed
+// to connect another account, app or label, or to ask for other scopes.
+const LINK_PARAMS = ['account', 'app', 'label', 'scope'];
+const DEFAULT_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+class LoginLinks {
+  constructor(secret, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.secret = secret;
+    this.ttlMs = ttlMs;
+  }
+
+  signature(params, expires) {
+    const signed = LINK_PARAMS.map((name) => (typeof params[name] === 'string' ? params[name] : null));
+    return crypto.createHmac('sha256', this.secret)
+      .update(JSON.stringify([...signed, expires]))
+      .digest('base64url');
+  }
+
+  // Query string for /auth/login with the given parameters, valid for ttlMs
+  sign(params = {}, now = Date.now()) {
+    const query = new URLSearchParams();
+    for (const name of LINK_PARAMS) {
+      if (typeof params[name] === 'string' && params[name] !== '') {
+        query.set(name, params[name]);
+      }
+    }
+    const expires = Math.floor((now + this.ttlMs) / 1000);
+    query.set('expires', String(expires));
+    query.set('signature', this.signature(Object.fromEntries(query), expires));
+    return { query: query.toString(), expires_at: expires * 1000 };
+  }
+
+  // Check the signature and expiry of a request's query; throws a 401 error when they don't hold
+  verify(query, now = Date.now()) {
+    const expires = Number(query.expires);
+    const repeated = LINK_PARAMS.some((name) => query[name] !== undefined && typeof query[name] !== 'string');
+    const given = Buffer.from(typeof query.signature === 'string' ? query.signature : '');
+    const expected = Buffer.from(this.signature(query, expires));
+    if (repeated || !Number.isInteger(expires) || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      const error = new Error('Invalid login link; ask for a new one');
+      error.status = 401;
+      throw error;
+    }
+    if (expires * 1000 <= now) {
+      const error = new Error('Login link expired; ask for a new one');
+      error.status = 401;
+      throw error;
+    }
+  }
+}
+
+module.exports = LoginLinks;
+module.exports.LINK_PARAMS = LINK_PARAMS;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Temporary public links for local files that TikTok has to pull itself
+// (photo posts only support PULL_FROM_URL). Links are served under PUBLIC_BASE_URL,
+// whose domain must be verified in the TikTok developer portal. Links live in memory
+// only and expire after SHARE_TTL_MS.
+const SHARE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+const shares = new Map();
+
+function pruneShares() {
+  const now = Date.now();
+  for (const [token, share] of shares) {
+    if (share.expires_at <= now) {
+      shares.delete(token);
+    }
+  }
+}
+
+setInterval(pruneShares, 10 * 60 * 1000).unref();
+
+// Register a local file and return the public URL TikTok can download it from
+function shareFile(filePath, publicBaseUrl) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const extension = path.extname(filePath).toLowerCase();
+  shares.set(token, {
+    file_path: filePath,
+    content_type: IMAGE_TYPES[extension] || 'application/octet-stream',
+    expires_at: Date.now() + SHARE_TTL_MS
+  });
+  return `${publicBaseUrl.replace(/\/+$/, '')}/media/${token}${extension}`;
+}
+
+// Express handler for GET /media/:file
+function serveSharedFile(req, res) {
+  const token = path.basename(req.params.file, path.extname(req.params.file));
+  const share = shares.get(token);
+  if (!share || share.expires_at <= Date.now()) {
+    return res.status(404).send('Not found');
+  }
+
+  res.type(share.content_type);
+  fs.createReadStream(share.file_path)
+    .on('error', () => res.status(404).end())
+    .pipe(res);
+}
+
+module.exports = {
+  shareFile,
+  serveSharedFile,
+  IMAGE_TYPES
+};
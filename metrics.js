@@ -0,0 +1,249 @@
+// Prometheus metrics, served in the text exposition format at /metrics
+// Counters and histograms are updated where things happen; gauges registered with a collect
+// function are computed when scraped.
+
+// Seconds; covers fast local routes up to long chunk uploads
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Labels in declared order, missing ones as ''; the series key is their JSON
+  labelsFor(labels = {}) {
+    const ordered = {};
+    for (const name of this.labelNames) {
+      ordered[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return ordered;
+  }
+
+  seriesFor(labels, create) {
+    const ordered = this.labelsFor(labels);
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(ordered));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, (ordered) => ({ labels: ordered, value: 0 })).value += amount;
+  }
+
+  async render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  // collect: async () => [{ labels, value }], called on every scrape instead of set()
+  constructor(name, help, labelNames, collect) {
+    super(name, help, labelNames);
+    this.collect = collect || null;
+  }
+
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, (ordered) => ({ labels: ordered, value: 0 })).value = value;
+  }
+
+  async render() {
+    if (this.collect) {
+      this.reset();
+      for (const { labels, value } of await this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, (ordered) => ({
+      labels: ordered,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Observe the seconds since a process.hrtime.bigint() start
+  observeSince(labels, startedAt) {
+    this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+
+  async render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Text exposition format (version 0.0.4); a gauge whose collect fails is left out
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      try {
+        lines.push(...await metric.render());
+      } catch (error) {
+        lines.push(`# ${metric.name} unavailable: ${String(error.message).replace(/\n/g, ' ')}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// The server's metrics
+const registry = new Registry();
+
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests answered, by route and status', ['method', 'route', 'status']);
+const httpRequestDuration = registry.histogram('http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route']);
+
+const tiktokApiRequests = registry.counter('tiktok_api_requests_total', 'Calls to TikTok (every attempt), by endpoint and TikTok error code ("ok" on success)', ['endpoint', 'code']);
+const tiktokApiDuration = registry.histogram('tiktok_api_request_duration_seconds', 'Duration of calls to TikTok', ['endpoint']);
+
+const tokenRefreshes = registry.counter('tiktok_token_refreshes_total', 'Access token refreshes, by outcome (success, reauth_required, error)', ['outcome']);
+
+const uploadBytes = registry.counter('tiktok_upload_bytes_total', 'Video bytes uploaded to TikTok', ['kind']);
+const uploadChunkDuration = registry.histogram('tiktok_upload_chunk_duration_seconds', 'Time to upload one chunk to TikTok', ['kind']);
+const uploads = registry.counter('tiktok_uploads_total', 'Finished chunked uploads, by outcome (completed, failed)', ['kind', 'outcome']);
+const uploadDuration = registry.histogram('tiktok_upload_duration_seconds', 'Time from the first to the last chunk of an upload run', ['kind'], [1, 5, 10, 30, 60, 120, 300, 600, 1800]);
+
+const publishResults = registry.counter('tiktok_publish_jobs_total', 'Finished publish jobs, by job type and final status', ['type', 'status']);
+
+const processUptime = registry.gauge('process_uptime_seconds', 'Seconds since the server started', [], async () => [{ labels: {}, value: Math.round(process.uptime()) }]);
+
+// Express middleware counting and timing requests by their route pattern (e.g. /jobs/:jobId),
+// so ids in paths don't create a series each; requests no route matched count as "unmatched"
+function requestMetrics() {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.route.path : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpRequestDuration.observeSince({ method: req.method, route }, startedAt);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  registry,
+  requestMetrics,
+  CONTENT_TYPE,
+  httpRequests,
+  httpRequestDuration,
+  tiktokApiRequests,
+  tiktokApiDuration,
+  tokenRefreshes,
+  uploadBytes,
+  uploadChunkDuration,
+  uploads,
+  uploadDuration,
+  publishResults,
+  processUptime
+};
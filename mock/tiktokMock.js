@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+// Local stand-in for the TikTok endpoints this server uses, for tests and offline development
+//
+//   npm run mock                   # listens on MOCK_PORT (default 7788)
+//   TIKTOK_API_BASE_URL=http://localhost:7788 TIKTOK_AUTH_BASE_URL=http://localhost:7788 npm start
+//
+// Covers the authorize redirect (consent is given right away), oauth/token (authorization_code and
+// refresh_token), oauth/revoke, creator_info, user/info, video/photo init, upload_url PUTs with
+// Content-Range checks, status/fetch, the Display API and the shop/affiliate endpoints.
+// Tests script it through the returned object: failNext(), rateLimit(), expireAccessTokens(), ...
+const crypto = require('crypto');
+const express = require('express');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_USER = {
+  open_id: 'mock-open-id',
+  union_id: 'mock-union-id',
+  avatar_url: 'https://example.com/avatar.jpg',
+  display_name: 'Mock Creator',
+  bio_description: 'Posting from a mock',
+  profile_deep_link: 'https://www.tiktok.com/@mock',
+  is_verified: false,
+  username: 'mock',
+  follower_count: 1200,
+  following_count: 80,
+  likes_count: 45000,
+  video_count: 3
+};
+
+const DEFAULT_CREATOR_INFO = {
+  creator_avatar_url: 'https://example.com/avatar.jpg',
+  creator_username: 'mock',
+  creator_nickname: 'Mock Creator',
+  privacy_level_options: ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'SELF_ONLY'],
+  comment_disabled: false,
+  duet_disabled: false,
+  stitch_disabled: false,
+  max_video_post_duration_sec: 600
+};
+
+// Endpoints and the scope each needs
+const SCOPE_BY_PATH = {
+  '/v2/user/info/': 'user.info.basic',
+  '/v2/post/publish/creator_info/query/': 'video.publish',
+  '/v2/post/publish/video/init/': 'video.publish',
+  '/v2/post/publish/inbox/video/init/': 'video.upload',
+  '/v2/post/publish/content/init/': null, // direct (video.publish) or inbox (video.upload)
+  '/v2/post/publish/status/fetch/': null,
+  '/v2/video/list/': 'video.list',
+  '/v2/video/query/': 'video.list'
+};
+
+function randomToken(prefix) {
+  return `${prefix}.${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function logId() {
+  return `mock${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+function createTikTokMock(options = {}) {
+  const config = {
+    clientKey: options.clientKey || 'mock-client-key',
+    clientSecret: options.clientSecret || 'mock-client-secret',
+    // more apps as { client_key: client_secret } (e.g. a sandbox app); codes and tokens stay tied to their app
+    extraClients: options.extraClients || {},
+    accessTokenTtlSec: options.accessTokenTtlSec || 24 * 60 * 60,
+    refreshTokenTtlSec: options.refreshTokenTtlSec || 365 * 24 * 60 * 60,
+    // status/fetch calls that still report processing after the upload finished
+    processingPolls: options.processingPolls ?? 1,
+    // records behind each shop/affiliate listing
+    listingSize: options.listingSize ?? 45
+  };
+
+  const state = {};
+  const mock = { config, state };
+
+  mock.reset = () => {
+    Object.assign(state, {
+      users: new Map([[DEFAULT_USER.open_id, { ...DEFAULT_USER }]]),
+      creatorInfo: { ...DEFAULT_CREATOR_INFO, ...options.creatorInfo },
+      consent: { openId: DEFAULT_USER.open_id, scopes: null, deny: false },
+      codes: new Map(),
+      accessTokens: new Map(),
+      refreshTokens: new Map(),
+      publishes: new Map(),
+      failures: [],
+      requests: []
+    });
+  };
+  mock.reset();
+
+  // ---- Scripting ----
+
+  // Who approves the next authorize request, with which of the requested scopes (null: all of them)
+  // deny: answer with error=access_denied instead
+  mock.setConsent = ({ openId = DEFAULT_USER.open_id, scopes = null, deny = false } = {}) => {
+    if (!state.users.has(openId)) {
+      state.users.set(openId, { ...DEFAULT_USER, open_id: openId, display_name: openId });
+    }
+    state.consent = { openId, scopes, deny };
+  };
+
+  // Fail the next `times` requests to a path (e.g. '/v2/shop/product/list/') with a TikTok error envelope
+  mock.failNext = (path, { status = 500, code = 'internal_error', message = 'Scripted failure', headers = {}, times = 1, method } = {}) => {
+    state.failures.push({ path, method, status, code, message, headers, times });
+  };
+
+  mock.rateLimit = (path, { retryAfterSec = 1, times = 1 } = {}) => {
+    mock.failNext(path, {
+      status: 429,
+      code: 'rate_limit_exceeded',
+      message: 'Rate limit exceeded',
+      headers: { 'Retry-After': String(retryAfterSec) },
+      times
+    });
+  };
+
+  const forTokens = (map, openId, change) => {
+    for (const record of map.values()) {
+      if (!openId || record.openId === openId) {
+        change(record);
+      }
+    }
+  };
+  // Make issued access tokens expired (TikTok answers access_token_invalid)
+  mock.expireAccessTokens = (openId) => forTokens(state.accessTokens, openId, (record) => { record.expiresAt = 0; });
+  // Make issued refresh tokens unusable (oauth/token answers invalid_grant)
+  mock.revokeRefreshTokens = (openId) => forTokens(state.refreshTokens, openId, (record) => { record.revoked = true; });
+
+  mock.setCreatorInfo = (changes) => Object.assign(state.creatorInfo, changes);
+  mock.getPublish = (publishId) => state.publishes.get(publishId) || null;
+
+  // ---- Server ----
+
+  const app = express();
+  mock.app = app;
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, at: Date.now() });
+    next();
+  });
+
+  // Scripted failures come first
+  app.use((req, res, next) => {
+    const failure = state.failures.find((candidate) => candidate.path === req.path && (!candidate.method || candidate.method === req.method));
+    if (!failure) {
+      return next();
+    }
+    failure.times -= 1;
+    if (failure.times <= 0) {
+      state.failures.splice(state.failures.indexOf(failure), 1);
+    }
+    res.set(failure.headers);
+    if (req.path.startsWith('/v2/oauth/')) {
+      return res.status(failure.status).json({ error: failure.code, error_description: failure.message, log_id: logId() });
+    }
+    res.status(failure.status).json({ data: {}, error: { code: failure.code, message: failure.message, log_id: logId() } });
+  });
+
+  // JSON and form bodies; upload chunks (video/*) are left to stream
+  app.use(express.json(), express.urlencoded({ extended: false }));
+
+  function apiError(res, status, code, message) {
+    return res.status(status).json({ data: {}, error: { code, message, log_id: logId() } });
+  }
+
+  function ok(res, data) {
+    return res.json({ data, error: { code: 'ok', message: '', log_id: logId() } });
+  }
+
+  function oauthError(res, error, description) {
+    return res.status(400).json({ error, error_description: description, log_id: logId() });
+  }
+
+  // Bearer token check, plus the scope the endpoint needs
+  function authenticate(req, res, next) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const token = match && state.accessTokens.get(match[1]);
+    if (!token || token.expiresAt <= Date.now()) {
+      return apiError(res, 401, 'access_token_invalid', 'The access token is invalid or not found in the request.');
+    }
+    const scope = SCOPE_BY_PATH[req.path];
+    if (scope && !token.scopes.includes(scope)) {
+      return apiError(res, 401, 'scope_not_authorized', `The user did not authorize the scope required for completing this request (${scope}).`);
+    }
+    req.token = token;
+    next();
+  }
+
+  function isClient(clientKey, clientSecret) {
+    const clients = { ...config.extraClients, [config.clientKey]: config.clientSecret };
+    return Boolean(clientKey) && Object.prototype.hasOwnProperty.call(clients, clientKey)
+      && (clientSecret === undefined || clients[clientKey] === clientSecret);
+  }
+
+  function issueTokens(openId, scopes, clientKey) {
+    const access = randomToken('act');
+    const refresh = randomToken('rft');
+    state.accessTokens.set(access, { openId, scopes, clientKey, expiresAt: Date.now() + config.accessTokenTtlSec * 1000 });
+    state.refreshTokens.set(refresh, { openId, scopes, clientKey, expiresAt: Date.now() + config.refreshTokenTtlSec * 1000, revoked: false });
+    return {
+      access_token: access,
+      refresh_token: refresh,
+      open_id: openId,
+      scope: scopes.join(','),
+      expires_in: config.accessTokenTtlSec,
+      refresh_expires_in: config.refreshTokenTtlSec,
+      token_type: 'Bearer'
+    };
+  }
+
+  // Authorize: consent is given straight away and the browser is sent back to redirect_uri
+  app.get('/v2/auth/authorize/', (req, res) => {
+    const { client_key, redirect_uri, state: oauthState, scope, code_challenge, code_challenge_method } = req.query;
+    if (!isClient(client_key)) {
+      return res.status(400).send('Unknown client_key');
+    }
+    if (!redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('redirect_uri, code_challenge and code_challenge_method=S256 are required');
+    }
+
+    const redirect = new URL(redirect_uri);
+    redirect.searchParams.set('state', oauthState || '');
+    if (state.consent.deny) {
+      redirect.searchParams.set('error', 'access_denied');
+      redirect.searchParams.set('error_description', 'The user denied the request');
+      return res.redirect(redirect.toString());
+    }
+
+    const requested = String(scope || '').split(',').filter(Boolean);
+    const granted = state.consent.scopes ? requested.filter((item) => state.consent.scopes.includes(item)) : requested;
+    const code = randomToken('code');
+    state.codes.set(code, {
+      openId: state.consent.openId,
+      scopes: granted,
+      challenge: code_challenge,
+      redirectUri: redirect_uri,
+      clientKey: client_key,
+      expiresAt: Date.now() + 10 * 60 * 1000
+    });
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('scopes', granted.join(','));
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/v2/oauth/token/', (req, res) => {
+    const { client_key, client_secret, grant_type } = req.body;
+    if (!isClient(client_key, client_secret)) {
+      return oauthError(res, 'invalid_client', 'Client key or secret is incorrect.');
+    }
+
+    if (grant_type === 'authorization_code') {
+      const record = state.codes.get(req.body.code);
+      state.codes.delete(req.body.code);
+      if (!record || record.expiresAt <= Date.now() || record.clientKey !== client_key) {
+        return oauthError(res, 'invalid_grant', 'Authorization code is expired or already used.');
+      }
+      if (record.redirectUri !== req.body.redirect_uri) {
+        return oauthError(res, 'invalid_request', 'redirect_uri does not match the authorize request.');
+      }
+      const verifier = String(req.body.code_verifier || '');
+      const hex = crypto.createHash('sha256').update(verifier).digest('hex');
+      const base64url = crypto.createHash('sha256').update(verifier).digest('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+      if (record.challenge !== hex && record.challenge !== base64url) {
+        return oauthError(res, 'invalid_grant', 'Code verifier does not match the code challenge.');
+      }
+      return res.json(issueTokens(record.openId, record.scopes, client_key));
+    }
+
+    if (grant_type === 'refresh_token') {
+      const record = state.refreshTokens.get(req.body.refresh_token);
+      if (!record || record.revoked || record.expiresAt <= Date.now() || record.clientKey !== client_key) {
+        return oauthError(res, 'invalid_grant', 'Refresh token is invalid or expired.');
+      }
+      // Refresh tokens rotate: the old one stops working
+      state.refreshTokens.delete(req.body.refresh_token);
+      return res.json(issueTokens(record.openId, record.scopes, client_key));
+    }
+
+    return oauthError(res, 'unsupported_grant_type', `Unsupported grant_type: ${grant_type}`);
+  });
+
+  app.post('/v2/oauth/revoke/', (req, res) => {
+    const { client_key, client_secret, token } = req.body;
+    if (!isClient(client_key, client_secret)) {
+      return oauthError(res, 'invalid_client', 'Client key or secret is incorrect.');
+    }
+    const record = state.accessTokens.get(token);
+    if (!record || record.clientKey !== client_key) {
+      return oauthError(res, 'invalid_request', 'Token is invalid.');
+    }
+    forTokens(state.accessTokens, record.openId, (item) => { item.expiresAt = 0; });
+    forTokens(state.refreshTokens, record.openId, (item) => { item.revoked = true; });
+    res.json({});
+  });
+
+  app.get('/v2/user/info/', authenticate, (req, res) => {
+    const user = state.users.get(req.token.openId);
+    const fields = String(req.query.fields || '').split(',').filter(Boolean);
+    const info = {};
+    for (const field of fields) {
+      if (user[field] !== undefined) {
+        info[field] = user[field];
+      }
+    }
+    ok(res, { user: info });
+  });
+
+  app.post('/v2/post/publish/creator_info/query/', authenticate, (req, res) => {
+    ok(res, state.creatorInfo);
+  });
+
+  // Validate source_info and register a publish; FILE_UPLOAD gets an upload_url on this mock
+  function initPublish(req, res, { mode, mediaType = 'VIDEO' }) {
+    const source = req.body.source_info || {};
+    const publishId = `v_pub_${crypto.randomBytes(8).toString('hex')}`;
+    const publish = { id: publishId, openId: req.token.openId, mode, mediaType, source: source.source, status: 'PROCESSING_UPLOAD', received: 0, polls: 0, postInfo: req.body.post_info || null, sourceInfo: source };
+
+    if (source.source === 'FILE_UPLOAD') {
+      const { video_size, chunk_size, total_chunk_count } = source;
+      if (!(video_size > 0) || !(chunk_size > 0) || !(total_chunk_count > 0) || Math.floor(video_size / chunk_size) !== total_chunk_count) {
+        return apiError(res, 400, 'invalid_params', 'video_size, chunk_size and total_chunk_count do not add up');
+      }
+      Object.assign(publish, { videoSize: video_size, chunkSize: chunk_size, totalChunkCount: total_chunk_count });
+    } else if (source.source === 'PULL_FROM_URL') {
+      if (!source.video_url && !source.photo_images) {
+        return apiError(res, 400, 'invalid_params', 'video_url or photo_images is required');
+      }
+      publish.status = 'PROCESSING_DOWNLOAD';
+      publish.uploaded = true;
+    } else {
+      return apiError(res, 400, 'invalid_params', 'source_info.source must be FILE_UPLOAD or PULL_FROM_URL');
+    }
+
+    state.publishes.set(publishId, publish);
+    const data = { publish_id: publishId };
+    if (source.source === 'FILE_UPLOAD') {
+      data.upload_url = `${req.protocol}://${req.get('host')}/upload/${publishId}`;
+    }
+    ok(res, data);
+  }
+
+  app.post('/v2/post/publish/video/init/', authenticate, (req, res) => initPublish(req, res, { mode: 'direct' }));
+  app.post('/v2/post/publish/inbox/video/init/', authenticate, (req, res) => initPublish(req, res, { mode: 'inbox' }));
+  app.post('/v2/post/publish/content/init/', authenticate, (req, res) => {
+    const mode = req.body.post_mode === 'MEDIA_UPLOAD' ? 'inbox' : 'direct';
+    const scope = mode === 'inbox' ? 'video.upload' : 'video.publish';
+    if (!req.token.scopes.includes(scope)) {
+      return apiError(res, 401, 'scope_not_authorized', `The user did not authorize the scope required for completing this request (${scope}).`);
+    }
+    initPublish(req, res, { mode, mediaType: req.body.media_type || 'PHOTO' });
+  });
+
+  // upload_url: chunks in order, each exactly chunk_size bytes except the last, which takes the rest
+  app.put('/upload/:publishId', (req, res) => {
+    const publish = state.publishes.get(req.params.publishId);
+    if (!publish || publish.source !== 'FILE_UPLOAD') {
+      return res.status(404).json({ error: 'Unknown upload_url' });
+    }
+
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.get('Content-Range') || '');
+    if (!range) {
+      return res.status(400).json({ error: 'Content-Range must look like "bytes <first>-<last>/<total>"' });
+    }
+    const [first, last, total] = range.slice(1).map(Number);
+    const index = Math.floor(first / publish.chunkSize);
+    const isFinal = index === publish.totalChunkCount - 1;
+    const expectedLast = isFinal ? publish.videoSize - 1 : first + publish.chunkSize - 1;
+    if (total !== publish.videoSize || first % publish.chunkSize !== 0 || index >= publish.totalChunkCount || last !== expectedLast) {
+      return res.status(416).json({ error: `Range ${first}-${last}/${total} does not match chunk ${index} of the declared upload` });
+    }
+    if (first > publish.received) {
+      return res.status(416).json({ error: `Chunk starting at ${first} sent before byte ${publish.received}` });
+    }
+
+    let length = 0;
+    req.on('data', (data) => { length += data.length; });
+    req.on('end', () => {
+      if (length !== last - first + 1) {
+        return res.status(400).json({ error: `Chunk body is ${length} bytes, Content-Range says ${last - first + 1}` });
+      }
+      publish.received = Math.max(publish.received, last + 1);
+      if (publish.received === publish.videoSize) {
+        publish.uploaded = true;
+        return res.status(201).end();
+      }
+      res.status(206).end();
+    });
+  });
+
+  app.post('/v2/post/publish/status/fetch/', authenticate, (req, res) => {
+    const publish = state.publishes.get(req.body.publish_id);
+    if (!publish || publish.openId !== req.token.openId) {
+      return apiError(res, 404, 'invalid_publish_id', 'publish_id does not exist');
+    }
+
+    if (publish.uploaded && !['PUBLISH_COMPLETE', 'SEND_TO_USER_INBOX', 'FAILED'].includes(publish.status)) {
+      publish.polls += 1;
+      if (publish.polls > config.processingPolls) {
+        publish.status = publish.mode === 'inbox' ? 'SEND_TO_USER_INBOX' : 'PUBLISH_COMPLETE';
+        if (publish.mode === 'direct') {
+          publish.postId = String(7000000000000000000n + BigInt(state.publishes.size));
+        }
+      }
+    }
+
+    ok(res, {
+      status: publish.status,
+      uploaded_bytes: publish.received,
+      ...(publish.postId && { publicaly_available_post_id: [publish.postId] }),
+      ...(publish.status === 'FAILED' && { fail_reason: publish.failReason || 'internal' })
+    });
+  });
+
+  // Make a publish fail the next time its status is fetched
+  mock.failPublish = (publishId, reason = 'video_pull_failed') => {
+    const publish = state.publishes.get(publishId);
+    Object.assign(publish, { status: 'FAILED', failReason: reason });
+  };
+
+  // Display API: the user's posts, newest first
+  function userVideos(openId) {
+    return Array.from(state.publishes.values())
+      .filter((publish) => publish.openId === openId && publish.postId)
+      .map((publish, index) => ({
+        id: publish.postId,
+        create_time: Math.floor(Date.now() / 1000) - index * 3600,
+        title: (publish.postInfo && publish.postInfo.title) || 'Mock video',
+        view_count: 100 * (index + 1),
+        like_count: 10 * (index + 1),
+        comment_count: index,
+        share_count: index
+      }))
+      .reverse();
+  }
+
+  function pickFields(video, fields) {
+    const picked = {};
+    for (const field of String(fields || 'id').split(',')) {
+      if (video[field] !== undefined) {
+        picked[field] = video[field];
+      }
+    }
+    return picked;
+  }
+
+  app.post('/v2/video/list/', authenticate, (req, res) => {
+    const videos = userVideos(req.token.openId);
+    const start = Number(req.body.cursor) || 0;
+    const max = Math.min(Number(req.body.max_count) || 20, 20);
+    const page = videos.slice(start, start + max);
+    ok(res, { videos: page.map((video) => pickFields(video, req.query.fields)), cursor: start + page.length, has_more: start + page.length < videos.length });
+  });
+
+  app.post('/v2/video/query/', authenticate, (req, res) => {
+    const ids = (req.body.filters && req.body.filters.video_ids) || [];
+    const videos = userVideos(req.token.openId).filter((video) => ids.includes(video.id));
+    ok(res, { videos: videos.map((video) => pickFields(video, req.query.fields)) });
+  });
+
+  // Shop and affiliate listings: listingSize deterministic records, paged with page/page_size or cursor
+  function listing(key, makeRecord) {
+    return (req, res) => {
+      if (!req.token.scopes.includes(key.scope)) {
+        return apiError(res, 401, 'scope_not_authorized', `The user did not authorize the scope required for completing this request (${key.scope}).`);
+      }
+      const pageSize = Number(req.body.page_size) || 20;
+      const offset = req.body.cursor !== undefined ? Number(req.body.cursor) : ((Number(req.body.page) || 1) - 1) * pageSize;
+      const records = [];
+      for (let index = offset; index < Math.min(offset + pageSize, config.listingSize); index++) {
+        records.push(makeRecord(index, req.body));
+      }
+      const hasMore = offset + records.length < config.listingSize;
+      ok(res, { [key.list]: records, has_more: hasMore, ...(hasMore && { next_cursor: offset + records.length }), total: config.listingSize });
+    };
+  }
+
+  // Spread dated records over the requested window
+  function recordDate(index, body) {
+    const start = body.start_date ? Date.parse(`${body.start_date}T00:00:00Z`) : Date.now();
+    const end = body.end_date ? Date.parse(`${body.end_date}T00:00:00Z`) : start;
+    const days = Math.max(1, Math.round((end - start) / DAY_MS) + 1);
+    return formatDate(start + (index % days) * DAY_MS);
+  }
+
+  const SHOP = 'shop.partner.analytics';
+  const AFFILIATE = 'affiliate.seller';
+
+  app.post('/v2/shop/product/list/', authenticate, listing({ scope: SHOP, list: 'products' }, (index) => ({
+    product_id: `prod-${index + 1}`,
+    title: `Product ${index + 1}`,
+    price: { amount: (9.99 + index).toFixed(2), currency: 'USD' }
+  })));
+
+  app.post('/v2/shop/product/videos/', authenticate, listing({ scope: SHOP, list: 'videos' }, (index, body) => ({
+    video_id: `vid-${index + 1}`,
+    product_id: body.product_id,
+    views: 1000 + index
+  })));
+
+  app.post('/v2/shop/video/performance/', authenticate, listing({ scope: SHOP, list: 'videos' }, (index, body) => ({
+    video_id: body.video_id || `vid-${index + 1}`,
+    date: recordDate(index, body),
+    views: 500 + index,
+    gmv: 20 + index
+  })));
+
+  app.post('/v2/shop/product/performance/', authenticate, (req, res) => {
+    if (!req.token.scopes.includes(SHOP)) {
+      return apiError(res, 401, 'scope_not_authorized', `The user did not authorize the scope required for completing this request (${SHOP}).`);
+    }
+    ok(res, { product_id: req.body.product_id, date: req.body.start_date, gmv: 120.5, units_sold: 7, views: 900 });
+  });
+
+  app.post('/v2/affiliate/creator/orders/', authenticate, listing({ scope: AFFILIATE, list: 'orders' }, (index, body) => ({
+    order_id: `order-${index + 1}`,
+    creator_id: body.creator_id || `creator-${(index % 3) + 1}`,
+    product_id: `prod-${(index % 5) + 1}`,
+    date: recordDate(index, body),
+    gmv: 30 + index,
+    commission: 3 + index / 10
+  })));
+
+  app.post('/v2/affiliate/seller/analytics/', authenticate, listing({ scope: AFFILIATE, list: 'analytics' }, (index, body) => ({
+    date: recordDate(index, body),
+    gmv: 1000 + index,
+    commission: 100 + index,
+    orders: 10 + index
+  })));
+
+  app.post('/v2/affiliate/creator/content/', authenticate, listing({ scope: AFFILIATE, list: 'contents' }, (index, body) => ({
+    content_id: `content-${index + 1}`,
+    creator_id: body.creator_id,
+    date: recordDate(index, body),
+    views: 2000 + index,
+    gmv: 50 + index
+  })));
+
+  app.use((req, res) => apiError(res, 404, 'not_found', `The mock has no ${req.method} ${req.path}`));
+
+  // Listen on a port (0: any free one); resolves to { url, close }
+  mock.listen = (port = 0) => new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      mock.url = url;
+      resolve({ url, server, close: () => new Promise((done) => server.close(done)) });
+    });
+    server.on('error', reject);
+  });
+
+  return mock;
+}
+
+module.exports = createTikTokMock;
+
+if (require.main === module) {
+  const mock = createTikTokMock({
+    clientKey: process.env.TIKTOK_CLIENT_KEY,
+    clientSecret: process.env.TIKTOK_CLIENT_SECRET
+  });
+  mock.listen(Number(process.env.MOCK_PORT) || 7788).then(({ url }) => {
+    console.log(`🧪 TikTok mock running at ${url}`);
+    console.log(`   Start the server with TIKTOK_API_BASE_URL=${url} TIKTOK_AUTH_BASE_URL=${url}`);
+    console.log(`   and the same TIKTOK_CLIENT_KEY / TIKTOK_CLIENT_SECRET (now ${mock.config.clientKey} / ${mock.config.clientSecret})`);
+  });
+}
@@ -0,0 +1,196 @@
+// Build and validate post_info for direct posts against the creator's live creator_info
+// (https://developers.tiktok.com/doc/content-sharing-guidelines)
+
+const PRIVACY_LEVELS = ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY'];
+const MAX_TITLE_LENGTH = 2200;
+const MAX_PHOTO_TITLE_LENGTH = 90;
+const MAX_PHOTO_DESCRIPTION_LENGTH = 4000;
+
+// Interaction toggles and the creator_info flag that forces them off
+const INTERACTIONS = {
+  disable_comment: 'comment_disabled',
+  disable_duet: 'duet_disabled',
+  disable_stitch: 'stitch_disabled'
+};
+
+const BOOLEAN_FIELDS = [...Object.keys(INTERACTIONS), 'brand_content_toggle', 'brand_organic_toggle', 'is_aigc'];
+
+// Multipart form fields arrive as strings, JSON bodies as real booleans
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  return null;
+}
+
+function parseInteger(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) ? number : null;
+}
+
+// Turn a request body into post_info, collecting every rule it breaks
+// creatorInfo: data from /v2/post/publish/creator_info/query/
+// durationSec: video length when known (local files), used for max_video_post_duration_sec
+function buildPostInfo(input, creatorInfo, { durationSec } = {}) {
+  const violations = [];
+  const violation = (field, code, message, extra = {}) => violations.push({ field, code, message, ...extra });
+
+  const postInfo = {};
+
+  // Title
+  if (typeof input.title !== 'string' || input.title.trim() === '') {
+    violation('title', 'required', 'title is required');
+  } else if (input.title.length > MAX_TITLE_LENGTH) {
+    violation('title', 'too_long', `title must be at most ${MAX_TITLE_LENGTH} characters`);
+  } else {
+    postInfo.title = input.title;
+  }
+
+  // Privacy level - must be one the creator's account currently offers
+  const allowedPrivacy = creatorInfo.privacy_level_options || PRIVACY_LEVELS;
+  const privacyLevel = input.privacy_level || 'PUBLIC_TO_EVERYONE';
+  if (!allowedPrivacy.includes(privacyLevel)) {
+    violation('privacy_level', 'not_allowed', `privacy_level ${privacyLevel} is not available for this creator`, { allowed: allowedPrivacy });
+  } else {
+    postInfo.privacy_level = privacyLevel;
+  }
+
+  // Boolean toggles
+  const toggles = {};
+  for (const field of BOOLEAN_FIELDS) {
+    const value = parseBoolean(input[field]);
+    if (value === null) {
+      violation(field, 'invalid_type', `${field} must be true or false`);
+    } else {
+      toggles[field] = value;
+    }
+  }
+
+  // Interactions the creator disabled in the app stay disabled; asking to enable them is an error
+  for (const [field, creatorFlag] of Object.entries(INTERACTIONS)) {
+    if (creatorInfo[creatorFlag]) {
+      if (toggles[field] === false) {
+        violation(field, 'interaction_disabled', `The creator has disabled ${field.replace('disable_', '')}s for their account`);
+      }
+      postInfo[field] = true;
+    } else {
+      postInfo[field] = toggles[field] || false;
+    }
+  }
+
+  // Commercial content disclosure
+  if (toggles.brand_content_toggle !== undefined) {
+    postInfo.brand_content_toggle = toggles.brand_content_toggle;
+  }
+  if (toggles.brand_organic_toggle !== undefined) {
+    postInfo.brand_organic_toggle = toggles.brand_organic_toggle;
+  }
+  if (toggles.brand_content_toggle && privacyLevel === 'SELF_ONLY') {
+    violation('privacy_level', 'branded_content_private', 'Branded content cannot be posted with privacy_level SELF_ONLY');
+  }
+
+  // AI-generated content label
+  if (toggles.is_aigc !== undefined) {
+    postInfo.is_aigc = toggles.is_aigc;
+  }
+
+  // Cover frame
+  const coverTimestamp = parseInteger(input.video_cover_timestamp_ms);
+  if (coverTimestamp === null || coverTimestamp < 0) {
+    violation('video_cover_timestamp_ms', 'invalid_value', 'video_cover_timestamp_ms must be a non-negative integer');
+  } else if (coverTimestamp !== undefined) {
+    if (durationSec && coverTimestamp > durationSec * 1000) {
+      violation('video_cover_timestamp_ms', 'out_of_range', `video_cover_timestamp_ms is beyond the end of the ${durationSec.toFixed(1)}s video`);
+    }
+    postInfo.video_cover_timestamp_ms = coverTimestamp;
+  } else {
+    postInfo.video_cover_timestamp_ms = 1000;
+  }
+
+  // Video length
+  const maxDuration = creatorInfo.max_video_post_duration_sec;
+  if (durationSec && maxDuration && durationSec > maxDuration) {
+    violation('video', 'too_long', `Video is ${durationSec.toFixed(1)}s; this creator can post at most ${maxDuration}s`, { max_video_post_duration_sec: maxDuration });
+  }
+
+  return { postInfo, violations };
+}
+
+// post_info for photo posts (content/init with media_type PHOTO)
+// mode 'direct' is checked against creatorInfo like videos; 'inbox' (MEDIA_UPLOAD) only
+// carries title and description, the rest is chosen by the user in the TikTok app
+function buildPhotoPostInfo(input, creatorInfo, { mode }) {
+  const violations = [];
+  const violation = (field, code, message, extra = {}) => violations.push({ field, code, message, ...extra });
+
+  const postInfo = {};
+
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || input.title.length > MAX_PHOTO_TITLE_LENGTH) {
+      violation('title', 'too_long', `title must be a string of at most ${MAX_PHOTO_TITLE_LENGTH} characters`);
+    } else {
+      postInfo.title = input.title;
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_PHOTO_DESCRIPTION_LENGTH) {
+      violation('description', 'too_long', `description must be a string of at most ${MAX_PHOTO_DESCRIPTION_LENGTH} characters`);
+    } else {
+      postInfo.description = input.description;
+    }
+  }
+
+  if (mode !== 'direct') {
+    return { postInfo, violations };
+  }
+
+  const allowedPrivacy = creatorInfo.privacy_level_options || PRIVACY_LEVELS;
+  const privacyLevel = input.privacy_level || 'PUBLIC_TO_EVERYONE';
+  if (!allowedPrivacy.includes(privacyLevel)) {
+    violation('privacy_level', 'not_allowed', `privacy_level ${privacyLevel} is not available for this creator`, { allowed: allowedPrivacy });
+  } else {
+    postInfo.privacy_level = privacyLevel;
+  }
+
+  const toggles = {};
+  for (const field of ['disable_comment', 'auto_add_music', 'brand_content_toggle', 'brand_organic_toggle']) {
+    const value = parseBoolean(input[field]);
+    if (value === null) {
+      violation(field, 'invalid_type', `${field} must be true or false`);
+    } else if (value !== undefined) {
+      toggles[field] = value;
+    }
+  }
+
+  if (creatorInfo.comment_disabled) {
+    if (toggles.disable_comment === false) {
+      violation('disable_comment', 'interaction_disabled', 'The creator has disabled comments for their account');
+    }
+    toggles.disable_comment = true;
+  }
+  if (toggles.brand_content_toggle && privacyLevel === 'SELF_ONLY') {
+    violation('privacy_level', 'branded_content_private', 'Branded content cannot be posted with privacy_level SELF_ONLY');
+  }
+
+  Object.assign(postInfo, { disable_comment: false }, toggles);
+  return { postInfo, violations };
+}
+
+module.exports = {
+  buildPostInfo,
+  buildPhotoPostInfo,
+  PRIVACY_LEVELS
+};
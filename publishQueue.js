@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// TikTok publish statuses that end a job
+const FINAL_STATUSES = {
+  PUBLISH_COMPLETE: 'completed',
+  SEND_TO_USER_INBOX: 'completed',
+  FAILED: 'failed'
+};
+
+const MAX_HISTORY = 50;
+// Result webhook deliveries: tries, and the wait before the second one (doubling after that)
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Asynchronous publish jobs
+// A job is queued by a route, uploaded by the handler registered for its type, then
+// polled through status/fetch until TikTok reports a final status. Jobs are kept in a
+// storage backend so they survive restarts, and an optional webhook receives the result.
+//
+// Job statuses: queued -> uploading -> processing -> completed | failed
+//                queued -> cancelled (account disconnected before the job started)
+class PublishQueue {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.fetchStatus = options.fetchStatus; // async (openId, publishId) => status/fetch data
+    this.resumeUpload = options.resumeUpload || null; // async (uploadId) => continue an upload from its checkpoint
+    this.concurrency = options.concurrency || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.pollTimeoutMs = options.pollTimeoutMs || 30 * 60 * 1000;
+    this.webhookUrl = options.webhookUrl || null;
+    this.webhookSecret = options.webhookSecret || null;
+    this.webhookRetryDelayMs = options.webhookRetryDelayMs || WEBHOOK_RETRY_DELAY_MS;
+    this.onDiscard = options.onDiscard || (async () => {}); // called with the payload of jobs that will never run
+    this.handlers = new Map();
+    this.active = new Map();
+    this.changing = new Map(); // job id -> last pending change, see withJob
+    this.delivering = new Set(); // result webhooks still being sent, see notifyInBackground
+    this.pollTimer = null;
+    this.polling = null;
+    this.kicking = null;
+    this.kickAgain = false;
+    this.started = false;
+    this.paused = false;
+  }
+
+  // handler: async (job, { setPublishId, setUploadId }) => publish_id, once init and upload are done
+  // It should call setPublishId right after init so a restart doesn't post twice, and
+  // setUploadId once the upload is checkpointed so a restart can continue it
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, openId, payload, { webhookUrl } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      open_id: openId,
+      status: 'queued',
+      payload,
+      webhook_url: webhookUrl || null,
+      publish_id: null,
+      upload_id: null,
+      tiktok_status: null,
+      result: null,
+      error: null,
+      history: [{ at: now, status: 'queued', message: 'Job queued' }],
+      created_at: now,
+      updated_at: now,
+      processing_since: null, // when TikTok got the whole video; the poll timeout counts from here
+      finished_at: null
+    };
+    await this.store.set(job.id, job);
+
+    this.kick();
+    return job;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list({ status, openId } = {}) {
+    const jobs = await this.store.list();
+    return jobs
+      .filter((job) => (!status || job.status === status) && (!openId || job.open_id === openId))
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  async findByPublishId(publishId) {
+    const jobs = await this.store.list();
+    return jobs.find((job) => job.publish_id === publishId) || null;
+  }
+
+  // Apply changes to a job, recording a history entry
+  update(id, changes, message) {
+    return this.withJob(id, (job) => this.write(job, changes, message));
+  }
+
+  // Read a job and pass it to change (async (job) => job) once every earlier change to the
+  // same job is stored, so polling, webhook events and the job itself never overwrite each
+  // other's updates. Resolves to null when the job doesn't exist.
+  withJob(id, change) {
+    const previous = this.changing.get(id) || Promise.resolve();
+    const result = previous.then(async () => {
+      const job = await this.store.get(id);
+      return job ? change(job) : null;
+    });
+
+    const settled = result.catch(() => {});
+    this.changing.set(id, settled);
+    settled.then(() => {
+      if (this.changing.get(id) === settled) {
+        this.changing.delete(id);
+      }
+    });
+    return result;
+  }
+
+  async write(job, changes, message) {
+    Object.assign(job, changes, { updated_at: Date.now() });
+    if (message) {
+      job.history.push({ at: job.updated_at, status: job.status, message });
+      job.history = job.history.slice(-MAX_HISTORY);
+    }
+    await this.store.set(job.id, job);
+    return job;
+  }
+
+  // Resume work after a restart: jobs cut off mid-upload start over unless TikTok
+  // already handed out a publish_id. Those continue their upload from the last completed
+  // chunk, or are simply polled again when nothing was being uploaded (PULL_FROM_URL).
+  // Returns the jobs whose upload continues.
+  async recover() {
+    const interrupted = [];
+    for (const job of await this.store.list()) {
+      if (job.status === 'uploading' && !job.publish_id) {
+        await this.update(job.id, { status: 'queued' }, 'Requeued after restart');
+      } else if (job.status === 'uploading' && job.upload_id && this.resumeUpload) {
+        interrupted.push(await this.update(job.id, {}, 'Upload interrupted by restart; resuming from the last completed chunk'));
+      } else if (job.status === 'uploading') {
+        await this.update(job.id, { status: 'processing', processing_since: Date.now() }, 'Upload interrupted by restart; polling TikTok for the outcome');
+      }
+    }
+    return interrupted;
+  }
+
+  // Only marked started once recovery worked, so start() can be called again after it failed
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    const interrupted = await this.recover();
+    if (this.started) {
+      return; // started by another call meanwhile
+    }
+    this.started = true;
+
+    for (const job of interrupted) {
+      this.track(job.id, this.continueUpload(job));
+    }
+    this.pollTimer = setInterval(() => this.pollAll(), this.pollIntervalMs);
+    this.pollTimer.unref();
+    this.kick();
+  }
+
+  // Stop taking new work and wait for running uploads and polls
+  async stop() {
+    this.started = false;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    await Promise.allSettled([...this.active.values(), this.polling]);
+    await Promise.allSettled([...this.delivering]);
+  }
+
+  // Stop starting queued jobs (they stay queued); running jobs and status polling carry on
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.kick();
+  }
+
+  // Start queued jobs while there are free worker slots (one scan at a time)
+  kick() {
+    if (this.kicking) {
+      this.kickAgain = true;
+      return this.kicking;
+    }
+
+    this.kicking = this.startQueued()
+      .catch((error) => logger.error('Failed to start queued jobs', error))
+      .finally(() => {
+        this.kicking = null;
+        if (this.kickAgain) {
+          this.kickAgain = false;
+          this.kick();
+        }
+      });
+    return this.kicking;
+  }
+
+  async startQueued() {
+    if (!this.started || this.paused || this.active.size >= this.concurrency) {
+      return;
+    }
+
+    const queued = (await this.store.list())
+      .filter((job) => job.status === 'queued' && !this.active.has(job.id))
+      .sort((a, b) => a.created_at - b.created_at);
+
+    for (const job of queued.slice(0, this.concurrency - this.active.size)) {
+      this.track(job.id, this.process(job));
+    }
+  }
+
+  // Count running work against the concurrency limit until it settles
+  track(id, work) {
+    const running = work.finally(() => {
+      this.active.delete(id);
+      this.kick();
+    });
+    this.active.set(id, running);
+  }
+
+  async process(job) {
+    // A job cancelled since it was picked from the list stays cancelled
+    const started = await this.withJob(job.id, (current) => (
+      current.status === 'queued' ? this.write(current, { status: 'uploading' }, 'Upload started') : null
+    ));
+    if (!started) {
+      return;
+    }
+
+    try {
+      const handler = this.handlers.get(job.type);
+      const publishId = await handler(job, {
+        setPublishId: (publish_id) => this.update(job.id, { publish_id }, `TikTok publish_id ${publish_id}`),
+        setUploadId: (upload_id) => this.update(job.id, { upload_id }, `Uploading as ${upload_id}`)
+      });
+      await this.update(job.id, { status: 'processing', publish_id: publishId, processing_since: Date.now() }, 'Uploaded; waiting for TikTok to publish');
+    } catch (error) {
+      logger.error('Publish job failed', { job_id: job.id, error });
+      await this.finish(job.id, 'failed', { error: error.message }, 'Upload failed');
+    }
+  }
+
+  // Finish the upload of a job interrupted by a restart, then wait for TikTok as usual
+  async continueUpload(job) {
+    try {
+      await this.resumeUpload(job.upload_id);
+      await this.update(job.id, { status: 'processing', processing_since: Date.now() }, 'Uploaded; waiting for TikTok to publish');
+    } catch (error) {
+      logger.error('Resuming publish job upload failed', { job_id: job.id, upload_id: job.upload_id, error });
+      await this.finish(job.id, 'failed', { error: error.message }, 'Upload failed');
+    }
+  }
+
+  // Poll status/fetch for every job TikTok is still processing
+  pollAll() {
+    if (this.polling) {
+      return this.polling;
+    }
+
+    this.polling = (async () => {
+      const processing = (await this.store.list()).filter((job) => job.status === 'processing');
+      for (const job of processing) {
+        await this.poll(job).catch((error) => {
+          logger.warn('Status check failed', { job_id: job.id, error });
+        });
+      }
+    })().finally(() => {
+      this.polling = null;
+    });
+    return this.polling;
+  }
+
+  async poll(job) {
+    const data = await this.fetchStatus(job.open_id, job.publish_id);
+    await this.applyStatus(job.id, data);
+
+    // Time spent waiting in the queue or uploading doesn't count (jobs stored before processing_since
+    // existed fall back to their creation time)
+    const latest = await this.store.get(job.id);
+    if (latest.status === 'processing' && Date.now() - (latest.processing_since || latest.created_at) > this.pollTimeoutMs) {
+      await this.finish(job.id, 'failed', { error: 'Timed out waiting for TikTok to finish publishing' }, 'Timed out');
+    }
+  }
+
+  // Record a status reported by TikTok (from polling or a webhook event)
+  async applyStatus(id, data) {
+    const final = FINAL_STATUSES[data.status];
+    if (final) {
+      // Post ids that arrived by webhook before the final status are kept
+      return this.finish(id, final, (job) => {
+        const earlier = (job.result && job.result.publicaly_available_post_id) || [];
+        const postIds = [...new Set([...earlier, ...(data.publicaly_available_post_id || [])])];
+        return {
+          tiktok_status: data.status,
+          result: postIds.length > 0 ? { ...data, publicaly_available_post_id: postIds } : data,
+          error: data.fail_reason || null
+        };
+      }, `TikTok status ${data.status}`);
+    }
+
+    return this.withJob(id, (job) => {
+      if (job.finished_at || data.status === job.tiktok_status) {
+        return job;
+      }
+      return this.write(job, { tiktok_status: data.status }, `TikTok status ${data.status}`);
+    });
+  }
+
+  // Add a post id TikTok reports once the video is public, which can be after the job finished
+  addPublicPostId(id, postId) {
+    return this.withJob(id, (job) => {
+      const result = job.result || {};
+      const postIds = result.publicaly_available_post_id || [];
+      if (postIds.includes(postId)) {
+        return job;
+      }
+      return this.write(job, { result: { ...result, publicaly_available_post_id: [...postIds, postId] } }, `Publicly available as post ${postId}`);
+    });
+  }
+
+  // Cancel an account's jobs that haven't started yet, e.g. once the account is disconnected
+  // (jobs already uploading or processing carry on, and fail without the account's tokens)
+  // Resolves to the cancelled jobs.
+  async cancelQueued(openId, reason) {
+    const cancelled = [];
+    for (const { id } of await this.list({ status: 'queued', openId })) {
+      const job = await this.withJob(id, (current) => (
+        current.status === 'queued'
+          ? this.write(current, { status: 'cancelled', error: reason, finished_at: Date.now() }, `Cancelled: ${reason}`)
+          : null
+      ));
+      if (job) {
+        metrics.publishResults.inc({ type: job.type, status: 'cancelled' });
+        await this.onDiscard(job.payload);
+        this.notifyInBackground(job);
+        cancelled.push(job);
+      }
+    }
+    return cancelled;
+  }
+
+  // End a job once; a job that already finished (e.g. through a webhook event while it was being
+  // polled) is left as it is and not reported again
+  // changes may be a function of the stored job, for changes that depend on it
+  async finish(id, status, changes, message) {
+    let finished = false;
+    const job = await this.withJob(id, (current) => {
+      if (current.finished_at) {
+        return current;
+      }
+      finished = true;
+      const finalChanges = typeof changes === 'function' ? changes(current) : changes;
+      return this.write(current, { ...finalChanges, status, finished_at: Date.now() }, message);
+    });
+    if (finished) {
+      metrics.publishResults.inc({ type: job.type, status });
+      this.notifyInBackground(job);
+    }
+    return job;
+  }
+
+  // Send the result webhook without holding up the caller: a worker slot, the status polling of
+  // every other job or a disconnect would otherwise wait out the retries of a dead URL
+  notifyInBackground(job) {
+    const delivery = this.notify(job)
+      .catch((error) => logger.error('Job webhook failed', { job_id: job.id, error }))
+      .finally(() => this.delivering.delete(delivery));
+    this.delivering.add(delivery);
+  }
+
+  // POST the final result to the configured webhook, signed with HMAC-SHA256 when a secret is set
+  async notify(job) {
+    const url = job.webhook_url || this.webhookUrl;
+    if (!url) {
+      return;
+    }
+
+    const { payload, history, ...summary } = job;
+    const body = JSON.stringify({ event: `publish.${job.status}`, job: summary });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      headers['X-Webhook-Signature'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await axios.post(url, body, { headers, timeout: 10000 });
+        await this.update(job.id, {}, 'Webhook delivered');
+        return;
+      } catch (error) {
+        if (attempt === WEBHOOK_ATTEMPTS) {
+          logger.error('Job webhook failed, giving up', { job_id: job.id, attempts: attempt, error });
+          break;
+        }
+        logger.warn('Job webhook failed', { job_id: job.id, attempt, error });
+        await sleep(this.webhookRetryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    await this.update(job.id, {}, 'Webhook delivery failed');
+  }
+}
+
+module.exports = PublishQueue;
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
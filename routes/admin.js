@@ -0,0 +1,138 @@
+const express = require('express');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const { checkReadiness, publicChecks } = require('../healthChecks');
+const { config, tokenStorage, lifecycle } = require('../services');
+const { errorBody, requireRole, optionalRole, allowsAccount } = require('./common');
+
+// Server status, health checks, metrics, endpoint index and shutdown
+const router = express.Router();
+
+// Every route registered on the app, as { path: [methods] }
+// Routers are mounted at the root, so route paths are already complete
+function listRoutes(app) {
+  const routes = {};
+  const visit = (stack) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const methods = Object.keys(layer.route.methods).map((method) => method.toUpperCase());
+        routes[layer.route.path] = [...new Set([...(routes[layer.route.path] || []), ...methods])];
+      } else if (layer.handle && layer.handle.stack) {
+        visit(layer.handle.stack);
+      }
+    }
+  };
+  visit(app._router.stack);
+  return routes;
+}
+
+
+// Liveness: the process is up and answering (restart it when this fails)
+// /health is kept for existing monitors; use /health/ready to know whether requests can be served
+function liveness(req, res) {
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+}
+
+router.get('/health', liveness);
+router.get('/health/live', liveness);
+
+// Readiness: configuration, token storage and per-account token state; 503 when not ready
+// Without a credential only the outcome of each check is shown; callers with read access also
+// get the problems found and the per-account details (only for their accounts)
+router.get('/health/ready', optionalRole('read'), async (req, res) => {
+  try {
+    const report = await checkReadiness({ tokenStorage, lifecycle, config });
+    const body = { status: report.status, timestamp: new Date().toISOString(), checks: publicChecks(report.checks) };
+    if (req.principal) {
+      body.checks = report.checks;
+      body.accounts = report.accounts.filter((account) => allowsAccount(req, account));
+    }
+    res.status(report.status === 'not_ready' ? 503 : 200).json(body);
+  } catch (err) {
+    logger.error('Readiness check error', err);
+    res.status(503).json({ status: 'not_ready', error: 'Readiness check failed', details: req.principal ? err.message : undefined });
+  }
+});
+
+// Prometheus metrics (text exposition format); scrape with an API key as bearer token
+router.get('/metrics', requireRole('read', { allAccounts: true }), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.CONTENT_TYPE).send(await metrics.registry.render());
+  } catch (err) {
+    logger.error('Metrics error', err);
+    res.status(500).json({ error: 'Metrics failed', details: err.message });
+  }
+});
+
+// Lifecycle state: draining/stopping, paused publishing and the work still running
+router.get('/lifecycle', requireRole('admin', { allAccounts: true }), (req, res) => {
+  res.json(lifecycle.status());
+});
+
+// Drain: refuse new requests (health checks, metrics and these controls still answer) and stop
+// starting publish jobs, while in-flight work finishes; readiness reports not_ready meanwhile
+router.post('/lifecycle/drain', requireRole('admin', { allAccounts: true }), (req, res) => {
+  res.json(lifecycle.drain());
+});
+
+router.post('/lifecycle/resume', requireRole('admin', { allAccounts: true }), (req, res) => {
+  res.json(lifecycle.resume());
+});
+
+// Pause publishing: new and scheduled posts are queued but not started until resumed
+router.post('/publishing/pause', requireRole('admin', { allAccounts: true }), (req, res) => {
+  res.json(lifecycle.pausePublishing());
+});
+
+router.post('/publishing/resume', requireRole('admin', { allAccounts: true }), (req, res) => {
+  try {
+    res.json(lifecycle.resumePublishing());
+  } catch (err) {
+    res.status(err.status || 500).json(errorBody('Resuming publishing failed', err));
+  }
+});
+
+// Root endpoint with basic info
+router.get('/', requireRole('read'), (req, res) => {
+  res.json({
+    name: 'TikTok OAuth2 Server',
+    version: '1.0.0',
+    status: 'running',
+    endpoints: listRoutes(req.app)
+  });
+});
+
+// 9. Shutdown endpoint - gracefully shut down the server
+// Stops accepting requests, lets running uploads, publish jobs and token refreshes finish
+// (up to SHUTDOWN_TIMEOUT_SECONDS), flushes storage, then exits; only this process is stopped
+router.post('/shutdown', requireRole('admin', { allAccounts: true }), (req, res) => {
+  logger.info('Shutdown request received');
+
+  res.status(202).json({
+    success: true,
+    message: 'Server shutdown initiated',
+    lifecycle: lifecycle.status(),
+    timestamp: new Date().toISOString()
+  });
+  res.on('finish', () => lifecycle.shutdown('POST /shutdown'));
+});
+
+// Shutdown without the grace period, for a server that has to go now
+// Running work gets a couple of seconds (uploads can be resumed after the restart); storage is
+// still flushed and closed before the process exits. Also cuts short a graceful shutdown in progress.
+router.post('/shutdown/force', requireRole('admin', { allAccounts: true }), (req, res) => {
+  logger.warn('Forced shutdown request received');
+  res.json({
+    success: true,
+    message: 'Server exiting now',
+    timestamp: new Date().toISOString()
+  });
+  res.on('finish', () => lifecycle.forceShutdown('POST /shutdown/force'));
+});
+
+module.exports = router;
+module.exports.listRoutes = listRoutes;
@@ -0,0 +1,109 @@
+const express = require('express');
+const logger = require('../logger');
+const { warehouse, warehouseSync } = require('../services');
+const { PRODUCT_METRICS, CREATOR_METRICS } = require('../warehouse');
+const { parseDateRange, MAX_EXPORT_DAYS } = require('../exporter');
+const { httpError, errorBody, requireRole, resolveAccount, resolveAccountFilter } = require('./common');
+
+// Aggregates over the local analytics warehouse (synced from the shop/affiliate APIs)
+const router = express.Router();
+
+// Validated ?limit= for top lists
+function parseLimit(query) {
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw httpError(400, 'limit must be an integer between 1 and 100');
+  }
+  return limit;
+}
+
+function parseMetric(query, metrics) {
+  const metric = query.metric || 'gmv';
+  if (!metrics.includes(metric)) {
+    throw httpError(400, `metric must be one of: ${metrics.join(', ')}`);
+  }
+  return metric;
+}
+
+// Sync now - one account (with an account selector) or every connected account, in the background
+// Needs publish: a sync spends the accounts' TikTok rate limits, which reading the warehouse doesn't
+router.post('/analytics/sync', requireRole('publish'), async (req, res) => {
+  try {
+    const openId = await resolveAccountFilter(req);
+
+    const pending = openId ? warehouseSync.syncAccount(openId) : warehouseSync.syncAll();
+    pending.catch((error) => logger.error('Warehouse sync failed', error));
+
+    res.status(202).json({ success: true, message: 'Sync started', open_id: openId });
+  } catch (err) {
+    logger.error('Warehouse sync error', err);
+    res.status(err.status || 500).json(errorBody('Sync failed', err));
+  }
+});
+
+// Sync progress - how far each dataset is synced
+router.get('/analytics/sync', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccountFilter(req);
+    res.json({
+      last_run: warehouseSync.lastRun,
+      running: Array.from(warehouseSync.inFlight.keys()),
+      datasets: warehouse.syncState(openId)
+    });
+  } catch (err) {
+    logger.error('Warehouse state error', err);
+    res.status(err.status || 500).json(errorBody('Sync state lookup failed', err));
+  }
+});
+
+// GMV, commission and orders per day
+router.get('/analytics/gmv', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const range = parseDateRange(req.query, { maxDays: MAX_EXPORT_DAYS });
+    res.json({ period: range, days: warehouse.gmvByDay(openId, range) });
+  } catch (err) {
+    logger.error('GMV query error', err);
+    res.status(err.status || 500).json(errorBody('GMV query failed', err));
+  }
+});
+
+// Top products over a range (?metric=gmv|units_sold|views)
+router.get('/analytics/top-products', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const range = parseDateRange(req.query, { maxDays: MAX_EXPORT_DAYS });
+    const metric = parseMetric(req.query, PRODUCT_METRICS);
+    res.json({ period: range, metric, products: warehouse.topProducts(openId, range, { metric, limit: parseLimit(req.query) }) });
+  } catch (err) {
+    logger.error('Top products query error', err);
+    res.status(err.status || 500).json(errorBody('Top products query failed', err));
+  }
+});
+
+// Top affiliate creators over a range (?metric=gmv|commission|orders)
+router.get('/analytics/top-creators', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const range = parseDateRange(req.query, { maxDays: MAX_EXPORT_DAYS });
+    const metric = parseMetric(req.query, CREATOR_METRICS);
+    res.json({ period: range, metric, creators: warehouse.topCreators(openId, range, { metric, limit: parseLimit(req.query) }) });
+  } catch (err) {
+    logger.error('Top creators query error', err);
+    res.status(err.status || 500).json(errorBody('Top creators query failed', err));
+  }
+});
+
+// Period-over-period: totals for a range against the same number of days right before it
+router.get('/analytics/compare', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const range = parseDateRange(req.query, { maxDays: MAX_EXPORT_DAYS });
+    res.json(warehouse.comparePeriods(openId, range));
+  } catch (err) {
+    logger.error('Period comparison error', err);
+    res.status(err.status || 500).json(errorBody('Period comparison failed', err));
+  }
+});
+
+module.exports = router;
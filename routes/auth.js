@@ -0,0 +1,400 @@
+const express = require('express');
+const axios = require('axios');
+const qs = require('querystring');
+const crypto = require('crypto');
+const logger = require('../logger');
+const { tiktokApp, accountApp, tokenStorage, tokenRefresher, loginLinks, accountEvents, disconnectAccount } = require('../services');
+const { requestedScopes, parseScopes } = require('../scopes');
+const { tiktokLogId, REQUEST_TIMEOUT_MS } = require('../tiktokClient');
+const { LINK_PARAMS } = require('../loginLinks');
+const { serverUrl, httpError, errorBody, requireRole, allowsAccount, resolveAccount } = require('./common');
+
+// OAuth login flow and connected account management
+const router = express.Router();
+
+// Pending login attempts, keyed by their OAuth state
+// Each entry holds the PKCE verifier for that attempt, so concurrent logins never share one
+const LOGIN_SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const loginSessions = new Map();
+
+// Drop login attempts that were abandoned before reaching the callback
+function pruneLoginSessions() {
+  const now = Date.now();
+  for (const [state, session] of loginSessions) {
+    if (session.expires_at <= now) {
+      loginSessions.delete(state);
+    }
+  }
+}
+
+setInterval(pruneLoginSessions, 60 * 1000).unref();
+
+// Generate random string for code verifier (TikTok's character set, crypto-secure source)
+function generateRandomString(length) {
+  var result = '';
+  var characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+  var charactersLength = characters.length;
+  for (var i = 0; i < length; i++) {
+    result += characters.charAt(crypto.randomInt(charactersLength));
+  }
+  return result;
+}
+
+// Generate PKCE code verifier and challenge (TikTok's official method)
+function generatePKCE() {
+  // Generate random code verifier (43-128 characters as per TikTok docs)
+  const verifier = generateRandomString(64); // Using 64 characters for good entropy
+  
+  // Generate code challenge using SHA256 with hex encoding (TikTok's method)
+  const challenge = crypto.createHash('sha256').update(verifier).digest('hex');
+  
+  return { verifier, challenge };
+}
+
+// /auth/login is opened in a browser, which can't send an API key: besides an admin credential it
+// takes a signed link (expires and signature parameters) from POST /auth/login-links, or the
+// consent_url/login_url of an error response
+const requireAdmin = requireRole('admin');
+function adminOrLoginLink(req, res, next) {
+  if (req.query.signature === undefined) {
+    return requireAdmin(req, res, next);
+  }
+  try {
+    loginLinks.verify(req.query);
+  } catch (err) {
+    return res.status(err.status || 401).json(errorBody('Login failed', err));
+  }
+  req.principal = null;
+  next();
+}
+
+// 1. Redirect user to TikTok auth page with PKCE
+// ?scope= picks the scopes to ask for (default: the app's TIKTOK_SCOPES or the non-shop scopes). With ?account=
+// the account's already granted scopes are asked for again too, so adding a scope never drops another,
+// and the login has to come back as that account.
+// ?app= picks the TikTok app to connect through (default: TIKTOK_DEFAULT_APP, or the account's app).
+router.get('/auth/login', adminOrLoginLink, async (req, res) => {
+  let scopes;
+  let app;
+  let account;
+  try {
+    account = typeof req.query.account === 'string' ? await tokenStorage.findAccount(req.query.account) : null;
+    if (account && !allowsAccount(req, account)) {
+      return res.status(403).json({ error: 'Forbidden', details: `This credential may not act for account ${req.query.account}` });
+    }
+    app = account ? accountApp(account) : tiktokApp(typeof req.query.app === 'string' ? req.query.app : null);
+    if (account && req.query.app && req.query.app !== app.name) {
+      return res.status(400).json({ error: 'Login failed', details: `Account ${req.query.account} is connected through TikTok app ${app.name}` });
+    }
+    scopes = requestedScopes(req.query.scope, app.scopes || undefined);
+    if (account && Array.isArray(account.scopes)) {
+      scopes = parseScopes([...account.scopes, ...scopes]);
+    }
+  } catch (err) {
+    return res.status(err.status || 500).json(errorBody('Login failed', err));
+  }
+
+  // Generate PKCE code verifier and challenge
+  const pkce = generatePKCE();
+
+  // Tie this attempt's verifier to a fresh random state for the callback
+  pruneLoginSessions();
+  const state = crypto.randomBytes(32).toString('hex');
+  loginSessions.set(state, {
+    verifier: pkce.verifier,
+    label: typeof req.query.label === 'string' ? req.query.label : null,
+    account: account ? account.open_id : null,
+    app: app.name,
+    scopes,
+    expires_at: Date.now() + LOGIN_SESSION_TTL_MS
+  });
+
+  const params = {
+    client_key: app.clientKey,
+    redirect_uri: app.redirectUri,
+    response_type: 'code',
+    scope: scopes.join(','),
+    state,
+    code_challenge: pkce.challenge,
+    code_challenge_method: 'S256'
+  };
+
+  const authUrl = `${app.authBaseUrl}/v2/auth/authorize/?${qs.stringify(params)}`;
+  res.redirect(authUrl);
+});
+
+// Login link for someone without an API key, e.g. the creator who owns the account: a signed
+// /auth/login link with the given account, app, label and scope (body or query), valid for 15 minutes
+router.post('/auth/login-links', requireAdmin, async (req, res) => {
+  try {
+    const params = { ...req.query, ...req.body };
+    const link = {};
+    for (const name of LINK_PARAMS) {
+      if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+        if (typeof params[name] !== 'string') {
+          throw httpError(400, `${name} must be a string`);
+        }
+        link[name] = params[name];
+      }
+    }
+
+    if (link.account) {
+      const account = await tokenStorage.findAccount(link.account);
+      if (!account || !allowsAccount(req, account)) {
+        throw httpError(404, `Account not found: ${link.account}`);
+      }
+      if (link.app && link.app !== accountApp(account).name) {
+        throw httpError(400, `Account ${link.account} is connected through TikTok app ${accountApp(account).name}`);
+      }
+      link.account = account.open_id;
+    } else {
+      tiktokApp(link.app);
+    }
+    if (link.scope) {
+      requestedScopes(link.scope);
+    }
+
+    const { query, expires_at } = loginLinks.sign(link);
+    res.status(201).json({ success: true, login_url: serverUrl(`/auth/login?${query}`), expires_at });
+  } catch (err) {
+    logger.error('Login link error', err);
+    res.status(err.status || 500).json(errorBody('Login link failed', err));
+  }
+});
+
+// Text from the callback's query or TikTok's response, for the HTML page shown after a login
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// 2. Callback endpoint to handle TikTok redirect with PKCE
+// Errors are sent as plain text: error and error_description come straight from the query
+// string, so a crafted link must not be able to put markup or scripts on this server's origin
+router.get('/auth/callback', async (req, res) => {
+  const { code, state } = req.query;
+
+  // Each state is single-use: take it out before doing anything else
+  const session = typeof state === 'string' ? loginSessions.get(state) : null;
+  if (!session) return res.status(400).type('text/plain').send('Unknown or already used login state. Please start again at /auth/login');
+  loginSessions.delete(state);
+
+  if (session.expires_at <= Date.now()) return res.status(400).type('text/plain').send('Login attempt expired. Please start again at /auth/login');
+
+  if (req.query.error) {
+    return res.status(400).type('text/plain').send(`Error: ${req.query.error}, Description: ${req.query.error_description || 'Authorization was not granted'}`);
+  }
+  if (!code) return res.status(400).type('text/plain').send('Missing code');
+
+  try {
+    const app = tiktokApp(session.app);
+    const requestData = new URLSearchParams({
+      client_key: app.clientKey,
+      client_secret: app.clientSecret,
+      code: code,
+      grant_type: 'authorization_code',
+      redirect_uri: app.redirectUri,
+      code_verifier: session.verifier
+    });
+
+    const tokenRes = await axios.post(tokenRefresher.tokenUrl(app), requestData, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    
+    if (tokenRes.data.error) {
+      logger.warn('TikTok token exchange rejected', { code: tokenRes.data.error, log_id: tiktokLogId(tokenRes) });
+      return res.status(400).type('text/plain').send(`Error: ${tokenRes.data.error}, Description: ${tokenRes.data.error_description}`);
+    }
+    if (!tokenRes.data.access_token) {
+      return res.status(400).type('text/plain').send('Access token not received');
+    }
+
+    const { access_token, refresh_token, expires_in, refresh_expires_in, open_id, scope } = tokenRes.data;
+    // A login for a connected account (new scopes, logging in again) must not connect another one
+    if (session.account && open_id !== session.account) {
+      logger.warn('Login came back as another account', { expected: session.account, open_id });
+      return res.status(400).type('text/plain').send(`Logged in as a different TikTok account than ${session.account}. Log in as that account and try again`);
+    }
+    // Users can untick scopes on TikTok's consent screen, so keep what was actually granted
+    const grantedScopes = scope ? parseScopes(scope) : null;
+    const declinedScopes = grantedScopes ? session.scopes.filter((requested) => !grantedScopes.includes(requested)) : [];
+    logger.info('Account connected', { open_id, app: app.name, scopes: grantedScopes, declined_scopes: declinedScopes, log_id: tiktokLogId(tokenRes) });
+
+    // Save tokens securely, keyed by the TikTok account that logged in
+    // Nothing may claim success when they weren't stored: the account wouldn't be usable
+    try {
+      await tokenStorage.saveTokens(open_id, {
+        access_token,
+        refresh_token,
+        expires_at: Date.now() + expires_in * 1000,
+        refresh_expires_at: refresh_expires_in ? Date.now() + refresh_expires_in * 1000 : null,
+        app: app.name,
+        ...(grantedScopes && { scopes: grantedScopes })
+      });
+    } catch (err) {
+      logger.error('Login tokens could not be stored', { open_id, error: err });
+      return res.status(500).type('text/plain').send('Logged in with TikTok, but the tokens could not be stored. Please try again at /auth/login');
+    }
+
+    // Apply the label requested at /auth/login, unless another account already uses it
+    if (session.label) {
+      const clash = await tokenStorage.findAccount(session.label);
+      if (!clash || clash.open_id === open_id) {
+        await tokenStorage.setLabel(open_id, session.label);
+      }
+    }
+
+    res.send(`
+      <h1>✅ Login Successful!</h1>
+      <p>Tokens acquired and stored securely for account <code>${escapeHtml(open_id)}</code>.</p>
+      ${grantedScopes ? `<p>Granted scopes: <code>${escapeHtml(grantedScopes.join(', '))}</code></p>` : ''}
+      ${declinedScopes.length > 0 ? `<p>⚠️ Not granted: <code>${escapeHtml(declinedScopes.join(', '))}</code>. Endpoints that need them will answer 403 with a link to grant them later.</p>` : ''}
+      <h2>Available Endpoints:</h2>
+      <ul>
+        <li><a href="/creator-info">Creator Info</a> - Get your TikTok profile info</li>
+        <li><a href="/user/info?fields=open_id,union_id,avatar_url,display_name,bio_description">User Info</a> - Get your TikTok user info</li>
+        <li><a href="/accounts">Accounts</a> - List connected TikTok accounts</li>
+        <li><a href="/health">Health Check</a> - Server status</li>
+      </ul>
+      <h3>API Usage:</h3>
+      <pre>
+POST /video/direct-post
+{
+  "account": "${escapeHtml(open_id)}",
+  "file_path": "/path/to/video.mp4",
+  "title": "Your video title"
+}
+
+GET /video/status?publish_id=YOUR_PUBLISH_ID
+      </pre>
+    `);
+  } catch (err) {
+    logger.error('Token exchange error', err);
+    res.status(500).type('text/plain').send('Token exchange failed');
+  }
+});
+
+// What a logout or account removal did, from its account event
+function disconnectView(event) {
+  return {
+    revoked: event.revoked,
+    revoke_error: event.revoke_error,
+    cancelled_jobs: event.cancelled_jobs,
+    cancelled_scheduled_posts: event.cancelled_scheduled_posts
+  };
+}
+
+// Log out: revoke the account's access with TikTok, forget its tokens and cancel its pending posts
+router.post('/auth/logout', requireRole('admin'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const { event } = await disconnectAccount(openId);
+    res.json({ success: true, open_id: openId, ...disconnectView(event) });
+  } catch (err) {
+    logger.error('Logout error', err);
+    res.status(err.status || 500).json(errorBody('Logout failed', err));
+  }
+});
+
+// Account events - logouts and deauthorizations, newest first (?open_id=, ?type=, ?limit=)
+router.get('/account-events', requireRole('admin', { allAccounts: true }), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+    const events = await accountEvents.list({ openId: req.query.open_id, type: req.query.type, limit });
+    res.json({ events });
+  } catch (err) {
+    logger.error('Account event list error', err);
+    res.status(500).json({ error: 'Account event list failed', details: err.message });
+  }
+});
+
+// Account management - list connected accounts (tokens are never returned)
+router.get('/accounts', requireRole('read'), async (req, res) => {
+  try {
+    const accounts = await tokenStorage.listAccounts();
+    res.json({ accounts: accounts.filter((account) => allowsAccount(req, account)) });
+  } catch (err) {
+    logger.error('Account list error', err);
+    res.status(500).json({ error: 'Account list failed', details: err.message });
+  }
+});
+
+// Account management - get a single account by open_id or label
+router.get('/accounts/:openId', requireRole('read'), async (req, res) => {
+  try {
+    const account = await tokenStorage.findAccount(req.params.openId);
+    if (!account || !allowsAccount(req, account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(tokenStorage.summarize(account));
+  } catch (err) {
+    logger.error('Account lookup error', err);
+    res.status(500).json({ error: 'Account lookup failed', details: err.message });
+  }
+});
+
+// Account management - rename an account's label
+router.patch('/accounts/:openId', requireRole('admin'), async (req, res) => {
+  try {
+    const { label } = req.body;
+    const account = await tokenStorage.findAccount(req.params.openId);
+    if (!account || !allowsAccount(req, account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (label !== null && label !== undefined && typeof label !== 'string') {
+      return res.status(400).json({ error: 'label must be a string or null' });
+    }
+
+    const clash = label && await tokenStorage.findAccount(label);
+    if (clash && clash.open_id !== account.open_id) {
+      return res.status(409).json({ error: 'label is already used by another account' });
+    }
+
+    await tokenStorage.setLabel(account.open_id, label);
+    res.json({ success: true, open_id: account.open_id, label: label || null });
+  } catch (err) {
+    logger.error('Account rename error', err);
+    res.status(500).json({ error: 'Account rename failed', details: err.message });
+  }
+});
+
+// Account management - refresh an account's tokens now
+router.post('/accounts/:openId/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await tokenStorage.findAccount(req.params.openId);
+    if (!account || !allowsAccount(req, account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { expires_at, refresh_expires_at } = await tokenRefresher.refresh(account.open_id);
+    res.json({ success: true, open_id: account.open_id, expires_at, refresh_expires_at });
+  } catch (err) {
+    logger.error('Account refresh error', err);
+    res.status(err.status || 500).json(errorBody('Account refresh failed', err));
+  }
+});
+
+// Account management - remove an account: its access is revoked with TikTok and its stored tokens deleted
+router.delete('/accounts/:openId', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await tokenStorage.findAccount(req.params.openId);
+    if (!account || !allowsAccount(req, account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { event } = await disconnectAccount(account.open_id);
+    res.json({ success: true, open_id: account.open_id, ...disconnectView(event) });
+  } catch (err) {
+    logger.error('Account removal error', err);
+    res.status(500).json({ error: 'Account removal failed', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const { config, tokenStorage, apiAuth, loginLinks } = require('../services');
+const { missingScopes } = require('../scopes');
+const { hasRole } = require('../apiAuth');
+
+// Helpers shared by the routers
+
+// Absolute link to one of this server's endpoints (under PUBLIC_BASE_URL when set)
+function serverUrl(pathAndQuery) {
+  return `${config.baseUrl}${pathAndQuery}`;
+}
+
+// Signed /auth/login link that can be opened in a browser without credentials (see loginLinks.js)
+function loginUrl(params) {
+  return serverUrl(`/auth/login?${loginLinks.sign(params).query}`);
+}
+
+// Build an error that carries the HTTP status a route should respond with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// JSON body for a failed request
+// Re-authentication errors point the caller at the login flow instead of looking like a server fault
+function errorBody(message, err) {
+  const body = {
+    error: message,
+    details: err.response?.data || err.message
+  };
+  if (err.code === 'reauth_required') {
+    body.reauth_required = true;
+    body.account = err.openId;
+    body.login_url = err.openId ? loginUrl({ account: err.openId }) : serverUrl('/auth/login');
+  }
+  if (err.missingScopes) {
+    body.missing_scopes = err.missingScopes;
+    body.consent_url = err.consentUrl;
+  }
+  if (err.logId) {
+    body.log_id = err.logId; // quote this in support tickets with TikTok
+  }
+  if (err.status === 429 && err.retryAfterMs) {
+    body.retry_after = Math.ceil(err.retryAfterMs / 1000);
+  }
+  if (err.violations) {
+    body.violations = err.violations;
+  }
+  if (err.uploadId) {
+    body.upload_id = err.uploadId;
+    body.resume_url = serverUrl(`/video/uploads/${err.uploadId}/resume`);
+  }
+  return body;
+}
+
+// Middleware: authenticate the caller (API key or JWT) and require at least the given role
+// With allAccounts the credential must not be limited to some accounts (server-wide operations)
+function requireRole(role, { allAccounts = false } = {}) {
+  return (req, res, next) => {
+    let principal;
+    try {
+      principal = apiAuth.authenticate(req);
+    } catch (err) {
+      return res.status(err.status || 401).json(errorBody('Authentication failed', err));
+    }
+    if (!hasRole(principal.role, role)) {
+      return res.status(403).json({ error: 'Forbidden', details: `This endpoint needs the ${role} role; ${principal.name} has ${principal.role}` });
+    }
+    if (allAccounts && principal.accounts) {
+      return res.status(403).json({ error: 'Forbidden', details: 'This endpoint needs a credential that is not limited to some accounts' });
+    }
+    req.principal = principal;
+    next();
+  };
+}
+
+// Middleware for public endpoints that show more to authenticated callers:
+// sets req.principal when the request carries valid credentials with at least the role, never rejects
+function optionalRole(role) {
+  return (req, res, next) => {
+    try {
+      const principal = apiAuth.authenticate(req);
+      req.principal = hasRole(principal.role, role) ? principal : null;
+    } catch (err) {
+      req.principal = null;
+    }
+    next();
+  };
+}
+
+// Whether the request's credential may act for an account ({ open_id, label })
+function allowsAccount(req, account) {
+  const accounts = req.principal && req.principal.accounts;
+  return !accounts || accounts.includes(account.open_id) || Boolean(account.label && accounts.includes(account.label));
+}
+
+// Same check for something (a job, post, upload...) that belongs to an open_id
+// Routes treat a refusal like a missing record, so other accounts' ids can't be probed
+async function canAccessAccount(req, openId) {
+  if (!req.principal || !req.principal.accounts) {
+    return true;
+  }
+  return allowsAccount(req, (await tokenStorage.getAccount(openId)) || { open_id: openId });
+}
+
+// Read the account selector (open_id or label) from a request
+// Accepted from the X-TikTok-Account header, or an `account` query/body field
+function getAccountSelector(req) {
+  return req.get('X-TikTok-Account') || req.query.account || (req.body && req.body.account) || null;
+}
+
+// Resolve the request's account selector to a stored open_id
+// The selector may be omitted when exactly one account is connected (or usable by the request's credential).
+// requiredScopes are the TikTok scopes the route needs (a nested list means any one of them);
+// if the account hasn't granted them it's a 403 with a link to grant them, before TikTok is called.
+async function resolveAccount(req, requiredScopes = []) {
+  const selector = getAccountSelector(req);
+  const accounts = (await tokenStorage.listAccounts()).filter((candidate) => allowsAccount(req, candidate));
+  if (accounts.length === 0) {
+    throw httpError(401, `No tokens available. Please complete OAuth flow first. Visit ${serverUrl('/auth/login')}`);
+  }
+
+  let account;
+  if (!selector) {
+    if (accounts.length !== 1) {
+      throw httpError(400, 'Multiple accounts connected. Select one with the X-TikTok-Account header or an "account" parameter (open_id or label)');
+    }
+    account = accounts[0];
+  } else {
+    account = await tokenStorage.findAccount(selector);
+    if (!account) {
+      throw httpError(404, `Account not found: ${selector}`);
+    }
+    if (!allowsAccount(req, account)) {
+      throw httpError(403, `This credential may not act for account ${selector}`);
+    }
+  }
+
+  const missing = missingScopes(account, requiredScopes);
+  if (missing.length > 0) {
+    const err = httpError(403, `Account ${account.open_id} has not granted the scope(s) this endpoint needs: ${missing.join(', ')}`);
+    err.missingScopes = missing;
+    err.consentUrl = loginUrl({ account: account.open_id, scope: missing.join(',') });
+    throw err;
+  }
+  return account.open_id;
+}
+
+// Account to filter a listing by: the selected one, or every account (null) unless the credential is limited
+async function resolveAccountFilter(req) {
+  if (getAccountSelector(req) || (req.principal && req.principal.accounts)) {
+    return resolveAccount(req);
+  }
+  return null;
+}
+
+module.exports = {
+  serverUrl,
+  loginUrl,
+  httpError,
+  errorBody,
+  requireRole,
+  optionalRole,
+  allowsAccount,
+  canAccessAccount,
+  getAccountSelector,
+  resolveAccount,
+  resolveAccountFilter
+};
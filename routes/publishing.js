@@ -0,0 +1,490 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { config, tiktok, uploadEngine, publishQueue, postScheduler, lifecycle, fetchCreatorInfo } = require('../services');
+const { parsePublishAt } = require('../scheduler');
+const { receiveVideoSource, prepareSourceInfo, probeDurationSec, describeSource, removeTempFile, holdTempFile } = require('../videoSource');
+const { buildPostInfo, buildPhotoPostInfo } = require('../postInfo');
+const { shareFile, serveSharedFile, IMAGE_TYPES } = require('../mediaShare');
+const { userInfoScopes } = require('../scopes');
+const { serverUrl, httpError, errorBody, requireRole, canAccessAccount, resolveAccount, resolveAccountFilter } = require('./common');
+
+// Creator info and publishing: direct posts, scheduling, publish jobs, inbox uploads and photo posts
+const router = express.Router();
+
+// Posting directly needs video.publish; inbox uploads need video.upload
+const PUBLISH_SCOPES = ['video.publish'];
+const UPLOAD_SCOPES = ['video.upload'];
+
+// 4. Test by calling TikTok API creator_info with access token
+router.get('/creator-info', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, PUBLISH_SCOPES);
+    const profile = await tiktok.post('/v2/post/publish/creator_info/query/', {}, { openId, idempotent: true });
+
+    res.json(profile);
+  } catch (err) {
+    logger.error('Creator info error', err);
+    res.status(err.status || 500).json(errorBody('Creator info request failed', err));
+  }
+});
+
+// 5. User info API - accepts fields from client and forwards to TikTok
+router.get('/user/info', requireRole('read'), async (req, res) => {
+  try {
+    const { fields } = req.query;
+
+    if (!fields) {
+      return res.status(400).json({ 
+        error: 'fields query parameter is required',
+        example: 'GET /user/info?fields=open_id,union_id,avatar_url'
+      });
+    }
+    const openId = await resolveAccount(req, userInfoScopes(fields));
+
+    const userInfoResponse = await tiktok.get('/v2/user/info/', { openId, params: { fields } });
+
+    res.json(userInfoResponse);
+  } catch (err) {
+    logger.error('User info error', err);
+    res.status(err.status || 500).json(errorBody('User info request failed', err));
+  }
+});
+
+// Validate a direct post request: video source, account and post_info against the creator's settings
+async function prepareDirectPost(req) {
+  const source = await receiveVideoSource(req);
+  try {
+    const openId = await resolveAccount(req, PUBLISH_SCOPES);
+    const { plan, fileSize } = await prepareSourceInfo(source);
+
+    // Check the post against the creator's current settings before TikTok sees it
+    const creatorInfo = await fetchCreatorInfo(openId);
+    const durationSec = source.type === 'FILE_UPLOAD' ? await probeDurationSec(source.filePath) : null;
+    const { postInfo, violations } = buildPostInfo(req.body, creatorInfo, { durationSec });
+    if (violations.length > 0) {
+      const error = httpError(422, 'Post does not meet the creator\'s posting rules');
+      error.violations = violations;
+      throw error;
+    }
+
+    const { webhook_url } = req.body;
+    if (webhook_url && !/^https?:\/\//i.test(webhook_url)) {
+      throw httpError(400, 'webhook_url must be an http(s) URL');
+    }
+
+    return { source, openId, postInfo, plan, fileSize, webhookUrl: webhook_url };
+  } catch (err) {
+    err.source = source;
+    throw err;
+  }
+}
+
+// Scheduled post as returned by the API (the stored source stays internal)
+function scheduledPostView(post) {
+  const { payload, ...details } = post;
+  return {
+    ...details,
+    publish_at_iso: new Date(post.publish_at).toISOString(),
+    post_info: payload.post_info,
+    job_url: post.job_id ? serverUrl(`/jobs/${post.job_id}`) : null
+  };
+}
+
+// 6. Simple video upload API - takes a video source (file_path, video_url or multipart "video" file) and post settings
+// The post is validated right away, then published by a background job (see /jobs/:jobId)
+// With publish_at (plus timezone for local times) or slot: "next" the post is scheduled instead
+router.post('/video/direct-post', requireRole('publish'), async (req, res) => {
+  let source = null;
+  try {
+    const post = await prepareDirectPost(req);
+    source = post.source;
+    const { openId, postInfo, plan, fileSize, webhookUrl } = post;
+    const { publish_at, timezone, slot } = req.body;
+
+    if (publish_at || slot) {
+      if (slot && slot !== 'next') {
+        throw httpError(400, 'slot must be "next"');
+      }
+      const publishAt = publish_at ? parsePublishAt(publish_at, timezone) : null;
+      await holdTempFile(source);
+
+      const payload = { source, post_info: postInfo };
+      const scheduled = publishAt
+        ? await postScheduler.schedule({ openId, publishAt, timezone, payload, webhookUrl })
+        : await postScheduler.scheduleInNextSlot({ openId, payload, webhookUrl });
+      logger.info('Post scheduled', { scheduled_post_id: scheduled.id, publish_at: new Date(scheduled.publish_at).toISOString() });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Video post scheduled',
+        data: {
+          ...scheduledPostView(scheduled),
+          scheduled_post_url: serverUrl(`/scheduled-posts/${scheduled.id}`),
+          file_info: describeSource(source, fileSize, plan)
+        }
+      });
+    }
+
+    const job = await publishQueue.enqueue('video.direct-post', openId, { source, post_info: postInfo }, { webhookUrl });
+    logger.info('Publish job queued', { job_id: job.id, open_id: openId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Video publish queued',
+      data: {
+        job_id: job.id,
+        status: job.status,
+        job_url: serverUrl(`/jobs/${job.id}`),
+        post_info: postInfo,
+        file_info: describeSource(source, fileSize, plan)
+      }
+    });
+
+  } catch (err) {
+    source = source || err.source;
+    if (source && source.tempFile) {
+      await removeTempFile(source.filePath);
+    }
+    logger.error('Video upload error', err);
+    res.status(err.status || 500).json(errorBody('Video upload failed', err));
+  }
+});
+
+// Scheduled posts - list, optionally filtered by ?status= and account
+router.get('/scheduled-posts', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccountFilter(req);
+    const posts = await postScheduler.list({ status: req.query.status, openId });
+    res.json({ scheduled_posts: posts.map(scheduledPostView) });
+  } catch (err) {
+    logger.error('Scheduled post list error', err);
+    res.status(err.status || 500).json(errorBody('Scheduled post list failed', err));
+  }
+});
+
+// Scheduled posts - a single post
+router.get('/scheduled-posts/:postId', requireRole('read'), async (req, res) => {
+  try {
+    const post = await postScheduler.get(req.params.postId);
+    if (!post || !(await canAccessAccount(req, post.open_id))) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+    res.json(scheduledPostView(post));
+  } catch (err) {
+    logger.error('Scheduled post lookup error', err);
+    res.status(err.status || 500).json(errorBody('Scheduled post lookup failed', err));
+  }
+});
+
+// Scheduled posts - move to a new publish_at (with timezone for local times)
+router.patch('/scheduled-posts/:postId', requireRole('publish'), async (req, res) => {
+  try {
+    const existing = await postScheduler.get(req.params.postId);
+    if (!existing || !(await canAccessAccount(req, existing.open_id))) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+    const { publish_at, timezone } = req.body || {};
+    if (!publish_at) {
+      return res.status(400).json({ error: 'publish_at is required' });
+    }
+
+    const post = await postScheduler.reschedule(req.params.postId, parsePublishAt(publish_at, timezone), timezone);
+    res.json({ success: true, scheduled_post: scheduledPostView(post) });
+  } catch (err) {
+    logger.error('Reschedule error', err);
+    res.status(err.status || 500).json(errorBody('Reschedule failed', err));
+  }
+});
+
+// Scheduled posts - cancel before it is published
+router.delete('/scheduled-posts/:postId', requireRole('publish'), async (req, res) => {
+  try {
+    const existing = await postScheduler.get(req.params.postId);
+    if (!existing || !(await canAccessAccount(req, existing.open_id))) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+    const post = await postScheduler.cancel(req.params.postId);
+    res.json({ success: true, scheduled_post: scheduledPostView(post) });
+  } catch (err) {
+    logger.error('Cancel error', err);
+    res.status(err.status || 500).json(errorBody('Cancel failed', err));
+  }
+});
+
+// Posting slots - recurring weekly times per account, filled by posts sent with slot: "next"
+router.get('/posting-slots', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccountFilter(req);
+    res.json({ slots: await postScheduler.listSlots(openId) });
+  } catch (err) {
+    logger.error('Posting slot list error', err);
+    res.status(err.status || 500).json(errorBody('Posting slot list failed', err));
+  }
+});
+
+router.post('/posting-slots', requireRole('publish'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, PUBLISH_SCOPES);
+    const { days, time, timezone } = req.body || {};
+    const slot = await postScheduler.addSlot({ openId, days, time, timezone });
+    res.status(201).json({ success: true, slot });
+  } catch (err) {
+    logger.error('Posting slot error', err);
+    res.status(err.status || 500).json(errorBody('Adding posting slot failed', err));
+  }
+});
+
+router.delete('/posting-slots/:slotId', requireRole('publish'), async (req, res) => {
+  try {
+    const slot = (await postScheduler.listSlots()).find((candidate) => candidate.id === req.params.slotId);
+    const removed = slot && await canAccessAccount(req, slot.open_id) && await postScheduler.removeSlot(slot.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Posting slot not found' });
+    }
+    res.json({ success: true, slot_id: req.params.slotId });
+  } catch (err) {
+    logger.error('Posting slot removal error', err);
+    res.status(err.status || 500).json(errorBody('Removing posting slot failed', err));
+  }
+});
+
+// Publish jobs - list, optionally filtered by ?status= and account
+router.get('/jobs', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccountFilter(req);
+    const jobs = await publishQueue.list({ status: req.query.status, openId });
+    res.json({ jobs: jobs.map(({ payload, history, ...job }) => job) });
+  } catch (err) {
+    logger.error('Job list error', err);
+    res.status(err.status || 500).json(errorBody('Job list failed', err));
+  }
+});
+
+// Publish jobs - a single job with its history
+router.get('/jobs/:jobId', requireRole('read'), async (req, res) => {
+  try {
+    const job = await publishQueue.get(req.params.jobId);
+    if (!job || !(await canAccessAccount(req, job.open_id))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { payload, ...details } = job;
+    res.json(details);
+  } catch (err) {
+    logger.error('Job lookup error', err);
+    res.status(err.status || 500).json(errorBody('Job lookup failed', err));
+  }
+});
+
+// 7. Check video upload status using query parameters
+router.get('/video/status', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, [['video.publish', 'video.upload']]);
+    const { publish_id } = req.query;
+
+    if (!publish_id) {
+      return res.status(400).json({ error: 'publish_id query parameter is required' });
+    }
+
+    const statusResponse = await tiktok.post('/v2/post/publish/status/fetch/', {
+      publish_id: publish_id
+    }, { openId, idempotent: true });
+
+    res.json(statusResponse);
+
+  } catch (err) {
+    logger.error('Status check error', err);
+    res.status(err.status || 500).json(errorBody('Status check failed', err));
+  }
+});
+
+// 8. Video upload API - proxies TikTok's inbox upload API with FILE_UPLOAD or PULL_FROM_URL (2-step process)
+router.post('/video/upload', requireRole('publish'), lifecycle.publishingGate(), async (req, res) => {
+  let source = null;
+  try {
+    source = await receiveVideoSource(req);
+    const openId = await resolveAccount(req, UPLOAD_SCOPES);
+    const { sourceInfo, plan, fileSize } = await prepareSourceInfo(source);
+
+    logger.info('Starting inbox video upload', { open_id: openId, file_info: describeSource(source, fileSize, plan) });
+
+    // Step 1: Initialize video upload
+    const initResponse = await tiktok.post('/v2/post/publish/inbox/video/init/', {
+      source_info: sourceInfo
+    }, { openId });
+
+    const { publish_id, upload_url } = initResponse.data;
+    logger.info('Inbox upload initialized', { publish_id });
+
+    // Step 2: Stream the video file to TikTok's designated URL, chunk by chunk
+    // (PULL_FROM_URL has no upload step: TikTok fetches the video itself)
+    let upload = null;
+    if (source.type === 'FILE_UPLOAD') {
+      upload = await uploadEngine.start({
+        openId,
+        kind: 'inbox',
+        publishId: publish_id,
+        uploadUrl: upload_url,
+        filePath: source.filePath,
+        plan,
+        removeFileWhenDone: source.tempFile
+      });
+    }
+
+    logger.info('Video uploaded to inbox', { publish_id });
+
+    // Return success response with publish_id
+    res.json({
+      success: true,
+      message: 'Video uploaded to TikTok inbox successfully. User must complete editing flow in TikTok app.',
+      data: {
+        publish_id: publish_id,
+        upload_id: upload ? upload.id : null,
+        file_info: describeSource(source, fileSize, plan),
+        note: 'Video is now in TikTok inbox. User must click on inbox notifications to continue the editing flow in TikTok and complete the post.'
+      }
+    });
+
+  } catch (err) {
+    // Temp files stay around only while a failed upload can still be resumed
+    if (source && source.tempFile && !err.uploadId) {
+      await removeTempFile(source.filePath);
+    }
+    logger.error('Video upload error', err);
+    res.status(err.status || 500).json(errorBody('Video upload failed', err));
+  }
+});
+
+// Upload progress - checkpoint of a chunked upload (the upload_url is not returned)
+router.get('/video/uploads/:uploadId', requireRole('read'), async (req, res) => {
+  try {
+    const upload = await uploadEngine.get(req.params.uploadId);
+    if (!upload || !(await canAccessAccount(req, upload.open_id))) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const { upload_url, ...progress } = upload;
+    res.json(progress);
+  } catch (err) {
+    logger.error('Upload lookup error', err);
+    res.status(err.status || 500).json(errorBody('Upload lookup failed', err));
+  }
+});
+
+// Resume an interrupted or failed upload from its last completed chunk
+// TikTok's upload_url is only valid for an hour after init
+router.post('/video/uploads/:uploadId/resume', requireRole('publish'), async (req, res) => {
+  try {
+    const existing = await uploadEngine.get(req.params.uploadId);
+    if (!existing || !(await canAccessAccount(req, existing.open_id))) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    const upload = await uploadEngine.resume(req.params.uploadId);
+    res.json({
+      success: true,
+      message: 'Upload completed',
+      data: {
+        upload_id: upload.id,
+        publish_id: upload.publish_id,
+        completed_chunks: upload.completed_chunks.length,
+        total_chunk_count: upload.total_chunk_count,
+        status_url: serverUrl(`/video/status?publish_id=${upload.publish_id}`)
+      }
+    });
+  } catch (err) {
+    logger.error('Upload resume error', err);
+    res.status(err.status || 500).json(errorBody('Upload resume failed', err));
+  }
+});
+
+// Photo post API - publishes a photo carousel through TikTok's content/init photo flow
+// images: 1-35 image URLs (on a domain verified with TikTok) or local JPG/WEBP files,
+// which are shared to TikTok through temporary links under PUBLIC_BASE_URL
+router.post('/photo/post', requireRole('publish'), lifecycle.publishingGate(), async (req, res) => {
+  try {
+    const { images, photo_cover_index = 0, mode = 'direct' } = req.body;
+
+    if (!Array.isArray(images) || images.length === 0 || images.length > 35) {
+      throw httpError(400, 'images must be a list of 1 to 35 image URLs or local file paths');
+    }
+    if (mode !== 'direct' && mode !== 'inbox') {
+      throw httpError(400, 'mode must be "direct" or "inbox"');
+    }
+    const openId = await resolveAccount(req, mode === 'direct' ? PUBLISH_SCOPES : UPLOAD_SCOPES);
+    const coverIndex = Number(photo_cover_index);
+    if (!Number.isInteger(coverIndex) || coverIndex < 0 || coverIndex >= images.length) {
+      throw httpError(400, `photo_cover_index must be between 0 and ${images.length - 1}`);
+    }
+
+    // Check every image before sharing any local file
+    for (const image of images) {
+      if (typeof image !== 'string' || image === '') {
+        throw httpError(400, 'images must only contain URLs or file paths');
+      }
+      if (/^https?:\/\//i.test(image)) {
+        continue;
+      }
+      if (!IMAGE_TYPES[path.extname(image).toLowerCase()]) {
+        throw httpError(400, `Unsupported image type: ${image} (use JPG or WEBP)`);
+      }
+      if (!fs.existsSync(image)) {
+        throw httpError(400, `File not found at specified path: ${image}`);
+      }
+      if (!config.publicBaseUrl) {
+        throw httpError(400, 'Local images need PUBLIC_BASE_URL set to this server\'s public address (on a domain verified with TikTok)');
+      }
+    }
+
+    let creatorInfo = {};
+    if (mode === 'direct') {
+      creatorInfo = await fetchCreatorInfo(openId);
+    }
+    const { postInfo, violations } = buildPhotoPostInfo(req.body, creatorInfo, { mode });
+    if (violations.length > 0) {
+      const error = httpError(422, 'Post does not meet the creator\'s posting rules');
+      error.violations = violations;
+      throw error;
+    }
+
+    const photoImages = images.map((image) => (
+      /^https?:\/\//i.test(image) ? image : shareFile(image, config.publicBaseUrl)
+    ));
+
+    logger.info('Initializing photo post', { open_id: openId, images: photoImages.length, mode });
+    const initResponse = await tiktok.post('/v2/post/publish/content/init/', {
+      post_info: postInfo,
+      source_info: {
+        source: 'PULL_FROM_URL',
+        photo_cover_index: coverIndex,
+        photo_images: photoImages
+      },
+      post_mode: mode === 'direct' ? 'DIRECT_POST' : 'MEDIA_UPLOAD',
+      media_type: 'PHOTO'
+    }, { openId });
+
+    const { publish_id } = initResponse.data;
+    res.json({
+      success: true,
+      message: mode === 'direct'
+        ? 'Photo post requested successfully'
+        : 'Photos sent to TikTok inbox. User must complete the post in the TikTok app.',
+      data: {
+        publish_id: publish_id,
+        status_url: serverUrl(`/video/status?publish_id=${publish_id}`),
+        post_info: postInfo,
+        photo_count: photoImages.length,
+        photo_cover_index: coverIndex
+      }
+    });
+  } catch (err) {
+    logger.error('Photo post error', err);
+    res.status(err.status || 500).json(errorBody('Photo post failed', err));
+  }
+});
+
+// Temporary public links for local photos, fetched by TikTok during photo posts
+router.get('/media/:file', serveSharedFile);
+
+module.exports = router;
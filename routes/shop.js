@@ -0,0 +1,186 @@
+const express = require('express');
+const logger = require('../logger');
+const { tiktok } = require('../services');
+const { parseDateRange, parsePaging, splitDateRange, paginate, sendExport, EXPORT_FORMATS, MAX_EXPORT_DAYS } = require('../exporter');
+const { httpError, errorBody, requireRole, resolveAccount } = require('./common');
+
+// TikTok Shop and affiliate analytics
+const router = express.Router();
+
+const SHOP_SCOPES = ['shop.partner.analytics'];
+const AFFILIATE_SCOPES = ['affiliate.seller'];
+
+// Query a listing: one page as JSON, or with ?format=csv|ndjson every page of every date window
+// (ranges longer than a single request allows are split into windows) streamed as one file
+async function queryListing(req, res, openId, { name, path, params = {}, dated = true, defaultPageSize }) {
+  const { format } = req.query;
+  if (!format) {
+    const result = await tiktok.post(path, {
+      ...params,
+      ...(dated && parseDateRange(req.query)),
+      ...parsePaging(req.query, defaultPageSize)
+    }, { openId, idempotent: true });
+    return res.json(result);
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw httpError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const range = dated ? parseDateRange(req.query, { maxDays: MAX_EXPORT_DAYS }) : null;
+  const windows = dated ? splitDateRange(range) : [{}];
+  const { page_size } = parsePaging({ page_size: req.query.page_size }, defaultPageSize);
+
+  async function* records() {
+    for (const window of windows) {
+      yield* paginate(({ page, cursor }) => tiktok.post(path, {
+        ...params,
+        ...window,
+        page,
+        page_size,
+        ...(cursor !== undefined && { cursor })
+      }, { openId, idempotent: true }), { pageSize: page_size });
+    }
+  }
+
+  const fileName = range ? `${name}_${range.start_date}_${range.end_date}` : name;
+  logger.info('Exporting listing', { listing: name, format, windows: windows.length });
+  await sendExport(res, format, records(), fileName);
+}
+
+// 1. Get shop video performance metrics
+router.get('/shop/video-performance', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, SHOP_SCOPES);
+    const { video_id } = req.query;
+
+    const videoPerformance = await tiktok.post('/v2/shop/video/performance/', {
+      video_id,
+      ...parseDateRange(req.query),
+      ...parsePaging(req.query, 20)
+    }, { openId, idempotent: true });
+
+    res.json(videoPerformance);
+  } catch (err) {
+    logger.error('Video performance error', err);
+    res.status(err.status || 500).json(errorBody('Video performance request failed', err));
+  }
+});
+
+// 2. Get affiliate creator orders (sales data)
+router.get('/affiliate/creator-orders', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, AFFILIATE_SCOPES);
+    const { creator_id } = req.query;
+
+    await queryListing(req, res, openId, {
+      name: 'creator-orders',
+      path: '/v2/affiliate/creator/orders/',
+      params: { creator_id },
+      defaultPageSize: 20
+    });
+  } catch (err) {
+    logger.error('Creator orders error', err);
+    res.status(err.status || 500).json(errorBody('Creator orders request failed', err));
+  }
+});
+
+// 3. Get affiliate seller analytics (GMV, commissions)
+router.get('/affiliate/seller-analytics', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, AFFILIATE_SCOPES);
+
+    await queryListing(req, res, openId, {
+      name: 'seller-analytics',
+      path: '/v2/affiliate/seller/analytics/',
+      defaultPageSize: 20
+    });
+  } catch (err) {
+    logger.error('Seller analytics error', err);
+    res.status(err.status || 500).json(errorBody('Seller analytics request failed', err));
+  }
+});
+
+// 4. Get videos tagged with specific products
+router.get('/product/videos', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, SHOP_SCOPES);
+    const { product_id } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id query parameter is required' });
+    }
+
+    await queryListing(req, res, openId, {
+      name: 'product-videos',
+      path: '/v2/shop/product/videos/',
+      params: { product_id },
+      defaultPageSize: 20
+    });
+  } catch (err) {
+    logger.error('Product videos error', err);
+    res.status(err.status || 500).json(errorBody('Product videos request failed', err));
+  }
+});
+
+// 5. Get creator content performance
+router.get('/creator/content', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, AFFILIATE_SCOPES);
+    const { creator_id } = req.query;
+
+    if (!creator_id) {
+      return res.status(400).json({ error: 'creator_id query parameter is required' });
+    }
+
+    await queryListing(req, res, openId, {
+      name: 'creator-content',
+      path: '/v2/affiliate/creator/content/',
+      params: { creator_id },
+      defaultPageSize: 20
+    });
+  } catch (err) {
+    logger.error('Creator content error', err);
+    res.status(err.status || 500).json(errorBody('Creator content request failed', err));
+  }
+});
+
+// 6. Get product list (your products)
+router.get('/product/list', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, SHOP_SCOPES);
+
+    await queryListing(req, res, openId, {
+      name: 'products',
+      path: '/v2/shop/product/list/',
+      dated: false,
+      defaultPageSize: 50
+    });
+  } catch (err) {
+    logger.error('Product list error', err);
+    res.status(err.status || 500).json(errorBody('Product list request failed', err));
+  }
+});
+
+// 7. Get shop product performance metrics
+router.get('/shop/product-performance', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, SHOP_SCOPES);
+    const { product_id } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id query parameter is required' });
+    }
+
+    const productPerformance = await tiktok.post('/v2/shop/product/performance/', {
+      product_id,
+      ...parseDateRange(req.query)
+    }, { openId, idempotent: true });
+
+    res.json(productPerformance);
+  } catch (err) {
+    logger.error('Product performance error', err);
+    res.status(err.status || 500).json(errorBody('Product performance request failed', err));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const logger = require('../logger');
+const { tiktok, warehouse, videoMetrics } = require('../services');
+const { listVideos, queryVideos, parseFields, parseVideoIds, MAX_VIDEOS_PER_CALL } = require('../videoLibrary');
+const { httpError, errorBody, requireRole, canAccessAccount, resolveAccount } = require('./common');
+
+// Video library (TikTok Display API) and per-video metrics over time
+const router = express.Router();
+
+const VIDEO_SCOPES = ['video.list'];
+
+// List the account's videos, newest first (?fields=, ?max_count= 1-20, ?cursor= from the previous page)
+router.get('/videos', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, VIDEO_SCOPES);
+    const fields = parseFields(req.query.fields);
+    const maxCount = req.query.max_count === undefined ? MAX_VIDEOS_PER_CALL : Number(req.query.max_count);
+    if (!Number.isInteger(maxCount) || maxCount < 1 || maxCount > MAX_VIDEOS_PER_CALL) {
+      throw httpError(400, `max_count must be an integer between 1 and ${MAX_VIDEOS_PER_CALL}`);
+    }
+    const { cursor } = req.query;
+    if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+      throw httpError(400, 'cursor must be the numeric cursor returned by the previous page');
+    }
+
+    res.json(await listVideos(tiktok, openId, { fields, cursor, maxCount }));
+  } catch (err) {
+    logger.error('Video list error', err);
+    res.status(err.status || 500).json(errorBody('Video list failed', err));
+  }
+});
+
+// Look up specific videos ({ "video_ids": [...], "fields": [...] })
+router.post('/videos/query', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, VIDEO_SCOPES);
+    const { video_ids, fields } = req.body || {};
+    const videos = await queryVideos(tiktok, openId, parseVideoIds(video_ids), { fields: parseFields(fields) });
+    res.json({ videos });
+  } catch (err) {
+    logger.error('Video query error', err);
+    res.status(err.status || 500).json(errorBody('Video query failed', err));
+  }
+});
+
+// Take a metrics snapshot of the account's videos now
+// Needs publish like POST /analytics/sync: it spends the account's TikTok rate limits
+router.post('/videos/snapshot', requireRole('publish'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req, VIDEO_SCOPES);
+    res.json({ success: true, ...(await videoMetrics.snapshotAccount(openId)) });
+  } catch (err) {
+    logger.error('Video snapshot error', err);
+    res.status(err.status || 500).json(errorBody('Video snapshot failed', err));
+  }
+});
+
+// Metrics over time for a video posted through this server, by its publish_id
+router.get('/videos/published/:publishId/metrics', requireRole('read'), async (req, res) => {
+  try {
+    const video = warehouse.findVideoByPublishId(req.params.publishId);
+    if (!video || !(await canAccessAccount(req, video.open_id))) {
+      return res.status(404).json({ error: 'No video recorded for this publish_id yet (it appears once the publish job completes and a snapshot ran)' });
+    }
+    res.json(warehouse.videoMetrics(video.open_id, video.video_id));
+  } catch (err) {
+    logger.error('Video metrics error', err);
+    res.status(err.status || 500).json(errorBody('Video metrics lookup failed', err));
+  }
+});
+
+// Metrics over time for a video
+router.get('/videos/:videoId/metrics', requireRole('read'), async (req, res) => {
+  try {
+    const openId = await resolveAccount(req);
+    const metrics = warehouse.videoMetrics(openId, req.params.videoId);
+    if (!metrics) {
+      return res.status(404).json({ error: 'No snapshots recorded for this video' });
+    }
+    res.json(metrics);
+  } catch (err) {
+    logger.error('Video metrics error', err);
+    res.status(err.status || 500).json(errorBody('Video metrics lookup failed', err));
+  }
+});
+
+module.exports = router;
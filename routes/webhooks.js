@@ -0,0 +1,39 @@
+const express = require('express');
+const logger = require('../logger');
+const { config, webhookReceiver } = require('../services');
+const { verifySignature, SIGNATURE_TOLERANCE_MS } = require('../tiktokWebhook');
+const { errorBody } = require('./common');
+
+// Events TikTok sends to the webhook callback URL configured for the app
+const router = express.Router();
+
+const toleranceMs = config.webhooks.toleranceMs === null ? SIGNATURE_TOLERANCE_MS : config.webhooks.toleranceMs;
+
+// Events are signed with the secret of the app they're for; the body names the app by client_key
+function appForEvent(event) {
+  const apps = Object.values(config.tiktok.apps);
+  return apps.find((app) => app.clientKey === event.client_key) || config.tiktok.apps[config.tiktok.defaultApp];
+}
+
+// TikTok webhook callback (signed with the app's client secret in the TikTok-Signature header)
+// post.publish.* events update publish jobs, authorization.removed deletes the user's stored tokens
+router.post('/webhooks/tiktok', async (req, res) => {
+  try {
+    const event = req.body || {};
+    verifySignature(req.get('TikTok-Signature'), req.rawBody, appForEvent(event).clientSecret, { toleranceMs });
+    if (typeof event.event !== 'string') {
+      return res.status(400).json({ error: 'Webhook body has no event' });
+    }
+
+    const { duplicate, jobId } = await webhookReceiver.handle(req.rawBody, event);
+    logger.info('TikTok webhook received', { event: event.event, duplicate: Boolean(duplicate), ...(jobId && { job_id: jobId }) });
+
+    // TikTok retries anything but a 200, so duplicates, unknown events and accounts are acknowledged too
+    res.json({ received: true, duplicate: Boolean(duplicate) });
+  } catch (err) {
+    logger.error('TikTok webhook error', err);
+    res.status(err.status || 500).json(errorBody('Webhook rejected', err));
+  }
+});
+
+module.exports = router;
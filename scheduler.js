@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// How far ahead slots are searched for a free occurrence
+const SLOT_HORIZON_DAYS = 366;
+
+function scheduleError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of format.formatToParts(new Date(ms))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Offset of a time zone from UTC at an instant, in ms
+function zoneOffset(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant of a wall-clock time in a time zone (month is 1-based; days may overflow)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffset(wall, timeZone);
+  // A second pass settles times next to a DST change
+  return wall - zoneOffset(guess, timeZone);
+}
+
+// Throw a 400 when the parts of a date-time don't name a real wall-clock time (2026-02-30, 25:61);
+// Date.parse and Date.UTC would silently roll them over into the next day or month
+function checkDateTime(year, month, day, hour, minute, second) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second > 59) {
+    throw scheduleError(400, 'publish_at is not a valid date-time');
+  }
+}
+
+// Parse publish_at: an ISO time with an offset ("2025-06-01T18:00:00+02:00", "...Z"),
+// or a local time ("2025-06-01T18:00") read in the given IANA time zone
+function parsePublishAt(value, timeZone) {
+  if (typeof value !== 'string') {
+    throw scheduleError(400, 'publish_at must be an ISO 8601 date-time string');
+  }
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw scheduleError(400, `Unknown timezone: ${timeZone}`);
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);
+  if (!match) {
+    throw scheduleError(400, 'publish_at must look like 2025-06-01T18:00 (with timezone) or include an offset');
+  }
+  const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+  checkDateTime(year, month, day, hour, minute, Number(match[6] || 0));
+
+  if (match[7]) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+      throw scheduleError(400, 'publish_at is not a valid date-time');
+    }
+    return ms;
+  }
+  if (!timeZone) {
+    throw scheduleError(400, 'publish_at without an offset needs a timezone (e.g. "Europe/Berlin")');
+  }
+  return zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+}
+
+// Scheduled posts and recurring posting slots
+// Posts are kept in a storage backend until they are due, then handed to the publish
+// queue as regular direct-post jobs. Posts that came due while the server was down are
+// published late (within catchUpMaxMs) or marked missed, depending on catchUp.
+//
+// Post statuses: scheduled -> queued (job created) | cancelled | missed | failed
+class PostScheduler {
+  constructor(postStore, slotStore, options = {}) {
+    this.posts = postStore;
+    this.slots = slotStore;
+    this.publishQueue = options.publishQueue;
+    this.jobType = options.jobType || 'video.direct-post';
+    this.catchUp = options.catchUp || 'publish';
+    this.catchUpMaxMs = options.catchUpMaxMs || 24 * 60 * 60 * 1000;
+    this.tickMs = options.tickMs || 30 * 1000;
+    this.onDiscard = options.onDiscard || (async () => {}); // called with the payload of posts that will never run
+    this.changing = new Map(); // post id -> last pending change, see withPost
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  async schedule({ openId, publishAt, timezone, slotId = null, payload, webhookUrl }) {
+    if (publishAt <= Date.now()) {
+      throw scheduleError(400, 'publish_at must be in the future');
+    }
+
+    const now = Date.now();
+    const post = {
+      id: crypto.randomUUID(),
+      open_id: openId,
+      status: 'scheduled',
+      publish_at: publishAt,
+      timezone: timezone || null,
+      slot_id: slotId,
+      payload,
+      webhook_url: webhookUrl || null,
+      job_id: null,
+      error: null,
+      created_at: now,
+      updated_at: now
+    };
+    await this.posts.set(post.id, post);
+    return post;
+  }
+
+  // Schedule into the account's next free posting slot
+  async scheduleInNextSlot({ openId, payload, webhookUrl }) {
+    const next = await this.nextFreeSlot(openId);
+    if (!next) {
+      throw scheduleError(400, 'No free posting slot: add slots with POST /posting-slots first');
+    }
+    return this.schedule({ openId, publishAt: next.at, timezone: next.slot.timezone, slotId: next.slot.id, payload, webhookUrl });
+  }
+
+  async get(id) {
+    return this.posts.get(id);
+  }
+
+  async list({ openId, status } = {}) {
+    const posts = await this.posts.list();
+    return posts
+      .filter((post) => (!openId || post.open_id === openId) && (!status || post.status === status))
+      .sort((a, b) => a.publish_at - b.publish_at);
+  }
+
+  // Read a post and pass it to change (async (post) => result) once every earlier change to the
+  // same post is stored, so a cancel can't be overwritten by a release running at the same time
+  // (see PublishQueue.withJob). The post is null when it doesn't exist.
+  withPost(id, change) {
+    const previous = this.changing.get(id) || Promise.resolve();
+    const result = previous.then(async () => change(await this.posts.get(id)));
+
+    const settled = result.catch(() => {});
+    this.changing.set(id, settled);
+    settled.then(() => {
+      if (this.changing.get(id) === settled) {
+        this.changing.delete(id);
+      }
+    });
+    return result;
+  }
+
+  async reschedule(id, publishAt, timezone) {
+    if (publishAt <= Date.now()) {
+      throw scheduleError(400, 'publish_at must be in the future');
+    }
+
+    return this.withPost(id, async (post) => {
+      this.requireScheduled(post);
+      Object.assign(post, { publish_at: publishAt, timezone: timezone || post.timezone, slot_id: null, updated_at: Date.now() });
+      await this.posts.set(id, post);
+      return post;
+    });
+  }
+
+  async cancel(id) {
+    const post = await this.withPost(id, async (current) => {
+      this.requireScheduled(current);
+      Object.assign(current, { status: 'cancelled', updated_at: Date.now() });
+      await this.posts.set(id, current);
+      return current;
+    });
+    await this.onDiscard(post.payload);
+    return post;
+  }
+
+  // Cancel every scheduled post of an account, e.g. once the account is disconnected
+  // Resolves to the cancelled posts.
+  async cancelAccount(openId) {
+    const cancelled = [];
+    for (const { id } of await this.list({ openId, status: 'scheduled' })) {
+      try {
+        cancelled.push(await this.cancel(id));
+      } catch (error) {
+        // Released or removed meanwhile
+        if (error.status !== 409 && error.status !== 404) {
+          throw error;
+        }
+      }
+    }
+    return cancelled;
+  }
+
+  requireScheduled(post) {
+    if (!post) {
+      throw scheduleError(404, 'Scheduled post not found');
+    }
+    if (post.status !== 'scheduled') {
+      throw scheduleError(409, `Post is already ${post.status}`);
+    }
+  }
+
+  // Recurring slots: { days: ['mon', 'wed'], time: '18:00', timezone: 'Europe/Berlin' }
+  async addSlot({ openId, days, time, timezone }) {
+    if (!Array.isArray(days) || days.length === 0 || !days.every((day) => WEEKDAYS.includes(String(day).toLowerCase()))) {
+      throw scheduleError(400, `days must be a list of: ${WEEKDAYS.join(', ')}`);
+    }
+    if (typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      throw scheduleError(400, 'time must be HH:mm (24-hour)');
+    }
+    if (!timezone || !isValidTimeZone(timezone)) {
+      throw scheduleError(400, 'timezone must be an IANA time zone such as "America/New_York"');
+    }
+
+    const slot = {
+      id: crypto.randomUUID(),
+      open_id: openId,
+      days: days.map((day) => String(day).toLowerCase()),
+      time,
+      timezone,
+      created_at: Date.now()
+    };
+    await this.slots.set(slot.id, slot);
+    return slot;
+  }
+
+  async listSlots(openId) {
+    const slots = await this.slots.list();
+    return slots.filter((slot) => !openId || slot.open_id === openId);
+  }
+
+  async removeSlot(id) {
+    return this.slots.delete(id);
+  }
+
+  // Upcoming occurrences of a slot after an instant, in order
+  *slotOccurrences(slot, after) {
+    const [hour, minute] = slot.time.split(':').map(Number);
+    const today = zonedParts(after, slot.timezone);
+    for (let offset = 0; offset <= SLOT_HORIZON_DAYS; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      if (!slot.days.includes(WEEKDAYS[date.getUTCDay()])) {
+        continue;
+      }
+      const at = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, slot.timezone);
+      if (at > after) {
+        yield at;
+      }
+    }
+  }
+
+  // Earliest slot occurrence not already taken by a scheduled post of the account
+  async nextFreeSlot(openId) {
+    const slots = await this.listSlots(openId);
+    const taken = new Set((await this.list({ openId, status: 'scheduled' })).map((post) => post.publish_at));
+
+    let best = null;
+    for (const slot of slots) {
+      for (const at of this.slotOccurrences(slot, Date.now())) {
+        if (!taken.has(at)) {
+          if (!best || at < best.at) {
+            best = { at, slot };
+          }
+          break;
+        }
+      }
+    }
+    return best;
+  }
+
+  // Hand due posts to the publish queue
+  tick() {
+    if (this.ticking) {
+      return this.ticking;
+    }
+
+    this.ticking = this.releaseDue()
+      .catch((error) => logger.error('Scheduler tick failed', error))
+      .finally(() => {
+        this.ticking = null;
+      });
+    return this.ticking;
+  }
+
+  async releaseDue({ catchingUp = false } = {}) {
+    const now = Date.now();
+    const due = (await this.list({ status: 'scheduled' })).filter((post) => post.publish_at <= now);
+
+    for (const { id } of due) {
+      // Cancelled or moved since the list was read: leave it alone
+      await this.withPost(id, async (post) => {
+        if (!post || post.status !== 'scheduled' || post.publish_at > now) {
+          return;
+        }
+
+        const lateMs = now - post.publish_at;
+        if (catchingUp && (this.catchUp === 'skip' || lateMs > this.catchUpMaxMs)) {
+          Object.assign(post, { status: 'missed', error: `Due ${Math.round(lateMs / 60000)} minute(s) ago while the server was down`, updated_at: now });
+          await this.posts.set(post.id, post);
+          await this.onDiscard(post.payload);
+          logger.warn('Scheduled post missed its slot', { scheduled_post_id: post.id });
+          return;
+        }
+
+        try {
+          const job = await this.publishQueue.enqueue(this.jobType, post.open_id, post.payload, { webhookUrl: post.webhook_url });
+          Object.assign(post, { status: 'queued', job_id: job.id, updated_at: Date.now() });
+          logger.info('Scheduled post released', { scheduled_post_id: post.id, job_id: job.id, catch_up: catchingUp });
+        } catch (error) {
+          Object.assign(post, { status: 'failed', error: error.message, updated_at: Date.now() });
+          logger.error('Scheduled post could not be queued', { scheduled_post_id: post.id, error });
+        }
+        await this.posts.set(post.id, post);
+      });
+    }
+  }
+
+  // Catch up on posts that came due while the server was down, then check every tickMs
+  // The timer runs even when the catch-up fails; later ticks pick up what it left behind
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    this.ticking = this.releaseDue({ catchingUp: true })
+      .catch((error) => logger.error('Scheduler catch-up failed', error))
+      .finally(() => {
+        this.ticking = null;
+      });
+    await this.ticking;
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+  }
+}
+
+module.exports = PostScheduler;
+module.exports.parsePublishAt = parsePublishAt;
+module.exports.isValidTimeZone = isValidTimeZone;
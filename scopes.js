@@ -0,0 +1,81 @@
+// TikTok OAuth scopes this server can request, and what they unlock
+const SCOPES = {
+  'user.info.basic': 'Open id, avatar and display name',
+  'user.info.profile': 'Profile details (bio, profile link, verification)',
+  'user.info.stats': 'Follower, following, like and video counts',
+  'video.list': 'Read your videos and their counts',
+  'video.publish': 'Post videos and photos directly',
+  'video.upload': 'Send videos and photos to the TikTok inbox as drafts',
+  'shop.partner.analytics': 'TikTok Shop product and video analytics',
+  'affiliate.seller': 'Affiliate orders, creators and seller analytics'
+};
+
+// Requested by /auth/login when no scope is given (TIKTOK_SCOPES overrides it)
+// Shop and affiliate scopes are left out so creators who only publish aren't asked for them
+const DEFAULT_SCOPES = ['user.info.basic', 'user.info.profile', 'user.info.stats', 'video.list', 'video.publish', 'video.upload'];
+
+// /user/info fields that need more than user.info.basic
+const USER_INFO_FIELD_SCOPES = {
+  bio_description: 'user.info.profile',
+  profile_deep_link: 'user.info.profile',
+  is_verified: 'user.info.profile',
+  username: 'user.info.profile',
+  follower_count: 'user.info.stats',
+  following_count: 'user.info.stats',
+  likes_count: 'user.info.stats',
+  video_count: 'user.info.stats'
+};
+
+function scopeError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Parse a comma/space separated scope list (TikTok returns "a,b"), dropping duplicates
+function parseScopes(value) {
+  if (Array.isArray(value)) {
+    return Array.from(new Set(value));
+  }
+  return Array.from(new Set(String(value || '').split(/[\s,]+/).filter(Boolean)));
+}
+
+// Scopes for a login request, checked against the ones this server knows
+function requestedScopes(value, defaults = DEFAULT_SCOPES) {
+  const scopes = value ? parseScopes(value) : defaults;
+  const unknown = scopes.filter((scope) => !SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw scopeError(`Unknown scope(s): ${unknown.join(', ')}. Available: ${Object.keys(SCOPES).join(', ')}`);
+  }
+  // TikTok needs user.info.basic for every app
+  return scopes.includes('user.info.basic') ? scopes : ['user.info.basic', ...scopes];
+}
+
+// Required scopes an account hasn't granted
+// Each requirement is a scope, or a list of scopes of which any one will do.
+// Accounts connected before scopes were recorded are not checked (TikTok still enforces them).
+function missingScopes(account, required) {
+  if (!account || !Array.isArray(account.scopes)) {
+    return [];
+  }
+  const granted = new Set(account.scopes);
+  return required
+    .filter((requirement) => (Array.isArray(requirement)
+      ? !requirement.some((scope) => granted.has(scope))
+      : !granted.has(requirement)))
+    .map((requirement) => (Array.isArray(requirement) ? requirement[0] : requirement));
+}
+
+// Scopes needed for a list of /user/info fields
+function userInfoScopes(fields) {
+  return Array.from(new Set(['user.info.basic', ...parseScopes(fields).map((field) => USER_INFO_FIELD_SCOPES[field]).filter(Boolean)]));
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPES,
+  parseScopes,
+  requestedScopes,
+  missingScopes,
+  userInfoScopes
+};
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Create an API key for calling this server and add its hash to the API key file
+//
+//   npm run create-api-key -- <name> <role> [account,...]
+//   npm run create-api-key -- n8n publish brand-main      # may only publish for brand-main
+//   npm run create-api-key -- dashboard read              # read-only, every account
+//
+// Roles: read, publish, admin. The key is printed once; only its SHA-256 is stored
+// (in API_KEYS_FILE, default ./api-keys.json). Restart the server to pick it up.
+require('../config').loadEnvFiles(); // .env.<NODE_ENV> and .env, like the server
+const fs = require('fs');
+const { ROLES, generateApiKey, hashApiKey } = require('../apiAuth');
+
+function main() {
+  const [name, role, accounts] = process.argv.slice(2);
+  if (!name || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run create-api-key -- <name> <${ROLES.join('|')}> [account,...]`);
+  }
+
+  const filePath = process.env.API_KEYS_FILE || './api-keys.json';
+  const keys = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+  if (keys.some((key) => key.name === name)) {
+    throw new Error(`${filePath} already has a key named ${name}`);
+  }
+
+  const key = generateApiKey();
+  keys.push({
+    name,
+    hash: hashApiKey(key),
+    role,
+    ...(accounts && { accounts: accounts.split(',').map((account) => account.trim()).filter(Boolean) }),
+    created_at: new Date().toISOString()
+  });
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(keys, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+
+  console.log(`✔ Key "${name}" (${role}${accounts ? `, accounts: ${accounts}` : ''}) added to ${filePath}`);
+  console.log('Send it as X-API-Key or Authorization: Bearer. It is not shown again:');
+  console.log(key);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Re-encrypt everything stored with the active ENCRYPTION_KEY: tokens, but also publish jobs,
+// upload sessions, scheduled posts, slots and event records, which use the same key
+//
+//   npm run reencrypt-tokens                      # every namespace of the configured STORAGE_BACKEND
+//   npm run reencrypt-tokens -- a.json b.json     # specific encrypted files
+//
+// Old keys must be listed in ENCRYPTION_KEYS_PREVIOUS so existing envelopes
+// (including pre-v2 files) can be read. Files are rewritten in place, atomically.
+require('../config').loadEnvFiles(); // .env.<NODE_ENV> and .env, like the server
+const fs = require('fs');
+const TokenCipher = require('../tokenCipher');
+const { createStorageBackend, FileBackend, MemoryBackend, NAMESPACES } = require('../storage');
+
+async function reencryptFile(cipher, filePath) {
+  const envelope = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  if (!cipher.needsReencrypt(envelope)) {
+    console.log(`✔ ${filePath} already uses the active key`);
+    return;
+  }
+
+  const data = cipher.decrypt(envelope);
+  if (!data) {
+    throw new Error(`Could not decrypt ${filePath} with any configured key`);
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(cipher.encrypt(data)));
+  await fs.promises.rename(tmpPath, filePath);
+  console.log(`✔ ${filePath} re-encrypted with key ${cipher.activeKeyId}`);
+}
+
+// Non-file backends encrypt per record, so every record is read and written back
+async function reencryptBackend(backend, namespace) {
+  const { records, unreadable } = await backend.inspect();
+  if (unreadable.length > 0) {
+    throw new Error(`Could not decrypt ${unreadable.length} ${namespace} record(s) with any configured key: ${unreadable.map((record) => record.key).join(', ')}`);
+  }
+  for (const { key, value } of records) {
+    await backend.set(key, value);
+  }
+  console.log(`✔ ${records.length} ${namespace} record(s) re-encrypted with the active key`);
+}
+
+async function reencryptNamespace(cipher, namespace) {
+  const backend = createStorageBackend(namespace, cipher);
+  try {
+    if (backend instanceof MemoryBackend) {
+      console.log(`Nothing is persisted for ${namespace}, nothing to do`);
+    } else if (backend instanceof FileBackend) {
+      if (fs.existsSync(backend.filePath)) {
+        await reencryptFile(cipher, backend.filePath);
+      } else {
+        console.log(`No ${namespace} file at ${backend.filePath}, nothing to do`);
+      }
+    } else {
+      await reencryptBackend(backend, namespace);
+    }
+  } finally {
+    await backend.close();
+  }
+}
+
+async function main() {
+  const cipher = TokenCipher.fromEnv();
+  const files = process.argv.slice(2);
+
+  if (files.length > 0) {
+    for (const filePath of files) {
+      await reencryptFile(cipher, filePath);
+    }
+    return;
+  }
+
+  for (const namespace of NAMESPACES) {
+    await reencryptNamespace(cipher, namespace);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
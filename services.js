@@ -0,0 +1,324 @@
+// Loads .env files first, so every module below sees their settings
+const config = require('./config');
+const { DEFAULT_APP } = require('./config');
+const SecureTokenStorage = require('./tokenStorage');
+const TokenCipher = require('./tokenCipher');
+const TokenRefresher = require('./tokenRefresher');
+const TikTokClient = require('./tiktokClient');
+const UploadEngine = require('./uploadEngine');
+const PublishQueue = require('./publishQueue');
+const PostScheduler = require('./scheduler');
+const AnalyticsWarehouse = require('./warehouse');
+const WarehouseSync = require('./warehouseSync');
+const { VideoMetricsSnapshotter } = require('./videoLibrary');
+const AccountEventLog = require('./accountEvents');
+const ApiAuthenticator = require('./apiAuth');
+const LoginLinks = require('./loginLinks');
+const TikTokWebhookReceiver = require('./tiktokWebhook');
+const { parseSubscriberUrls } = require('./tiktokWebhook');
+const { prepareSourceInfo, removeTempFile } = require('./videoSource');
+const { createStorageBackend, NAMESPACES } = require('./storage');
+const Lifecycle = require('./lifecycle');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Shared services used by the routers and background workers
+
+// Invalid settings are thrown with all of them listed in error.problems, instead of ending the
+// process: node index.js logs them and exits, an app embedding the server or a test gets the error
+function startupError(message, problems) {
+  const error = new Error(message);
+  error.problems = problems;
+  return error;
+}
+
+if (config.problems.length > 0) {
+  throw startupError('Invalid configuration', config.problems);
+}
+
+// Authentication of callers of this server (API keys from API_KEYS_FILE, JWTs)
+let apiAuth;
+try {
+  apiAuth = ApiAuthenticator.fromEnv();
+} catch (error) {
+  throw startupError('Invalid API authentication config', [error.message]);
+}
+
+// Initialize secure storage with encryption key and backend (STORAGE_BACKEND) from environment
+// Refuse to start without a key: a random one would make every stored token unreadable
+let tokenCipher;
+try {
+  tokenCipher = TokenCipher.fromEnv();
+} catch (error) {
+  throw startupError('Invalid encryption config', [error.message]);
+}
+
+// Signed, short-lived /auth/login links that work in a browser without an API key
+const loginLinks = new LoginLinks(tokenCipher.signingKey('login-links'));
+
+// Every storage backend opened below, closed (and flushed) on shutdown
+const stores = [];
+function openStore(namespace) {
+  // Namespaces missing from the list would be skipped when keys are rotated
+  if (!NAMESPACES.includes(namespace)) {
+    throw new Error(`Unknown storage namespace "${namespace}"`);
+  }
+  const store = createStorageBackend(namespace, tokenCipher);
+  stores.push(store);
+  return store;
+}
+
+const tokenStorage = new SecureTokenStorage(openStore('tokens'));
+
+// A configured TikTok app (client key and secret, redirect URI, scopes, TikTok URLs) by name;
+// the default app when no name is given. Unknown names are a 400 for the request that used them.
+function tiktokApp(name) {
+  const app = config.tiktok.apps[name || config.tiktok.defaultApp];
+  if (!app) {
+    const error = new Error(`Unknown TikTok app: ${name}. Configured: ${Object.keys(config.tiktok.apps).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return app;
+}
+
+// The app an account was connected through (accounts connected before apps were recorded
+// belong to the default app of the unprefixed TIKTOK_* variables)
+function accountApp(account) {
+  const app = config.tiktok.apps[(account && account.app) || DEFAULT_APP];
+  if (!app) {
+    const error = new Error(`TikTok app ${(account && account.app) || DEFAULT_APP} of account ${account && account.open_id} is not configured`);
+    error.status = 500;
+    throw error;
+  }
+  return app;
+}
+
+// Single-flight token refresh plus background renewal before tokens expire
+const tokenRefresher = new TokenRefresher(tokenStorage, {
+  appFor: accountApp,
+  renewBeforeMs: config.tokenRenewal.renewBeforeMs,
+  intervalMs: config.tokenRenewal.intervalMs
+});
+
+// Logouts and deauthorizations, kept after the accounts themselves are gone
+const accountEvents = new AccountEventLog(openStore('account-events'));
+
+// Disconnect an account: revoke its access with TikTok (unless TikTok already did), remove the
+// stored tokens, cancel its scheduled posts and the publish jobs not started yet, and record why
+// A failed revocation doesn't keep the tokens around; it is reported in the result instead.
+async function disconnectAccount(openId, { revoke = true, type = 'logout', details = {} } = {}) {
+  let revokeError = null;
+  if (revoke) {
+    try {
+      await tokenRefresher.revoke(openId);
+    } catch (err) {
+      logger.error('Revoking account failed', { open_id: openId, error: err });
+      revokeError = err.message;
+    }
+  } else {
+    await tokenRefresher.settle(openId);
+  }
+
+  const removed = await tokenStorage.removeAccount(openId);
+  // Scheduled posts first, so none is released into the queue while its jobs are cancelled
+  const cancelledPosts = await postScheduler.cancelAccount(openId);
+  const cancelledJobs = await publishQueue.cancelQueued(openId, 'account disconnected');
+  const event = await accountEvents.record(openId, type, {
+    ...details,
+    revoked: revoke && !revokeError,
+    ...(revokeError && { revoke_error: revokeError }),
+    cancelled_jobs: cancelledJobs.length,
+    cancelled_scheduled_posts: cancelledPosts.length
+  });
+  return { removed, event };
+}
+
+// TikTok API calls on behalf of a stored account
+// Calls go to the API base URL of the account's app
+const tiktok = new TikTokClient({
+  baseUrl: tiktokApp().apiBaseUrl,
+  getAccessToken: (openId) => tokenRefresher.getValidAccessToken(openId),
+  getBaseUrl: async (openId) => accountApp(await tokenStorage.getAccount(openId)).apiBaseUrl
+});
+
+// Chunked, resumable video uploads with checkpoints kept next to the tokens
+const uploadEngine = new UploadEngine(openStore('uploads'));
+
+// Fetch the creator's current posting options (privacy levels, disabled interactions, max duration)
+async function fetchCreatorInfo(openId) {
+  const body = await tiktok.post('/v2/post/publish/creator_info/query/', {}, { openId, idempotent: true });
+  return body.data || {};
+}
+
+// Query TikTok's status/fetch for a publish_id
+async function fetchPublishStatus(openId, publishId) {
+  const body = await tiktok.post('/v2/post/publish/status/fetch/', { publish_id: publishId }, { openId, idempotent: true });
+  return body.data;
+}
+
+// Temp files of uploaded videos whose post will never run (cancelled or missed)
+async function discardPayload(payload) {
+  if (payload.source.tempFile) {
+    await removeTempFile(payload.source.filePath);
+  }
+}
+
+// Asynchronous publish jobs, persisted like the tokens so they survive restarts
+const publishQueue = new PublishQueue(openStore('jobs'), {
+  fetchStatus: fetchPublishStatus,
+  resumeUpload: (uploadId) => uploadEngine.resume(uploadId),
+  concurrency: config.publishing.concurrency,
+  pollIntervalMs: config.publishing.pollIntervalMs,
+  webhookUrl: config.publishing.webhookUrl,
+  webhookSecret: config.publishing.webhookSecret,
+  onDiscard: discardPayload
+});
+
+// Publish job handler for direct posts: init with TikTok, then stream the file (FILE_UPLOAD)
+async function runDirectPost(job, { setPublishId, setUploadId }) {
+  const { source, post_info } = job.payload;
+  try {
+    const { sourceInfo, plan } = await prepareSourceInfo(source);
+
+    // Step 1: Initialize video upload
+    logger.info('Initializing video upload', { job_id: job.id, source: source.type });
+    const initResponse = await tiktok.post('/v2/post/publish/video/init/', {
+      post_info,
+      source_info: sourceInfo
+    }, { openId: job.open_id });
+
+    const { publish_id, upload_url } = initResponse.data;
+    await setPublishId(publish_id);
+
+    // Step 2: Stream the video file to TikTok's designated URL, chunk by chunk
+    // (PULL_FROM_URL has no upload step: TikTok fetches the video itself)
+    if (source.type === 'FILE_UPLOAD') {
+      logger.info('Uploading video file', { job_id: job.id, publish_id, chunks: plan.totalChunkCount });
+      await uploadEngine.start({
+        openId: job.open_id,
+        kind: 'direct-post',
+        publishId: publish_id,
+        uploadUrl: upload_url,
+        filePath: source.filePath,
+        plan,
+        removeFileWhenDone: source.tempFile,
+        onCheckpoint: setUploadId
+      });
+    }
+
+    return publish_id;
+  } catch (err) {
+    // Temp files stay around only while a failed upload can still be resumed
+    if (source.tempFile && !err.uploadId) {
+      await removeTempFile(source.filePath);
+    }
+    throw err;
+  }
+}
+
+publishQueue.registerHandler('video.direct-post', runDirectPost);
+
+// Scheduled direct posts and recurring posting slots, released into the publish queue when due
+const postScheduler = new PostScheduler(openStore('schedules'), openStore('slots'), {
+  publishQueue,
+  catchUp: config.scheduler.catchUp,
+  catchUpMaxMs: config.scheduler.catchUpMaxMs,
+  tickMs: config.scheduler.tickMs,
+  onDiscard: discardPayload
+});
+
+// TikTok webhook events: publish results and deauthorizations, passed on to TIKTOK_WEBHOOK_SUBSCRIBERS
+// Seen event ids are kept like the jobs so redeliveries after a restart are still recognised
+const webhookReceiver = new TikTokWebhookReceiver(openStore('webhook-events'), {
+  clientKeys: Object.values(config.tiktok.apps).map((app) => app.clientKey),
+  publishQueue,
+  tokenStorage,
+  disconnectAccount,
+  forwardSecret: config.publishing.webhookSecret
+});
+for (const { pattern, url } of parseSubscriberUrls(config.webhooks.subscribers)) {
+  webhookReceiver.subscribeUrl(pattern, url);
+}
+
+// Local SQLite copy of shop/affiliate analytics, kept up to date by a periodic incremental sync
+const warehouse = new AnalyticsWarehouse(config.warehouse.path);
+const warehouseSync = new WarehouseSync(warehouse, {
+  tiktok,
+  tokenStorage,
+  backfillDays: config.warehouse.backfillDays,
+  intervalMs: config.warehouse.syncIntervalMs
+});
+
+// Hourly view/like/comment/share snapshots of recent and published videos, stored in the warehouse
+const videoMetrics = new VideoMetricsSnapshotter(warehouse, {
+  tiktok,
+  tokenStorage,
+  publishQueue,
+  maxVideos: config.videoMetrics.maxVideos,
+  intervalMs: config.videoMetrics.intervalMs
+});
+
+// Flush and close storage once the workers are stopped
+async function closeStorage() {
+  await Promise.all(stores.map((store) => store.close()));
+  warehouse.close();
+}
+
+// Draining, paused publishing and graceful shutdown (SIGTERM/SIGINT, POST /shutdown)
+const lifecycle = new Lifecycle({
+  publishQueue,
+  uploadEngine,
+  tokenRefresher,
+  workers: [postScheduler, warehouseSync, videoMetrics],
+  close: closeStorage,
+  timeoutMs: config.shutdownTimeoutMs
+});
+
+// Gauges computed when /metrics is scraped
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1);
+  }
+  return Array.from(counts, ([key, value]) => ({ key, value }));
+}
+
+metrics.registry.gauge('tiktok_accounts', 'Connected TikTok accounts, by token state (ok, reauth_required, refresh_expired)', ['state'], async () => {
+  const now = Date.now();
+  const accounts = await tokenStorage.listAccounts();
+  return countBy(accounts, (account) => {
+    if (account.reauth_required) {
+      return 'reauth_required';
+    }
+    return account.refresh_expires_at && account.refresh_expires_at <= now ? 'refresh_expired' : 'ok';
+  }).map(({ key, value }) => ({ labels: { state: key }, value }));
+});
+
+metrics.registry.gauge('tiktok_publish_jobs', 'Stored publish jobs, by status', ['status'], async () => (
+  countBy(await publishQueue.list(), (job) => job.status).map(({ key, value }) => ({ labels: { status: key }, value }))
+));
+
+module.exports = {
+  config,
+  tiktokApp,
+  accountApp,
+  apiAuth,
+  tokenCipher,
+  loginLinks,
+  tokenStorage,
+  tokenRefresher,
+  accountEvents,
+  tiktok,
+  uploadEngine,
+  publishQueue,
+  postScheduler,
+  webhookReceiver,
+  warehouse,
+  warehouseSync,
+  videoMetrics,
+  lifecycle,
+  fetchCreatorInfo,
+  fetchPublishStatus,
+  disconnectAccount
+};
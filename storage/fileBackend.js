@@ -0,0 +1,151 @@
+const fs = require('fs');
+const logger = require('../logger');
+
+// Encrypted JSON file backend (the default)
+// The whole record map is encrypted as one file. The decrypted map is cached and
+// the file is only re-read when its size or modification time changes.
+class FileBackend {
+  constructor(cipher, filePath) {
+    this.cipher = cipher;
+    this.filePath = filePath;
+    this.cache = null;
+    this.cacheStamp = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async stamp() {
+    try {
+      const stats = await fs.promises.stat(this.filePath);
+      return `${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Load the record map, using the cache while the file is unchanged
+  async load() {
+    const stamp = await this.stamp();
+    if (this.cache && stamp === this.cacheStamp) {
+      return this.cache;
+    }
+
+    if (!stamp) {
+      logger.debug('No existing data', { file: this.filePath });
+      this.cache = {};
+      this.cacheStamp = null;
+      return this.cache;
+    }
+
+    const encryptedData = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    const data = this.cipher.decrypt(encryptedData);
+    if (!data) {
+      throw new Error(`Failed to decrypt ${this.filePath}`);
+    }
+
+    logger.debug('Loaded storage file', { file: this.filePath });
+    this.cache = this.upgrade(data);
+    this.cacheStamp = stamp;
+    return this.cache;
+  }
+
+  // Accept layouts written by earlier versions of the token store:
+  // `{ accounts: {...} }` (multi-account) and a bare single token set
+  upgrade(data) {
+    if (data.records) {
+      return data.records;
+    }
+    if (data.accounts) {
+      return data.accounts;
+    }
+    if (data.access_token) {
+      const openId = data.open_id || 'legacy';
+      return { [openId]: { ...data, open_id: openId, label: null } };
+    }
+    return {};
+  }
+
+  // Write the record map atomically (temp file + rename)
+  async save(records) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.cipher.encrypt({ records })));
+    await fs.promises.rename(tmpPath, this.filePath);
+    logger.debug('Saved storage file', { file: this.filePath });
+
+    this.cache = records;
+    this.cacheStamp = await this.stamp();
+  }
+
+  // Run changes to the file one at a time, in the order they were asked for
+  queued(change) {
+    const run = this.writeQueue.then(change);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Read-modify-write cycles go through the queue so concurrent updates aren't lost
+  update(mutate) {
+    return this.queued(async () => {
+      const records = { ...(await this.load()) };
+      const result = mutate(records);
+      await this.save(records);
+      return result;
+    });
+  }
+
+  async get(key) {
+    const records = await this.load();
+    return records[key] ? JSON.parse(JSON.stringify(records[key])) : null;
+  }
+
+  async set(key, value) {
+    // Copied now: the cached map must not change with the caller's object
+    const copy = JSON.parse(JSON.stringify(value));
+    await this.update((records) => {
+      records[key] = copy;
+    });
+  }
+
+  async delete(key) {
+    return this.update((records) => {
+      const existed = key in records;
+      delete records[key];
+      return existed;
+    });
+  }
+
+  async list() {
+    const records = await this.load();
+    return Object.values(records).map((value) => JSON.parse(JSON.stringify(value)));
+  }
+
+  async inspect() {
+    try {
+      const records = await this.load();
+      return {
+        records: Object.entries(records).map(([key, value]) => ({ key, value: JSON.parse(JSON.stringify(value)) })),
+        unreadable: []
+      };
+    } catch (error) {
+      return { records: [], unreadable: [{ key: null, error: error.message }] };
+    }
+  }
+
+  // Queued like the writes: a set() called before clear() is cleared, one called after it is kept
+  clear() {
+    return this.queued(async () => {
+      await fs.promises.rm(this.filePath, { force: true });
+      logger.debug('Cleared storage file', { file: this.filePath });
+      this.cache = {};
+      this.cacheStamp = null;
+    });
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileBackend;
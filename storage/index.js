@@ -0,0 +1,59 @@
+const FileBackend = require('./fileBackend');
+const MemoryBackend = require('./memoryBackend');
+const SqliteBackend = require('./sqliteBackend');
+const RedisBackend = require('./redisBackend');
+
+// Storage adapter interface shared by every backend:
+//   get(key) -> value | null
+//   set(key, value)
+//   delete(key) -> boolean
+//   list() -> value[]
+//   clear()
+//   close()
+//   inspect() -> { records: [{ key, value }], unreadable: [{ key, error }] }
+// All methods are async. Values are plain JSON-serializable objects.
+// inspect() is for health checks: records that can't be decrypted are reported instead of thrown
+// (key is null when the backend can only fail as a whole, like the single encrypted file).
+
+const BACKENDS = ['file', 'memory', 'sqlite', 'redis'];
+
+// Every namespace the server keeps, all encrypted with the same key (see scripts/reencrypt-tokens.js)
+const NAMESPACES = ['tokens', 'account-events', 'uploads', 'jobs', 'schedules', 'slots', 'webhook-events'];
+
+// Create the backend selected by STORAGE_BACKEND for a namespace (e.g. 'tokens')
+function createStorageBackend(namespace, cipher, env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file': {
+      const filePath = namespace === 'tokens'
+        ? (env.TOKEN_FILE_PATH || './tokens.encrypted.json')
+        : `./${namespace}.encrypted.json`;
+      return new FileBackend(cipher, filePath);
+    }
+    case 'memory':
+      return new MemoryBackend();
+    case 'sqlite':
+      return new SqliteBackend(cipher, {
+        dbPath: env.SQLITE_PATH || './storage.sqlite',
+        namespace
+      });
+    case 'redis':
+      return new RedisBackend(cipher, {
+        url: env.REDIS_URL || 'redis://127.0.0.1:6379',
+        keyPrefix: env.REDIS_KEY_PREFIX || 'tiktok-oauth2:',
+        namespace
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createStorageBackend,
+  NAMESPACES,
+  FileBackend,
+  MemoryBackend,
+  SqliteBackend,
+  RedisBackend
+};
@@ -0,0 +1,43 @@
+// In-memory storage backend
+// Nothing is persisted; meant for tests and throwaway local runs
+class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  // Values are copied in and out so callers can't mutate stored records
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async get(key) {
+    return this.records.has(key) ? this.clone(this.records.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.records.set(key, this.clone(value));
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async list() {
+    return Array.from(this.records.values(), (value) => this.clone(value));
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+
+  async inspect() {
+    return {
+      records: Array.from(this.records, ([key, value]) => ({ key, value: this.clone(value) })),
+      unreadable: []
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,62 @@
+const requireOptional = require('./requireOptional');
+
+// Redis-protocol backend (ioredis)
+// Works with Redis and anything speaking RESP (KeyDB, Valkey, Dragonfly, a local
+// stand-in). Each namespace is one hash; each field value is encrypted on its own.
+class RedisBackend {
+  constructor(cipher, { url, keyPrefix, namespace }) {
+    const Redis = requireOptional('ioredis', 'The redis storage backend');
+
+    this.cipher = cipher;
+    this.hashKey = `${keyPrefix}${namespace}`;
+    this.client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+  }
+
+  decode(raw) {
+    const value = this.cipher.decrypt(JSON.parse(raw));
+    if (!value) {
+      throw new Error('Failed to decrypt stored record');
+    }
+    return value;
+  }
+
+  async get(key) {
+    const raw = await this.client.hget(this.hashKey, key);
+    return raw ? this.decode(raw) : null;
+  }
+
+  async set(key, value) {
+    await this.client.hset(this.hashKey, key, JSON.stringify(this.cipher.encrypt(value)));
+  }
+
+  async delete(key) {
+    return (await this.client.hdel(this.hashKey, key)) > 0;
+  }
+
+  async list() {
+    const values = await this.client.hvals(this.hashKey);
+    return values.map((raw) => this.decode(raw));
+  }
+
+  async clear() {
+    await this.client.del(this.hashKey);
+  }
+
+  async inspect() {
+    const result = { records: [], unreadable: [] };
+    for (const [key, raw] of Object.entries(await this.client.hgetall(this.hashKey))) {
+      try {
+        result.records.push({ key, value: this.decode(raw) });
+      } catch (error) {
+        result.unreadable.push({ key, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisBackend;
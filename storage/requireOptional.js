@@ -0,0 +1,14 @@
+// Load a driver from optionalDependencies, with a clear message when it's missing
+// feature names what needs the package, e.g. "The sqlite storage backend"
+function requireOptional(packageName, feature) {
+  try {
+    return require(packageName);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`${feature} needs the "${packageName}" package. Install it with: npm install ${packageName}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = requireOptional;
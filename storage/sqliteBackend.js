@@ -0,0 +1,82 @@
+const requireOptional = require('./requireOptional');
+
+// SQLite backend (better-sqlite3)
+// All namespaces share one `records` table; each value is encrypted on its own
+class SqliteBackend {
+  constructor(cipher, { dbPath, namespace }) {
+    const Database = requireOptional('better-sqlite3', 'The sqlite storage backend');
+
+    this.cipher = cipher;
+    this.namespace = namespace;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM records WHERE namespace = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO records (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM records WHERE namespace = ? AND key = ?'),
+      list: this.db.prepare('SELECT key, value FROM records WHERE namespace = ? ORDER BY key'),
+      clear: this.db.prepare('DELETE FROM records WHERE namespace = ?')
+    };
+  }
+
+  decode(row) {
+    const value = this.cipher.decrypt(JSON.parse(row.value));
+    if (!value) {
+      throw new Error('Failed to decrypt stored record');
+    }
+    return value;
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(this.namespace, key);
+    return row ? this.decode(row) : null;
+  }
+
+  async set(key, value) {
+    const encrypted = JSON.stringify(this.cipher.encrypt(value));
+    this.statements.set.run(this.namespace, key, encrypted, Date.now());
+  }
+
+  async delete(key) {
+    return this.statements.delete.run(this.namespace, key).changes > 0;
+  }
+
+  async list() {
+    return this.statements.list.all(this.namespace).map((row) => this.decode(row));
+  }
+
+  async clear() {
+    this.statements.clear.run(this.namespace);
+  }
+
+  async inspect() {
+    const result = { records: [], unreadable: [] };
+    for (const row of this.statements.list.all(this.namespace)) {
+      try {
+        result.records.push({ key: row.key, value: this.decode(row) });
+      } catch (error) {
+        result.unreadable.push({ key: row.key, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
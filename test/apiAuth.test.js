@@ -0,0 +1,258 @@
+// Authentication of this server's callers: API keys, JWTs (HS256/RS256), login links and the role
+// each endpoint needs, checked against the real routes with API keys configured
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ApiAuthenticator = require('../apiAuth');
+const LoginLinks = require('../loginLinks');
+const { hashApiKey, hasRole } = require('../apiAuth');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-auth-'));
+const KEYS = {
+  read: 'tok_read-key',
+  publish: 'tok_publish-key',
+  admin: 'tok_admin-key',
+  limitedAdmin: 'tok_limited-admin-key'
+};
+
+// A request as seen by authenticate(): headers and the caller's address
+function fakeRequest(headers = {}, remoteAddress = '203.0.113.7') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: (name) => lower[name.toLowerCase()], socket: { remoteAddress } };
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signJwt(claims, { alg = 'HS256', key }) {
+  const input = `${base64url({ alg, typ: 'JWT' })}.${base64url(claims)}`;
+  let signature = '';
+  if (alg === 'HS256') {
+    signature = crypto.createHmac('sha256', key).update(input).digest('base64url');
+  } else if (alg === 'RS256') {
+    signature = crypto.createSign('RSA-SHA256').update(input).sign(key, 'base64url');
+  }
+  return `${input}.${signature}`;
+}
+
+function bearer(token, remoteAddress) {
+  return fakeRequest({ Authorization: `Bearer ${token}` }, remoteAddress);
+}
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('without keys or JWTs every request is refused, even from this machine', () => {
+  const auth = new ApiAuthenticator();
+  assert.throws(() => auth.authenticate(fakeRequest({}, '127.0.0.1')), { status: 401, message: /API_AUTH_DISABLED/ });
+});
+
+test('API_AUTH_DISABLED lets only local requests in, and only while nothing is configured', () => {
+  const auth = ApiAuthenticator.fromEnv({ API_KEYS_FILE: path.join(workDir, 'none.json'), API_AUTH_DISABLED: 'true' });
+  assert.strictEqual(auth.authenticate(fakeRequest({}, '::1')).role, 'admin');
+  assert.strictEqual(auth.authenticate(fakeRequest({}, '::ffff:127.0.0.1')).role, 'admin');
+  assert.throws(() => auth.authenticate(fakeRequest({}, '203.0.113.7')), { status: 401 });
+
+  const configured = ApiAuthenticator.fromEnv({ API_KEYS_FILE: path.join(workDir, 'none.json'), JWT_SECRET: 'secret', API_AUTH_DISABLED: 'true' });
+  assert.strictEqual(configured.disabled, false);
+  assert.throws(() => configured.authenticate(fakeRequest({}, '127.0.0.1')), { status: 401 });
+});
+
+test('API keys are accepted as X-API-Key or bearer token and carry their role and accounts', () => {
+  const auth = new ApiAuthenticator({
+    apiKeys: [
+      { name: 'n8n', hash: hashApiKey('tok_one'), role: 'publish', accounts: ['brand-main'] },
+      { name: 'dashboard', hash: hashApiKey('tok_two'), role: 'read' }
+    ]
+  });
+
+  assert.deepStrictEqual(auth.authenticate(fakeRequest({ 'X-API-Key': 'tok_one' })), { name: 'n8n', role: 'publish', accounts: ['brand-main'], via: 'api_key' });
+  assert.strictEqual(auth.authenticate(bearer('tok_two')).role, 'read');
+  assert.throws(() => auth.authenticate(fakeRequest({ 'X-API-Key': 'tok_three' })), { status: 401, message: 'Invalid API key' });
+  assert.throws(() => auth.authenticate(fakeRequest()), { status: 401, message: /Authentication required/ });
+  // Being on this machine is no credential once keys exist
+  assert.throws(() => auth.authenticate(fakeRequest({}, '127.0.0.1')), { status: 401 });
+});
+
+test('HS256 tokens need the shared secret, a valid role and an unexpired lifetime', () => {
+  const auth = new ApiAuthenticator({ jwtSecret: 'hs-secret', jwtIssuer: 'issuer', jwtAudience: 'tiktok-server' });
+  const claims = { sub: 'reporting', role: 'read', accounts: ['brand-main'], iss: 'issuer', aud: 'tiktok-server', exp: inAnHour() };
+
+  assert.deepStrictEqual(auth.authenticate(bearer(signJwt(claims, { key: 'hs-secret' }))), { name: 'reporting', role: 'read', accounts: ['brand-main'], via: 'jwt' });
+  assert.throws(() => auth.authenticate(bearer(signJwt(claims, { key: 'other-secret' }))), { status: 401, message: 'Invalid token signature' });
+
+  const now = Math.floor(Date.now() / 1000);
+  assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, exp: now - 120 }, { key: 'hs-secret' }))), { status: 401, message: 'Token expired' });
+  // Within the clock skew allowance
+  assert.strictEqual(auth.authenticate(bearer(signJwt({ ...claims, exp: now - 10 }, { key: 'hs-secret' }))).role, 'read');
+  assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, nbf: now + 600 }, { key: 'hs-secret' }))), { status: 401, message: 'Token not valid yet' });
+  // Time claims that aren't numbers are refused instead of never expiring
+  for (const changes of [{ exp: '1' }, { exp: { at: 1 } }, { nbf: 'later' }, { iat: null }]) {
+    assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, ...changes }, { key: 'hs-secret' }))), { status: 401, message: /must be a number of seconds/ }, JSON.stringify(changes));
+  }
+  assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, iss: 'someone' }, { key: 'hs-secret' }))), { status: 401, message: /issuer/ });
+  assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, aud: 'other' }, { key: 'hs-secret' }))), { status: 401, message: /audience/ });
+  assert.throws(() => auth.authenticate(bearer(signJwt({ ...claims, role: 'root' }, { key: 'hs-secret' }))), { status: 401, message: /role must be one of/ });
+  assert.throws(() => auth.authenticate(bearer('not.a.token')), { status: 401 });
+});
+
+test('RS256 tokens are verified with the public key, which is never accepted as an HMAC secret', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  const auth = new ApiAuthenticator({ jwtPublicKey: publicPem });
+  const claims = { sub: 'ci', role: 'publish', exp: inAnHour() };
+
+  assert.strictEqual(auth.authenticate(bearer(signJwt(claims, { alg: 'RS256', key: privateKey }))).role, 'publish');
+
+  // Algorithm confusion: an HS256 token "signed" with the public key must not pass
+  const confused = signJwt({ ...claims, role: 'admin' }, { alg: 'HS256', key: publicPem });
+  assert.throws(() => auth.authenticate(bearer(confused)), { status: 401, message: /Unsupported token algorithm: HS256/ });
+  assert.throws(() => auth.authenticate(bearer(signJwt(claims, { alg: 'none' }))), { status: 401, message: /Unsupported token algorithm: none/ });
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  assert.throws(() => auth.authenticate(bearer(signJwt(claims, { alg: 'RS256', key: otherKey }))), { status: 401, message: 'Invalid token signature' });
+});
+
+test('each role includes the ones before it', () => {
+  assert.ok(hasRole('admin', 'publish') && hasRole('admin', 'read') && hasRole('publish', 'read'));
+  assert.ok(!hasRole('read', 'publish') && !hasRole('publish', 'admin') && !hasRole(undefined, 'read'));
+});
+
+test('login links are bound to their parameters and expire', () => {
+  const links = new LoginLinks(Buffer.from('link-secret'), { ttlMs: 60 * 1000 });
+  const { query, expires_at } = links.sign({ account: 'open-1', scope: 'video.list' }, 0);
+  const params = Object.fromEntries(new URLSearchParams(query));
+  assert.strictEqual(expires_at, 60 * 1000);
+
+  links.verify(params, 59 * 1000);
+  assert.throws(() => links.verify(params, 60 * 1000), { status: 401, message: /expired/ });
+  assert.throws(() => links.verify({ ...params, account: 'open-2' }, 0), { status: 401, message: /Invalid/ });
+  assert.throws(() => links.verify({ ...params, label: 'new' }, 0), { status: 401, message: /Invalid/ });
+  assert.throws(() => links.verify({ ...params, scope: ['video.list', 'shop.partner.analytics'] }, 0), { status: 401 });
+  assert.throws(() => new LoginLinks(Buffer.from('other-secret')).verify(params, 0), { status: 401 });
+});
+
+// The real routes, with API keys configured
+test.describe('endpoint roles', () => {
+  let server;
+  let baseUrl;
+  let services;
+
+  test.before(async () => {
+    server = http.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+
+    const keysFile = path.join(workDir, 'api-keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify([
+      { name: 'reader', hash: hashApiKey(KEYS.read), role: 'read' },
+      { name: 'publisher', hash: hashApiKey(KEYS.publish), role: 'publish' },
+      { name: 'operator', hash: hashApiKey(KEYS.admin), role: 'admin' },
+      { name: 'brand-admin', hash: hashApiKey(KEYS.limitedAdmin), role: 'admin', accounts: ['brand-main'] }
+    ]));
+    Object.assign(process.env, {
+      PUBLIC_BASE_URL: baseUrl,
+      ENCRYPTION_KEY: 'auth-test-encryption-key-0123456789abcdef',
+      STORAGE_BACKEND: 'memory',
+      TIKTOK_CLIENT_KEY: 'auth-client-key',
+      TIKTOK_CLIENT_SECRET: 'auth-client-secret',
+      TIKTOK_AUTH_BASE_URL: 'http://tiktok.invalid',
+      WAREHOUSE_PATH: path.join(workDir, 'analytics.sqlite'),
+      UPLOAD_TMP_DIR: path.join(workDir, 'uploads'),
+      API_KEYS_FILE: keysFile,
+      LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    });
+    server.on('request', require('../index'));
+    services = require('../services');
+  });
+
+  test.after(async () => {
+    services.lifecycle.attach(server);
+    await services.lifecycle.shutdown('tests');
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  async function status(method, urlPath, key) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: key ? { 'X-API-Key': key } : {},
+      redirect: 'manual'
+    });
+    await response.arrayBuffer();
+    return response.status;
+  }
+
+  // Endpoint, the role it needs, and whether a credential limited to some accounts is refused
+  const ENDPOINTS = [
+    ['GET', '/jobs', 'read', false],
+    ['GET', '/accounts', 'read', false],
+    ['GET', '/metrics', 'read', true],
+    ['GET', '/analytics/sync', 'read', false],
+    ['POST', '/analytics/sync', 'publish', false],
+    ['DELETE', '/scheduled-posts/unknown', 'publish', false],
+    ['DELETE', '/posting-slots/unknown', 'publish', false],
+    ['POST', '/auth/login-links', 'admin', false],
+    ['GET', '/lifecycle', 'admin', true],
+    ['GET', '/account-events', 'admin', true]
+  ];
+
+  test('every endpoint answers 401 without a credential and 403 below its role', async () => {
+    for (const [method, urlPath, role, allAccounts] of ENDPOINTS) {
+      assert.strictEqual(await status(method, urlPath), 401, `${method} ${urlPath} without a credential`);
+      for (const [keyRole, key] of [['read', KEYS.read], ['publish', KEYS.publish], ['admin', KEYS.admin]]) {
+        const answered = await status(method, urlPath, key);
+        if (hasRole(keyRole, role)) {
+          assert.ok(answered !== 401 && answered !== 403, `${method} ${urlPath} as ${keyRole} answered ${answered}`);
+        } else {
+          assert.strictEqual(answered, 403, `${method} ${urlPath} as ${keyRole}`);
+        }
+      }
+      const limited = await status(method, urlPath, KEYS.limitedAdmin);
+      assert.strictEqual(limited === 403, allAccounts, `${method} ${urlPath} with an account-limited admin answered ${limited}`);
+    }
+  });
+
+  test('a video metrics snapshot needs publish, like a warehouse sync', async () => {
+    assert.strictEqual(await status('POST', '/videos/snapshot'), 401);
+    assert.strictEqual(await status('POST', '/videos/snapshot', KEYS.read), 403);
+
+    // Past the role check, it fails on the missing account (none is connected in these tests)
+    const response = await fetch(`${baseUrl}/videos/snapshot`, { method: 'POST', headers: { 'X-API-Key': KEYS.publish } });
+    assert.match((await response.json()).details, /No tokens available/);
+  });
+
+  test('public endpoints need no credential; readiness details do', async () => {
+    assert.strictEqual(await status('GET', '/health/live'), 200);
+
+    const publicReady = await (await fetch(`${baseUrl}/health/ready`)).json();
+    assert.strictEqual(publicReady.status, 'degraded');
+    assert.deepStrictEqual(publicReady.checks.config, { ok: true });
+    assert.strictEqual(publicReady.accounts, undefined);
+
+    const detailed = await (await fetch(`${baseUrl}/health/ready`, { headers: { 'X-API-Key': KEYS.read } })).json();
+    assert.deepStrictEqual(detailed.checks.config.apps, ['default']);
+    assert.deepStrictEqual(detailed.accounts, []);
+  });
+
+  test('a signed login link starts the login without a credential', async () => {
+    assert.strictEqual(await status('GET', '/auth/login'), 401);
+    assert.strictEqual(await status('GET', '/auth/login', KEYS.publish), 403);
+
+    const response = await fetch(`${baseUrl}/auth/login-links`, {
+      method: 'POST',
+      headers: { 'X-API-Key': KEYS.admin, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ label: 'brand-main' })
+    });
+    assert.strictEqual(response.status, 201);
+    const { login_url } = await response.json();
+
+    const login = await fetch(login_url, { redirect: 'manual' });
+    assert.strictEqual(login.status, 302);
+    assert.match(login.headers.get('location'), /^http:\/\/tiktok\.invalid\/v2\/auth\/authorize\//);
+    assert.strictEqual(await status('GET', login_url.slice(baseUrl.length).replace('brand-main', 'brand-other')), 401);
+  });
+});
@@ -0,0 +1,589 @@
+// End-to-end tests: the real server against the TikTok mock (mock/tiktokMock.js), no network needed
+// Run with npm test (Node 20+)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const createTikTokMock = require('../mock/tiktokMock');
+
+const mock = createTikTokMock({
+  clientKey: 'e2e-client-key',
+  clientSecret: 'e2e-client-secret',
+  extraClients: { 'e2e-sandbox-key': 'e2e-sandbox-secret' },
+  listingSize: 45
+});
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-e2e-'));
+
+let mockServer;
+let server;
+let baseUrl;
+let services;
+
+async function call(method, urlPath, body) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // HTML, CSV or empty bodies stay as text
+  }
+  return { status: response.status, headers: response.headers, text, json };
+}
+
+// Go through /auth/login -> mock authorize -> /auth/callback like a browser would
+async function login(query = '') {
+  const start = await fetch(`${baseUrl}/auth/login${query}`, { redirect: 'manual' });
+  assert.strictEqual(start.status, 302);
+  const consent = await fetch(start.headers.get('location'), { redirect: 'manual' });
+  assert.strictEqual(consent.status, 302);
+  const callback = await fetch(consent.headers.get('location'), { redirect: 'manual' });
+  return { status: callback.status, text: await callback.text() };
+}
+
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+test.before(async () => {
+  mockServer = await mock.listen(0);
+
+  // The configuration is read once when the server is loaded, so the port is picked first
+  server = http.createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  Object.assign(process.env, {
+    PUBLIC_BASE_URL: baseUrl,
+    ENCRYPTION_KEY: 'e2e-test-encryption-key-0123456789abcdef',
+    STORAGE_BACKEND: 'memory',
+    TIKTOK_CLIENT_KEY: mock.config.clientKey,
+    TIKTOK_CLIENT_SECRET: mock.config.clientSecret,
+    TIKTOK_API_BASE_URL: mockServer.url,
+    TIKTOK_AUTH_BASE_URL: mockServer.url,
+    TIKTOK_SCOPES: 'user.info.basic,video.publish,video.upload,video.list',
+    TIKTOK_APPS: 'sandbox',
+    TIKTOK_SANDBOX_CLIENT_KEY: 'e2e-sandbox-key',
+    TIKTOK_SANDBOX_CLIENT_SECRET: 'e2e-sandbox-secret',
+    WAREHOUSE_PATH: path.join(workDir, 'analytics.sqlite'),
+    UPLOAD_TMP_DIR: path.join(workDir, 'uploads'),
+    API_KEYS_FILE: path.join(workDir, 'api-keys.json'),
+    API_AUTH_DISABLED: 'true',
+    PUBLISH_POLL_INTERVAL_SECONDS: '1',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+  });
+
+  server.on('request', require('../index'));
+  services = require('../services');
+});
+
+test.after(async () => {
+  services.lifecycle.attach(server);
+  const { timed_out } = await services.lifecycle.shutdown('tests');
+  assert.strictEqual(timed_out, false);
+  await mockServer.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('readiness is degraded, not failing, until an account is connected', async () => {
+  const live = await call('GET', '/health/live');
+  assert.strictEqual(live.status, 200);
+
+  const ready = await call('GET', '/health/ready');
+  assert.strictEqual(ready.status, 200);
+  assert.strictEqual(ready.json.status, 'degraded');
+  assert.strictEqual(ready.json.checks.config.ok, true);
+  assert.strictEqual(ready.json.checks.accounts.ok, false);
+});
+
+test('OAuth login stores the account with its granted scopes', async () => {
+  const { status, text } = await login('?label=main');
+  assert.strictEqual(status, 200);
+  assert.match(text, /Login Successful/);
+
+  const { json } = await call('GET', '/accounts/main');
+  assert.strictEqual(json.open_id, 'mock-open-id');
+  assert.deepStrictEqual([...json.scopes].sort(), ['user.info.basic', 'video.list', 'video.publish', 'video.upload']);
+
+  const info = await call('GET', '/creator-info?account=main');
+  assert.strictEqual(info.status, 200);
+  assert.strictEqual(info.json.data.creator_username, 'mock');
+});
+
+test('a declined scope is reported and answered with a consent link', async () => {
+  mock.setConsent({ openId: 'partial-open-id', scopes: ['user.info.basic', 'video.upload'] });
+  const { status, text } = await login('?label=partial');
+  assert.strictEqual(status, 200);
+  assert.match(text, /Not granted: <code>video\.publish, video\.list<\/code>/);
+  mock.setConsent();
+
+  const info = await call('GET', '/creator-info?account=partial');
+  assert.strictEqual(info.status, 403);
+  assert.deepStrictEqual(info.json.missing_scopes, ['video.publish']);
+  assert.match(info.json.consent_url, /\/auth\/login\?account=partial-open-id&scope=video\.publish&expires=\d+&signature=/);
+
+  // The consent link is signed: it can't be changed, and has to come back as the same account
+  const consent = new URL(info.json.consent_url);
+  const tampered = new URLSearchParams(consent.search);
+  tampered.set('scope', 'video.publish,shop.partner.analytics');
+  assert.strictEqual((await call('GET', `/auth/login?${tampered}`)).status, 401);
+  const other = await login(consent.search);
+  assert.strictEqual(other.status, 400);
+  assert.match(other.text, /different TikTok account/);
+});
+
+test('login links are signed, expire and name an existing account', async () => {
+  assert.strictEqual((await call('POST', '/auth/login-links', { account: 'nobody' })).status, 404);
+  assert.strictEqual((await call('POST', '/auth/login-links', { scope: 'video.nothing' })).status, 400);
+
+  const created = await call('POST', '/auth/login-links', { account: 'main', scope: 'video.list' });
+  assert.strictEqual(created.status, 201);
+  const link = new URL(created.json.login_url);
+  assert.strictEqual(link.searchParams.get('account'), 'mock-open-id');
+  assert.ok(created.json.expires_at > Date.now());
+
+  const { status } = await login(link.search);
+  assert.strictEqual(status, 200);
+
+  const expired = new URLSearchParams(link.search);
+  expired.set('expires', String(Math.floor(Date.now() / 1000) - 1));
+  assert.strictEqual((await call('GET', `/auth/login?${expired}`)).status, 401);
+});
+
+test('a denied consent does not connect an account, and callback errors are plain text', async () => {
+  mock.setConsent({ openId: 'denied-open-id', deny: true });
+  const { status, text } = await login();
+  mock.setConsent();
+  assert.strictEqual(status, 400);
+  assert.match(text, /access_denied/);
+
+  const { status: lookup } = await call('GET', '/accounts/denied-open-id');
+  assert.strictEqual(lookup, 404);
+
+  // The error comes from the query string, so a crafted callback link must not inject markup
+  const start = await fetch(`${baseUrl}/auth/login`, { redirect: 'manual' });
+  const state = new URL(start.headers.get('location')).searchParams.get('state');
+  const crafted = await fetch(`${baseUrl}/auth/callback?${new URLSearchParams({ state, error: '<script>alert(1)</script>', error_description: '<img src=x onerror=alert(1)>' })}`);
+  assert.strictEqual(crafted.status, 400);
+  assert.match(crafted.headers.get('content-type'), /^text\/plain/);
+  assert.strictEqual(await crafted.text(), 'Error: <script>alert(1)</script>, Description: <img src=x onerror=alert(1)>');
+});
+
+test('a login whose tokens cannot be stored shows an error, not a success page', async (t) => {
+  mock.setConsent({ openId: 'unstored-open-id' });
+  t.mock.method(services.tokenStorage.backend, 'set', async () => {
+    throw new Error('disk full');
+  }, { times: 1 });
+
+  const { status, text } = await login('?label=unstored');
+  mock.setConsent();
+  assert.strictEqual(status, 500);
+  assert.match(text, /tokens could not be stored/);
+  assert.doesNotMatch(text, /Login Successful/);
+  assert.strictEqual((await call('GET', '/accounts/unstored-open-id')).status, 404);
+});
+
+test('tokens refresh, and a rejected refresh token asks for a new login', async () => {
+  const before = await services.tokenStorage.loadTokens('mock-open-id');
+  const refreshed = await call('POST', '/accounts/main/refresh');
+  assert.strictEqual(refreshed.status, 200);
+  const after = await services.tokenStorage.loadTokens('mock-open-id');
+  assert.notStrictEqual(after.access_token, before.access_token);
+  assert.notStrictEqual(after.refresh_token, before.refresh_token);
+
+  // The refreshed access token works against the API
+  assert.strictEqual((await call('GET', '/creator-info?account=main')).status, 200);
+
+  mock.setConsent({ openId: 'expiring-open-id' });
+  await login('?label=expiring');
+  mock.setConsent();
+  mock.revokeRefreshTokens('expiring-open-id');
+
+  const failed = await call('POST', '/accounts/expiring/refresh');
+  assert.strictEqual(failed.status, 401);
+  assert.strictEqual(failed.json.reauth_required, true);
+  const account = await call('GET', '/accounts/expiring');
+  assert.strictEqual(account.json.reauth_required, true);
+});
+
+test('a refresh whose new tokens cannot be stored fails instead of reporting success', async (t) => {
+  t.mock.method(services.tokenStorage.backend, 'set', async () => {
+    throw new Error('disk full');
+  }, { times: 1 });
+
+  const failed = await call('POST', '/accounts/main/refresh');
+  assert.strictEqual(failed.status, 500);
+  assert.match(failed.json.details, /Failed to save tokens for account mock-open-id: disk full/);
+});
+
+test('a direct post uploads in chunks and completes', async () => {
+  // Sparse 21 MB file: two chunks (10 MB, then the remaining 11 MB)
+  const videoPath = path.join(workDir, 'clip.mp4');
+  fs.writeFileSync(videoPath, '');
+  fs.truncateSync(videoPath, 21 * 1024 * 1024);
+
+  await services.publishQueue.start();
+  const queued = await call('POST', '/video/direct-post', {
+    account: 'main',
+    file_path: videoPath,
+    title: 'E2E post',
+    privacy_level: 'SELF_ONLY'
+  });
+  assert.strictEqual(queued.status, 202, queued.text);
+  assert.strictEqual(queued.json.data.file_info.total_chunk_count, 2);
+
+  const job = await waitFor(async () => {
+    await services.publishQueue.pollAll();
+    const { json } = await call('GET', `/jobs/${queued.json.data.job_id}`);
+    return ['completed', 'failed'].includes(json.status) && json;
+  });
+  assert.strictEqual(job.status, 'completed', job.error);
+
+  const publish = mock.getPublish(job.publish_id);
+  assert.strictEqual(publish.received, 21 * 1024 * 1024);
+  assert.strictEqual(publish.status, 'PUBLISH_COMPLETE');
+  const puts = mock.state.requests.filter((request) => request.path === `/upload/${job.publish_id}`);
+  assert.strictEqual(puts.length, 2);
+});
+
+async function finishedJob(jobId) {
+  return waitFor(async () => {
+    await services.publishQueue.pollAll();
+    const { json } = await call('GET', `/jobs/${jobId}`);
+    return ['completed', 'failed'].includes(json.status) && json;
+  });
+}
+
+test('a multipart upload is posted from a temp file that is removed afterwards', async () => {
+  const form = new FormData();
+  form.append('account', 'main');
+  form.append('title', 'Multipart post');
+  form.append('privacy_level', 'SELF_ONLY');
+  form.append('disable_comment', 'true');
+  form.append('video', new Blob([Buffer.alloc(64 * 1024)], { type: 'video/mp4' }), 'clip.mp4');
+  const response = await fetch(`${baseUrl}/video/direct-post`, { method: 'POST', body: form });
+  const queued = await response.json();
+  assert.strictEqual(response.status, 202, JSON.stringify(queued));
+  assert.strictEqual(queued.data.file_info.total_chunk_count, 1);
+
+  const job = await finishedJob(queued.data.job_id);
+  assert.strictEqual(job.status, 'completed', job.error);
+  const publish = mock.getPublish(job.publish_id);
+  assert.strictEqual(publish.received, 64 * 1024);
+  // Form fields arrive as strings and are still read as post settings
+  assert.strictEqual(publish.postInfo.disable_comment, true);
+  assert.strictEqual(publish.postInfo.privacy_level, 'SELF_ONLY');
+
+  const uploads = path.join(workDir, 'uploads');
+  const leftover = fs.readdirSync(uploads).filter((entry) => fs.statSync(path.join(uploads, entry)).isFile());
+  assert.deepStrictEqual(leftover, []);
+
+  const empty = new FormData();
+  empty.append('account', 'main');
+  const refused = await fetch(`${baseUrl}/video/direct-post`, { method: 'POST', body: empty });
+  assert.strictEqual(refused.status, 400);
+  assert.match((await refused.json()).details, /"video" file field/);
+});
+
+test('a multipart upload cut off by the client leaves no temp file behind', async () => {
+  const boundary = 'e2e-boundary';
+  const request = http.request(`${baseUrl}/video/direct-post`, {
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': 10 * 1024 * 1024 }
+  });
+  request.on('error', () => {});
+  request.write(`--${boundary}\r\nContent-Disposition: form-data; name="video"; filename="cut.mp4"\r\nContent-Type: video/mp4\r\n\r\n`);
+  request.write(Buffer.alloc(256 * 1024));
+
+  const uploads = path.join(workDir, 'uploads');
+  const tempFiles = () => fs.readdirSync(uploads).filter((entry) => fs.statSync(path.join(uploads, entry)).isFile());
+  await waitFor(() => tempFiles().length === 1);
+  request.destroy();
+
+  await waitFor(() => tempFiles().length === 0);
+  // The server is still answering uploads
+  assert.strictEqual((await call('POST', '/video/direct-post', { account: 'main' })).status, 400);
+});
+
+test('a video_url is pulled by TikTok without uploading anything', async () => {
+  const queued = await call('POST', '/video/direct-post', {
+    account: 'main',
+    video_url: 'https://videos.example.com/clip.mp4',
+    title: 'Pulled post',
+    privacy_level: 'MUTUAL_FOLLOW_FRIENDS'
+  });
+  assert.strictEqual(queued.status, 202, queued.text);
+
+  const job = await finishedJob(queued.json.data.job_id);
+  assert.strictEqual(job.status, 'completed', job.error);
+  const publish = mock.getPublish(job.publish_id);
+  assert.deepStrictEqual(publish.sourceInfo, { source: 'PULL_FROM_URL', video_url: 'https://videos.example.com/clip.mp4' });
+  assert.strictEqual(publish.status, 'PUBLISH_COMPLETE');
+  assert.ok(!mock.state.requests.some((request) => request.path === `/upload/${job.publish_id}`));
+
+  const both = await call('POST', '/video/direct-post', { account: 'main', video_url: 'https://videos.example.com/clip.mp4', file_path: __filename, title: 'x' });
+  assert.strictEqual(both.status, 400);
+  const notHttp = await call('POST', '/video/direct-post', { account: 'main', video_url: 'ftp://videos.example.com/clip.mp4', title: 'x' });
+  assert.strictEqual(notHttp.status, 400);
+});
+
+test('posts breaking the creator\'s current settings are refused with 422 and every violation', async () => {
+  const defaults = { privacy_level_options: mock.state.creatorInfo.privacy_level_options, comment_disabled: false };
+  mock.setCreatorInfo({ privacy_level_options: ['SELF_ONLY'], comment_disabled: true });
+  try {
+    const before = mock.state.requests.length;
+    const refused = await call('POST', '/video/direct-post', {
+      account: 'main',
+      video_url: 'https://videos.example.com/clip.mp4',
+      title: '',
+      privacy_level: 'PUBLIC_TO_EVERYONE',
+      disable_comment: false,
+      video_cover_timestamp_ms: -1
+    });
+    assert.strictEqual(refused.status, 422, refused.text);
+    assert.deepStrictEqual(refused.json.violations.map((violation) => [violation.field, violation.code]), [
+      ['title', 'required'],
+      ['privacy_level', 'not_allowed'],
+      ['disable_comment', 'interaction_disabled'],
+      ['video_cover_timestamp_ms', 'invalid_value']
+    ]);
+    assert.deepStrictEqual(refused.json.violations[1].allowed, ['SELF_ONLY']);
+    // Nothing was sent to TikTok beyond the creator_info lookup
+    assert.deepStrictEqual(mock.state.requests.slice(before).map((request) => request.path), ['/v2/post/publish/creator_info/query/']);
+  } finally {
+    mock.setCreatorInfo(defaults);
+  }
+});
+
+test('photo posts send image URLs and shared local files through content/init', async () => {
+  const direct = await call('POST', '/photo/post', {
+    account: 'main',
+    images: ['https://images.example.com/1.jpg', 'https://images.example.com/2.jpg'],
+    photo_cover_index: 1,
+    title: 'Photos',
+    privacy_level: 'SELF_ONLY'
+  });
+  assert.strictEqual(direct.status, 200, direct.text);
+  assert.strictEqual(direct.json.data.photo_count, 2);
+  const directPublish = mock.getPublish(direct.json.data.publish_id);
+  assert.strictEqual(directPublish.mode, 'direct');
+  assert.strictEqual(directPublish.mediaType, 'PHOTO');
+  assert.deepStrictEqual(directPublish.sourceInfo, {
+    source: 'PULL_FROM_URL',
+    photo_cover_index: 1,
+    photo_images: ['https://images.example.com/1.jpg', 'https://images.example.com/2.jpg']
+  });
+
+  // Local files are handed to TikTok as temporary links under PUBLIC_BASE_URL
+  const imagePath = path.join(workDir, 'photo.jpg');
+  fs.writeFileSync(imagePath, Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]));
+  const inbox = await call('POST', '/photo/post', { account: 'main', images: [imagePath], mode: 'inbox', description: 'From disk' });
+  assert.strictEqual(inbox.status, 200, inbox.text);
+  const inboxPublish = mock.getPublish(inbox.json.data.publish_id);
+  assert.strictEqual(inboxPublish.mode, 'inbox');
+  const [link] = inboxPublish.sourceInfo.photo_images;
+  assert.ok(link.startsWith(`${baseUrl}/media/`) && link.endsWith('.jpg'), link);
+  const shared = await fetch(link);
+  assert.strictEqual(shared.status, 200);
+  assert.strictEqual(shared.headers.get('content-type'), 'image/jpeg');
+  assert.deepStrictEqual(Buffer.from(await shared.arrayBuffer()), fs.readFileSync(imagePath));
+  assert.strictEqual((await fetch(`${baseUrl}/media/${'0'.repeat(48)}.jpg`)).status, 404);
+
+  const status = await call('GET', `/video/status?account=main&publish_id=${inbox.json.data.publish_id}`);
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.json.data.status, 'PROCESSING_DOWNLOAD');
+
+  for (const body of [
+    { images: [] },
+    { images: ['https://images.example.com/1.jpg'], photo_cover_index: 1 },
+    { images: [path.join(workDir, 'photo.png')] },
+    { images: [path.join(workDir, 'missing.jpg')] },
+    { images: ['https://images.example.com/1.jpg'], mode: 'draft' }
+  ]) {
+    const refused = await call('POST', '/photo/post', { account: 'main', ...body });
+    assert.strictEqual(refused.status, 400, JSON.stringify(body));
+  }
+
+  const branded = await call('POST', '/photo/post', {
+    account: 'main',
+    images: ['https://images.example.com/1.jpg'],
+    privacy_level: 'SELF_ONLY',
+    brand_content_toggle: true
+  });
+  assert.strictEqual(branded.status, 422, branded.text);
+  assert.deepStrictEqual(branded.json.violations.map((violation) => violation.code), ['branded_content_private']);
+});
+
+test('a rate limit is waited out and retried', async () => {
+  mock.rateLimit('/v2/post/publish/creator_info/query/', { retryAfterSec: 1 });
+  const started = Date.now();
+  const info = await call('GET', '/creator-info?account=main');
+  assert.strictEqual(info.status, 200);
+  assert.ok(Date.now() - started >= 1000, 'answered before Retry-After passed');
+});
+
+test('a long rate limit is passed on with retry_after and log_id', async () => {
+  mock.rateLimit('/v2/post/publish/creator_info/query/', { retryAfterSec: 120 });
+  const info = await call('GET', '/creator-info?account=main');
+  assert.strictEqual(info.status, 429);
+  assert.strictEqual(info.json.retry_after, 120);
+  assert.match(info.json.log_id, /^mock/);
+});
+
+test('a listing exports every page as CSV', async () => {
+  await login('?scope=affiliate.seller&account=main');
+  const exported = await call('GET', '/affiliate/creator-orders?account=main&format=csv&start_date=2026-01-01&end_date=2026-01-10');
+  assert.strictEqual(exported.status, 200, exported.text);
+  assert.match(exported.headers.get('content-type'), /text\/csv/);
+
+  const rows = exported.text.trim().split('\n');
+  assert.strictEqual(rows.length, 1 + 45);
+  assert.match(rows[0], /order_id/);
+  const pages = mock.state.requests.filter((request) => request.path === '/v2/affiliate/creator/orders/');
+  assert.ok(pages.length >= 3, `expected several pages, got ${pages.length}`);
+
+  // 45 days are fetched as two date windows (TikTok takes at most 30 days per call), each with every page
+  const longer = await call('GET', '/affiliate/creator-orders?account=main&format=ndjson&start_date=2025-12-01&end_date=2026-01-14');
+  assert.strictEqual(longer.status, 200, longer.text);
+  const records = longer.text.trim().split('\n').map((line) => JSON.parse(line));
+  assert.strictEqual(records.length, 2 * 45);
+  assert.strictEqual(records[0].date, '2025-12-01');
+  assert.strictEqual(records[45].date, '2025-12-31');
+  assert.strictEqual(records[89].date, '2026-01-14');
+});
+
+test('a TikTok server error is retried for reads', async () => {
+  mock.failNext('/v2/user/info/', { status: 500, code: 'internal_error', times: 1 });
+  const info = await call('GET', '/user/info?account=main&fields=open_id,display_name');
+  assert.strictEqual(info.status, 200);
+  assert.strictEqual(info.json.data.user.display_name, 'Mock Creator');
+});
+
+test('logout revokes the tokens with TikTok and cancels the account\'s pending posts', async () => {
+  mock.setConsent({ openId: 'leaving-open-id' });
+  await login('?label=leaving');
+  mock.setConsent();
+
+  // One job waiting while publishing is paused, one post scheduled for tomorrow
+  const videoPath = path.join(workDir, 'leaving.mp4');
+  fs.writeFileSync(videoPath, '');
+  fs.truncateSync(videoPath, 1024 * 1024);
+  await call('POST', '/publishing/pause');
+  const queued = await call('POST', '/video/direct-post', { account: 'leaving', file_path: videoPath, title: 'Never', privacy_level: 'SELF_ONLY' });
+  assert.strictEqual(queued.status, 202, queued.text);
+  const scheduled = await call('POST', '/video/direct-post', {
+    account: 'leaving',
+    file_path: videoPath,
+    title: 'Later',
+    privacy_level: 'SELF_ONLY',
+    publish_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  });
+  assert.strictEqual(scheduled.status, 202, scheduled.text);
+
+  const { status, json } = await call('POST', '/auth/logout', { account: 'leaving' });
+  await call('POST', '/publishing/resume');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.revoked, true);
+  assert.strictEqual(json.cancelled_jobs, 1);
+  assert.strictEqual(json.cancelled_scheduled_posts, 1);
+  assert.ok(mock.state.requests.some((request) => request.path === '/v2/oauth/revoke/'));
+  assert.strictEqual((await call('GET', '/accounts/leaving')).status, 404);
+
+  const job = await services.publishQueue.get(queued.json.data.job_id);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(job.error, 'account disconnected');
+  assert.strictEqual((await services.postScheduler.get(scheduled.json.data.id)).status, 'cancelled');
+  await assert.rejects(services.tokenRefresher.getValidAccessToken('leaving-open-id'), { status: 404, message: /Account not found/ });
+});
+
+test('readiness reports each account and degrades when one needs a new login', async () => {
+  const { status, json } = await call('GET', '/health/ready');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.status, 'degraded');
+  const main = json.accounts.find((account) => account.label === 'main');
+  assert.strictEqual(main.ok, true);
+  const expiring = json.accounts.find((account) => account.label === 'expiring');
+  assert.strictEqual(expiring.ok, false);
+  assert.match(expiring.problems[0], /log in again/);
+});
+
+test('metrics cover requests, TikTok calls, refreshes, uploads and publish results', async () => {
+  const { status, headers, text } = await call('GET', '/metrics');
+  assert.strictEqual(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(text, /http_requests_total\{method="GET",route="\/creator-info",status="200"\} \d+/);
+  assert.match(text, /tiktok_api_requests_total\{endpoint="\/v2\/post\/publish\/creator_info\/query\/",code="rate_limit_exceeded"\} [1-9]/);
+  assert.match(text, /tiktok_token_refreshes_total\{outcome="success"\} [1-9]/);
+  assert.match(text, /tiktok_token_refreshes_total\{outcome="reauth_required"\} [1-9]/);
+  // The 21 MB chunked post and the 64 KB multipart one; the video_url post uploads nothing
+  assert.match(text, /tiktok_upload_bytes_total\{kind="direct-post"\} 22085632/);
+  assert.match(text, /tiktok_publish_jobs_total\{type="video.direct-post",status="completed"\} 3/);
+  assert.match(text, /tiktok_accounts\{state="reauth_required"\} 1/);
+});
+
+test('draining refuses new requests until resumed, and publishing can be paused', async () => {
+  const paused = await call('POST', '/publishing/pause');
+  assert.strictEqual(paused.json.publishing_paused, true);
+  // Photo posts and inbox uploads don't go through the queue, so they are refused while paused
+  const photo = await call('POST', '/photo/post', { images: ['https://example.com/a.jpg'], mode: 'inbox' });
+  assert.strictEqual(photo.status, 503);
+  assert.strictEqual(photo.headers.get('retry-after'), '30');
+  const resumed = await call('POST', '/publishing/resume');
+  assert.strictEqual(resumed.json.publishing_paused, false);
+
+  const drained = await call('POST', '/lifecycle/drain');
+  assert.strictEqual(drained.json.state, 'draining');
+  assert.strictEqual(drained.json.publishing_paused, true);
+
+  const refused = await call('GET', '/accounts');
+  assert.strictEqual(refused.status, 503);
+  assert.strictEqual(refused.headers.get('retry-after'), '30');
+  // TikTok may still be fetching shared photos of posts sent before the drain
+  assert.strictEqual((await call('GET', '/media/unknown.jpg')).status, 404);
+  const ready = await call('GET', '/health/ready');
+  assert.strictEqual(ready.status, 503);
+  assert.deepStrictEqual(ready.json.checks.lifecycle.problems, ['Server is draining']);
+  assert.strictEqual((await call('POST', '/publishing/resume')).status, 409);
+
+  const running = await call('POST', '/lifecycle/resume');
+  assert.strictEqual(running.json.state, 'running');
+  assert.strictEqual(running.json.publishing_paused, false);
+  assert.strictEqual((await call('GET', '/accounts')).status, 200);
+});
+
+test('accounts connect through the TikTok app picked at login and keep using it', async () => {
+  assert.strictEqual((await call('GET', '/auth/login?app=staging')).status, 400);
+
+  mock.setConsent({ openId: 'sandbox-open-id' });
+  const { status } = await login('?app=sandbox&label=sandbox');
+  mock.setConsent();
+  assert.strictEqual(status, 200);
+
+  const accounts = await call('GET', '/accounts');
+  const sandbox = accounts.json.accounts.find((account) => account.label === 'sandbox');
+  assert.strictEqual(sandbox.app, 'sandbox');
+  const main = accounts.json.accounts.find((account) => account.label === 'main');
+  assert.strictEqual(main.app, 'default');
+
+  // Refreshing and revoking need the sandbox client key; the mock rejects tokens of another app
+  assert.strictEqual((await call('POST', `/accounts/${sandbox.open_id}/refresh`)).status, 200);
+  const logout = await call('POST', '/auth/logout?account=sandbox');
+  assert.strictEqual(logout.json.revoked, true);
+});
@@ -0,0 +1,176 @@
+// Exports: date windows, CSV/NDJSON streaming and clients that disconnect mid-download
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { parseDateRange, splitDateRange, paginate, sendExport } = require('../exporter');
+
+// Spool files go to os.tmpdir(), which follows TMPDIR
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-export-test-'));
+process.env.TMPDIR = spoolDir;
+
+test.after(() => {
+  fs.rmSync(spoolDir, { recursive: true, force: true });
+});
+
+// Serve one export per request through sendExport and hand back the server's URL
+async function exportServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, resolve));
+  return { url: `http://localhost:${server.address().port}`, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+// Records from paginate over every window, as the shop routes build them
+function windowedRecords(windows, fetchPage, pageSize) {
+  return (async function* records() {
+    for (const window of windows) {
+      yield* paginate(({ page }) => fetchPage(window, page), { pageSize });
+    }
+  })();
+}
+
+test('long ranges are split into windows of at most 30 days', () => {
+  const range = parseDateRange({ start_date: '2025-01-01', end_date: '2025-03-16' }, { maxDays: 366 });
+  assert.deepStrictEqual(splitDateRange(range), [
+    { start_date: '2025-01-01', end_date: '2025-01-30' },
+    { start_date: '2025-01-31', end_date: '2025-03-01' },
+    { start_date: '2025-03-02', end_date: '2025-03-16' }
+  ]);
+  assert.deepStrictEqual(splitDateRange({ start_date: '2025-01-01', end_date: '2025-01-01' }), [{ start_date: '2025-01-01', end_date: '2025-01-01' }]);
+  assert.throws(() => parseDateRange({ start_date: '2025-01-01', end_date: '2025-02-15' }), { status: 400, message: /at most 30/ });
+  assert.throws(() => parseDateRange({ start_date: '2025-02-30' }), { status: 400 });
+});
+
+test('a multi-window CSV export has every page of every window under one header', async () => {
+  const windows = splitDateRange({ start_date: '2025-01-01', end_date: '2025-03-16' });
+  const fetched = [];
+  // Two pages per window; the last window brings a column no earlier page had
+  const fetchPage = async (window, page) => {
+    fetched.push(`${window.start_date}#${page}`);
+    const last = window === windows[windows.length - 1];
+    const rows = [1, 2].map((n) => ({ day: window.start_date, page, n, ...(last && { extra: { note: 'late, "quoted"' } }) }));
+    return { data: { rows, has_more: page < 2 } };
+  };
+
+  let exportDone;
+  const server = await exportServer((req, res) => {
+    exportDone = sendExport(res, 'csv', windowedRecords(windows, fetchPage, 2), 'orders');
+  });
+  try {
+    const response = await fetch(server.url);
+    assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="orders.csv"');
+    const lines = (await response.text()).trim().split('\r\n');
+
+    assert.deepStrictEqual(fetched, ['2025-01-01#1', '2025-01-01#2', '2025-01-31#1', '2025-01-31#2', '2025-03-02#1', '2025-03-02#2']);
+    assert.strictEqual(lines[0], 'day,extra.note,n,page');
+    assert.strictEqual(lines.length, 1 + 3 * 2 * 2);
+    assert.strictEqual(lines[1], '2025-01-01,,1,1');
+    assert.strictEqual(lines[12], '2025-03-02,"late, ""quoted""",2,2');
+    await exportDone;
+  } finally {
+    await server.close();
+  }
+  assert.deepStrictEqual(fs.readdirSync(spoolDir), []);
+});
+
+test('an NDJSON export stops fetching and closes its source when the client disconnects', async () => {
+  let pages = 0;
+  let closed;
+  const sourceClosed = new Promise((resolve) => {
+    closed = resolve;
+  });
+  const big = 'x'.repeat(64 * 1024);
+  async function* endless() {
+    try {
+      for (;;) {
+        pages += 1;
+        yield { page: pages, big };
+      }
+    } finally {
+      closed();
+    }
+  }
+
+  let finished;
+  const exportDone = new Promise((resolve) => {
+    finished = resolve;
+  });
+  const server = await exportServer((req, res) => sendExport(res, 'ndjson', endless(), 'videos').then(finished, finished));
+  try {
+    const controller = new AbortController();
+    const response = await fetch(server.url, { signal: controller.signal });
+    const reader = response.body.getReader();
+    await reader.read();
+    controller.abort();
+
+    await sourceClosed;
+    await exportDone;
+    const pagesAtClose = pages;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(pages, pagesAtClose);
+  } finally {
+    await server.close();
+  }
+});
+
+test('CSV cells a spreadsheet would run as formulas are exported as text', async () => {
+  const records = (async function* records() {
+    yield { title: '=HYPERLINK("https://evil.example","click")', caption: '+1 555', tag: '@everyone', note: '-2+3', tab: '\tcmd', amount: -5, plain: 'fine' };
+  })();
+  let exportDone;
+  const server = await exportServer((req, res) => {
+    exportDone = sendExport(res, 'csv', records, 'products');
+  });
+  try {
+    const lines = (await (await fetch(server.url)).text()).trim().split('\r\n');
+    await exportDone;
+    assert.strictEqual(lines[0], 'amount,caption,note,plain,tab,tag,title');
+    assert.strictEqual(lines[1], `-5,"'+1 555","'-2+3",fine,"'\tcmd","'@everyone","'=HYPERLINK(""https://evil.example"",""click"")"`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a CSV export being spooled is abandoned when the client disconnects, and its spool file removed', async () => {
+  let closed;
+  const sourceClosed = new Promise((resolve) => {
+    closed = resolve;
+  });
+  let disconnect;
+  const clientGone = new Promise((resolve) => {
+    disconnect = resolve;
+  });
+  async function* slow() {
+    try {
+      yield { page: 1 };
+      disconnect();
+      for (let page = 2; ; page++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        yield { page };
+      }
+    } finally {
+      closed();
+    }
+  }
+
+  let finished;
+  const exportDone = new Promise((resolve, reject) => {
+    finished = { resolve, reject };
+  });
+  const server = await exportServer((req, res) => sendExport(res, 'csv', slow(), 'orders').then(finished.resolve, finished.reject));
+  try {
+    const controller = new AbortController();
+    const request = fetch(server.url, { signal: controller.signal }).catch(() => null);
+    await clientGone;
+    controller.abort();
+    await request;
+
+    await sourceClosed;
+    await exportDone;
+  } finally {
+    await server.close();
+  }
+  assert.deepStrictEqual(fs.readdirSync(spoolDir), []);
+});
@@ -0,0 +1,219 @@
+// Publish queue against an in-memory store: restart recovery, concurrent job updates, poll timeouts
+// and result webhooks
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const PublishQueue = require('../publishQueue');
+const MemoryBackend = require('../storage/memoryBackend');
+
+function createQueue(options = {}) {
+  const queue = new PublishQueue(new MemoryBackend(), {
+    fetchStatus: async () => ({ status: 'PROCESSING_UPLOAD' }),
+    pollIntervalMs: 60 * 1000,
+    ...options
+  });
+  queue.registerHandler('test', async () => 'publish-id');
+  return queue;
+}
+
+// A job as it was stored when the process stopped
+async function storeJob(queue, changes) {
+  const job = await queue.enqueue('test', 'open-id', {});
+  return queue.update(job.id, changes, 'Stored for the test');
+}
+
+test('jobs cut off mid-upload continue their upload after a restart', async () => {
+  const resumed = [];
+  const queue = createQueue({ resumeUpload: async (uploadId) => resumed.push(uploadId) });
+  const job = await storeJob(queue, { status: 'uploading', publish_id: 'publish-1', upload_id: 'upload-1' });
+
+  await queue.start();
+  await Promise.all(queue.active.values());
+  await queue.stop();
+
+  assert.deepStrictEqual(resumed, ['upload-1']);
+  const latest = await queue.get(job.id);
+  assert.strictEqual(latest.status, 'processing');
+  assert.strictEqual(latest.upload_id, 'upload-1');
+});
+
+test('interrupted jobs without an upload are polled, and jobs TikTok never saw are requeued', async () => {
+  const queue = createQueue({ resumeUpload: async () => assert.fail('nothing to resume') });
+  const pulled = await storeJob(queue, { status: 'uploading', publish_id: 'publish-2' });
+  const unsent = await storeJob(queue, { status: 'uploading' });
+
+  await queue.recover();
+
+  assert.strictEqual((await queue.get(pulled.id)).status, 'processing');
+  assert.strictEqual((await queue.get(unsent.id)).status, 'queued');
+});
+
+test('a failed resume fails the job and keeps its upload_id', async () => {
+  const queue = createQueue({
+    resumeUpload: async () => {
+      throw new Error('upload_url expired');
+    }
+  });
+  const job = await storeJob(queue, { status: 'uploading', publish_id: 'publish-3', upload_id: 'upload-3' });
+
+  await queue.start();
+  await Promise.all(queue.active.values());
+  await queue.stop();
+
+  const latest = await queue.get(job.id);
+  assert.strictEqual(latest.status, 'failed');
+  assert.strictEqual(latest.error, 'upload_url expired');
+  assert.strictEqual(latest.upload_id, 'upload-3');
+});
+
+test('a start whose recovery fails can be tried again', async (t) => {
+  const queue = createQueue();
+  const job = await storeJob(queue, {});
+  t.mock.method(queue.store, 'list', async () => {
+    throw new Error('storage unavailable');
+  }, { times: 1 });
+
+  await assert.rejects(queue.start(), /storage unavailable/);
+  assert.strictEqual(queue.started, false);
+  assert.strictEqual(queue.pollTimer, null);
+
+  await queue.start();
+  await queue.kicking;
+  await Promise.all(queue.active.values());
+  assert.ok(queue.pollTimer);
+  await queue.stop();
+  assert.strictEqual((await queue.get(job.id)).status, 'processing');
+});
+
+test('handlers record the upload_id as soon as the upload starts', async () => {
+  const queue = createQueue();
+  let recorded = null;
+  queue.registerHandler('test', async (job, { setPublishId, setUploadId }) => {
+    await setPublishId('publish-4');
+    await setUploadId('upload-4');
+    recorded = await queue.get(job.id);
+    return 'publish-4';
+  });
+  await queue.enqueue('test', 'open-id', {});
+
+  await queue.start();
+  await queue.kick();
+  await Promise.all(queue.active.values());
+  await queue.stop();
+
+  assert.strictEqual(recorded.status, 'uploading');
+  assert.strictEqual(recorded.upload_id, 'upload-4');
+});
+
+test('the poll timeout counts from when TikTok got the video, not from when the job was queued', async () => {
+  const HOUR = 60 * 60 * 1000;
+  const queue = createQueue({ pollTimeoutMs: HOUR });
+  // Waited two hours in the queue, e.g. while publishing was paused
+  const job = await storeJob(queue, { created_at: Date.now() - 2 * HOUR });
+
+  await queue.start();
+  await queue.kicking;
+  await Promise.all(queue.active.values());
+  await queue.pollAll();
+  await queue.stop();
+
+  const processing = await queue.get(job.id);
+  assert.strictEqual(processing.status, 'processing');
+  assert.ok(processing.processing_since >= Date.now() - 1000);
+
+  await queue.update(job.id, { processing_since: Date.now() - 2 * HOUR });
+  await queue.pollAll();
+  const timedOut = await queue.get(job.id);
+  assert.strictEqual(timedOut.status, 'failed');
+  assert.match(timedOut.error, /Timed out/);
+});
+
+test('concurrent status updates, post ids and final statuses are all kept', async () => {
+  const queue = createQueue();
+  const job = await storeJob(queue, { status: 'processing', publish_id: 'publish-5' });
+
+  await Promise.all([
+    queue.applyStatus(job.id, { status: 'PROCESSING_DOWNLOAD' }),
+    queue.addPublicPostId(job.id, 'post-1'),
+    queue.addPublicPostId(job.id, 'post-2'),
+    queue.applyStatus(job.id, { status: 'PUBLISH_COMPLETE' }),
+    queue.applyStatus(job.id, { status: 'FAILED', fail_reason: 'late duplicate' }),
+    queue.update(job.id, {}, 'Unrelated note')
+  ]);
+
+  const latest = await queue.get(job.id);
+  assert.strictEqual(latest.status, 'completed');
+  assert.strictEqual(latest.error, null);
+  assert.deepStrictEqual(latest.result.publicaly_available_post_id, ['post-1', 'post-2']);
+  const messages = latest.history.map((entry) => entry.message);
+  for (const message of ['TikTok status PROCESSING_DOWNLOAD', 'Publicly available as post post-1', 'Publicly available as post post-2', 'TikTok status PUBLISH_COMPLETE', 'Unrelated note']) {
+    assert.ok(messages.includes(message), `history is missing "${message}"`);
+  }
+  assert.ok(!messages.includes('TikTok status FAILED'));
+});
+
+test('cancelling an account\'s queued jobs leaves its running and other accounts\' jobs alone', async () => {
+  const discarded = [];
+  const queue = createQueue({ onDiscard: async (payload) => discarded.push(payload) });
+  const waiting = await queue.enqueue('test', 'open-id', { n: 1 });
+  const running = await storeJob(queue, { status: 'uploading', publish_id: 'publish-6' });
+  const other = await queue.enqueue('test', 'other-id', { n: 2 });
+
+  const cancelled = await queue.cancelQueued('open-id', 'account disconnected');
+
+  assert.deepStrictEqual(cancelled.map((job) => job.id), [waiting.id]);
+  const latest = await queue.get(waiting.id);
+  assert.strictEqual(latest.status, 'cancelled');
+  assert.strictEqual(latest.error, 'account disconnected');
+  assert.ok(latest.finished_at);
+  assert.deepStrictEqual(discarded, [{ n: 1 }]);
+  assert.strictEqual((await queue.get(running.id)).status, 'uploading');
+  assert.strictEqual((await queue.get(other.id)).status, 'queued');
+
+  // A cancelled job picked up by a worker that listed it earlier isn't started
+  let handled = false;
+  queue.registerHandler('test', async () => {
+    handled = true;
+    return 'publish-7';
+  });
+  const listed = await queue.enqueue('test', 'open-id', {});
+  await queue.cancelQueued('open-id', 'account disconnected');
+  await queue.process(listed);
+  assert.strictEqual(handled, false);
+  assert.strictEqual((await queue.get(listed.id)).status, 'cancelled');
+});
+
+test('result webhooks are sent in the background and not waited on again after the last try', async () => {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      deliveries.push(Date.now());
+      res.statusCode = 503;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  try {
+    const queue = createQueue({ webhookUrl: `http://localhost:${server.address().port}/hook`, webhookRetryDelayMs: 200 });
+    const job = await storeJob(queue, { status: 'processing', publish_id: 'publish-7' });
+
+    const started = Date.now();
+    await queue.applyStatus(job.id, { status: 'PUBLISH_COMPLETE' });
+    // Finishing the job doesn't wait for the webhook
+    assert.ok(Date.now() - started < 150, `finished after ${Date.now() - started} ms`);
+    assert.strictEqual(queue.delivering.size, 1);
+
+    // Waits 200 ms and 400 ms between the three tries, and not again after the last one
+    await queue.stop();
+    const elapsed = Date.now() - started;
+    assert.strictEqual(deliveries.length, 3);
+    assert.ok(elapsed >= 600 && elapsed < 1200, `took ${elapsed} ms`);
+    const latest = await queue.get(job.id);
+    assert.strictEqual(latest.status, 'completed');
+    assert.strictEqual(latest.history.at(-1).message, 'Webhook delivery failed');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,246 @@
+// Post scheduler against in-memory stores: publish_at parsing, scheduling, recurring slots,
+// catch-up after downtime and daylight saving time
+const test = require('node:test');
+const assert = require('node:assert');
+const PostScheduler = require('../scheduler');
+const MemoryBackend = require('../storage/memoryBackend');
+
+const { parsePublishAt } = PostScheduler;
+const HOUR = 60 * 60 * 1000;
+
+// A scheduler whose publish queue records what it is handed
+function createScheduler(options = {}) {
+  const enqueued = [];
+  const discarded = [];
+  const publishQueue = {
+    enqueue: async (type, openId, payload, { webhookUrl }) => {
+      enqueued.push({ type, openId, payload, webhookUrl });
+      return { id: `job-${enqueued.length}` };
+    }
+  };
+  const scheduler = new PostScheduler(new MemoryBackend(), new MemoryBackend(), {
+    publishQueue,
+    onDiscard: async (payload) => discarded.push(payload),
+    ...options
+  });
+  return { scheduler, enqueued, discarded };
+}
+
+// A scheduled post stored with the given fields, such as a publish_at that passed while the server was down
+async function storePost(scheduler, title, changes) {
+  const post = await scheduler.schedule({ openId: 'open-id', publishAt: Date.now() + HOUR, payload: { title } });
+  Object.assign(post, changes);
+  await scheduler.posts.set(post.id, post);
+  return post;
+}
+
+test('publish_at with an offset or in a time zone is read as that instant', () => {
+  assert.strictEqual(parsePublishAt('2026-06-01T18:00:00+02:00'), Date.UTC(2026, 5, 1, 16, 0));
+  assert.strictEqual(parsePublishAt('2026-06-01T18:00:00.250Z'), Date.UTC(2026, 5, 1, 18, 0, 0, 250));
+  assert.strictEqual(parsePublishAt('2026-06-01T18:00-0400'), Date.UTC(2026, 5, 1, 22, 0));
+  assert.strictEqual(parsePublishAt('2026-06-01T18:00', 'Europe/Berlin'), Date.UTC(2026, 5, 1, 16, 0));
+  assert.strictEqual(parsePublishAt('2026-06-01 18:00:30', 'America/New_York'), Date.UTC(2026, 5, 1, 22, 0));
+  assert.strictEqual(parsePublishAt('2028-02-29T10:00', 'UTC'), Date.UTC(2028, 1, 29, 10, 0));
+});
+
+test('publish_at naming a time that does not exist is refused with 400', () => {
+  const impossible = [
+    ['2026-02-30T25:61', 'Europe/Berlin'],
+    ['2026-02-29T10:00', 'UTC'],
+    ['2026-04-31T10:00Z'],
+    ['2026-13-01T10:00Z'],
+    ['2026-00-10T10:00Z'],
+    ['2026-01-00T10:00Z'],
+    ['2026-01-01T24:00+01:00'],
+    ['2026-01-01T10:60', 'UTC'],
+    ['2026-01-01T10:00:60Z']
+  ];
+  for (const [value, timeZone] of impossible) {
+    assert.throws(() => parsePublishAt(value, timeZone), { status: 400, message: 'publish_at is not a valid date-time' }, value);
+  }
+
+  assert.throws(() => parsePublishAt(1780000000000), { status: 400 });
+  assert.throws(() => parsePublishAt('tomorrow at six'), { status: 400, message: /must look like/ });
+  assert.throws(() => parsePublishAt('2026-06-01T18:00'), { status: 400, message: /needs a timezone/ });
+  assert.throws(() => parsePublishAt('2026-06-01T18:00', 'Mars/Olympus_Mons'), { status: 400, message: /Unknown timezone/ });
+});
+
+test('local times follow the time zone across daylight saving changes', () => {
+  // Europe/Berlin moves to summer time on 2026-03-29 at 02:00
+  assert.strictEqual(parsePublishAt('2026-03-28T18:00', 'Europe/Berlin'), Date.UTC(2026, 2, 28, 17, 0));
+  assert.strictEqual(parsePublishAt('2026-03-30T18:00', 'Europe/Berlin'), Date.UTC(2026, 2, 30, 16, 0));
+  // 02:30 is skipped that night; the post goes out an hour later on the clock (03:30 summer time)
+  assert.strictEqual(parsePublishAt('2026-03-29T02:30', 'Europe/Berlin'), Date.UTC(2026, 2, 29, 1, 30));
+  // 02:30 happens twice on 2026-10-25; either one is a real instant of that wall-clock time
+  const repeated = parsePublishAt('2026-10-25T02:30', 'Europe/Berlin');
+  assert.ok([Date.UTC(2026, 9, 25, 0, 30), Date.UTC(2026, 9, 25, 1, 30)].includes(repeated));
+});
+
+test('posts are scheduled in the future, listed by time, rescheduled and cancelled', async () => {
+  const { scheduler, discarded } = createScheduler();
+  await assert.rejects(scheduler.schedule({ openId: 'open-id', publishAt: Date.now() - 1000, payload: {} }), { status: 400, message: /future/ });
+
+  const later = await scheduler.schedule({ openId: 'open-id', publishAt: Date.now() + 2 * HOUR, payload: { title: 'later' }, webhookUrl: 'https://hooks.example.com/a' });
+  const sooner = await scheduler.schedule({ openId: 'open-id', publishAt: Date.now() + HOUR, timezone: 'Europe/Berlin', payload: { title: 'sooner' } });
+  await scheduler.schedule({ openId: 'other-id', publishAt: Date.now() + HOUR, payload: { title: 'other' } });
+  assert.strictEqual(later.status, 'scheduled');
+  assert.deepStrictEqual((await scheduler.list({ openId: 'open-id' })).map((post) => post.id), [sooner.id, later.id]);
+
+  const moved = await scheduler.reschedule(later.id, Date.now() + 30 * 60 * 1000);
+  assert.strictEqual(moved.slot_id, null);
+  assert.deepStrictEqual((await scheduler.list({ openId: 'open-id' })).map((post) => post.id), [later.id, sooner.id]);
+  await assert.rejects(scheduler.reschedule(later.id, Date.now() - 1000), { status: 400 });
+
+  const cancelled = await scheduler.cancel(sooner.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(discarded, [{ title: 'sooner' }]);
+  await assert.rejects(scheduler.cancel(sooner.id), { status: 409, message: 'Post is already cancelled' });
+  await assert.rejects(scheduler.cancel('missing'), { status: 404 });
+});
+
+test('disconnecting an account cancels all of its scheduled posts', async () => {
+  const { scheduler, discarded } = createScheduler();
+  const first = await storePost(scheduler, 'first', {});
+  const second = await storePost(scheduler, 'second', { publish_at: Date.now() + 2 * HOUR });
+  const released = await storePost(scheduler, 'released', { status: 'queued' });
+  const other = await scheduler.schedule({ openId: 'other-id', publishAt: Date.now() + HOUR, payload: { title: 'other' } });
+
+  const cancelled = await scheduler.cancelAccount('open-id');
+
+  assert.deepStrictEqual(cancelled.map((post) => post.id), [first.id, second.id]);
+  assert.deepStrictEqual(discarded, [{ title: 'first' }, { title: 'second' }]);
+  assert.strictEqual((await scheduler.get(released.id)).status, 'queued');
+  assert.strictEqual((await scheduler.get(other.id)).status, 'scheduled');
+});
+
+test('recurring slots fill up in order and keep their local time across daylight saving changes', async (t) => {
+  // Friday 2026-03-27 12:00 UTC; Berlin switches to summer time that Sunday
+  t.mock.method(Date, 'now', () => Date.UTC(2026, 2, 27, 12, 0));
+  const { scheduler } = createScheduler();
+
+  await assert.rejects(scheduler.addSlot({ openId: 'open-id', days: ['someday'], time: '18:00', timezone: 'UTC' }), { status: 400 });
+  await assert.rejects(scheduler.addSlot({ openId: 'open-id', days: ['mon'], time: '24:00', timezone: 'UTC' }), { status: 400 });
+  await assert.rejects(scheduler.addSlot({ openId: 'open-id', days: ['mon'], time: '18:00', timezone: 'Nowhere/Land' }), { status: 400 });
+  await assert.rejects(scheduler.scheduleInNextSlot({ openId: 'open-id', payload: {} }), { status: 400, message: /No free posting slot/ });
+
+  const slot = await scheduler.addSlot({ openId: 'open-id', days: ['FRI', 'mon'], time: '18:00', timezone: 'Europe/Berlin' });
+  assert.deepStrictEqual(slot.days, ['fri', 'mon']);
+
+  const first = await scheduler.scheduleInNextSlot({ openId: 'open-id', payload: { n: 1 } });
+  const second = await scheduler.scheduleInNextSlot({ openId: 'open-id', payload: { n: 2 } });
+  const third = await scheduler.scheduleInNextSlot({ openId: 'open-id', payload: { n: 3 } });
+  // 18:00 Berlin is 17:00 UTC in winter time and 16:00 UTC in summer time
+  assert.strictEqual(first.publish_at, Date.UTC(2026, 2, 27, 17, 0));
+  assert.strictEqual(second.publish_at, Date.UTC(2026, 2, 30, 16, 0));
+  assert.strictEqual(third.publish_at, Date.UTC(2026, 3, 3, 16, 0));
+  assert.strictEqual(first.slot_id, slot.id);
+  assert.strictEqual(first.timezone, 'Europe/Berlin');
+
+  // A cancelled post frees its slot again; other accounts' slots and posts don't count
+  await scheduler.cancel(second.id);
+  await scheduler.addSlot({ openId: 'other-id', days: ['sat'], time: '09:00', timezone: 'UTC' });
+  assert.strictEqual((await scheduler.nextFreeSlot('open-id')).at, Date.UTC(2026, 2, 30, 16, 0));
+  assert.strictEqual((await scheduler.nextFreeSlot('other-id')).at, Date.UTC(2026, 2, 28, 9, 0));
+});
+
+test('posts due while the server was down are published late within the catch-up window, or missed', async () => {
+  const { scheduler, enqueued, discarded } = createScheduler({ catchUpMaxMs: 24 * HOUR });
+  const recent = await storePost(scheduler, 'recent', { publish_at: Date.now() - HOUR, webhook_url: 'https://hooks.example.com/a' });
+  const stale = await storePost(scheduler, 'stale', { publish_at: Date.now() - 48 * HOUR });
+  const upcoming = await storePost(scheduler, 'upcoming', { publish_at: Date.now() + HOUR });
+
+  await scheduler.start();
+  await scheduler.stop();
+
+  assert.deepStrictEqual(enqueued, [{ type: 'video.direct-post', openId: 'open-id', payload: { title: 'recent' }, webhookUrl: 'https://hooks.example.com/a' }]);
+  const released = await scheduler.get(recent.id);
+  assert.strictEqual(released.status, 'queued');
+  assert.strictEqual(released.job_id, 'job-1');
+
+  const missed = await scheduler.get(stale.id);
+  assert.strictEqual(missed.status, 'missed');
+  assert.match(missed.error, /while the server was down/);
+  assert.deepStrictEqual(discarded, [{ title: 'stale' }]);
+
+  assert.strictEqual((await scheduler.get(upcoming.id)).status, 'scheduled');
+});
+
+test('with catch-up set to skip, every post due during downtime is missed; later ticks still release due posts', async () => {
+  const { scheduler, enqueued } = createScheduler({ catchUp: 'skip' });
+  const overdue = await storePost(scheduler, 'overdue', { publish_at: Date.now() - 60 * 1000 });
+
+  await scheduler.start();
+  assert.strictEqual((await scheduler.get(overdue.id)).status, 'missed');
+  assert.strictEqual(enqueued.length, 0);
+
+  // Came due while running: released by the next tick however late it is
+  const due = await storePost(scheduler, 'due', { publish_at: Date.now() - 60 * 1000 });
+  await scheduler.tick();
+  await scheduler.stop();
+  assert.strictEqual((await scheduler.get(due.id)).status, 'queued');
+  assert.deepStrictEqual(enqueued.map((job) => job.payload), [{ title: 'due' }]);
+});
+
+test('a post the publish queue refuses is marked failed with the reason', async () => {
+  const { scheduler } = createScheduler({
+    publishQueue: {
+      enqueue: async () => {
+        throw new Error('Account not found');
+      }
+    }
+  });
+  const post = await storePost(scheduler, 'orphan', { publish_at: Date.now() - 1000 });
+
+  await scheduler.tick();
+
+  const failed = await scheduler.get(post.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'Account not found');
+});
+
+test('a cancel that arrives while a post is being queued waits for it and is refused', async () => {
+  let finishEnqueue;
+  const { scheduler, discarded } = createScheduler({
+    publishQueue: {
+      enqueue: () => new Promise((resolve) => {
+        finishEnqueue = () => resolve({ id: 'job-1' });
+      })
+    }
+  });
+  const post = await storePost(scheduler, 'racing', { publish_at: Date.now() - 1000 });
+
+  const releasing = scheduler.tick();
+  await new Promise((resolve) => setImmediate(resolve));
+  const cancelling = scheduler.cancel(post.id);
+  finishEnqueue();
+  await releasing;
+
+  await assert.rejects(cancelling, { status: 409, message: 'Post is already queued' });
+  assert.strictEqual((await scheduler.get(post.id)).status, 'queued');
+  // The queued job still has its video
+  assert.deepStrictEqual(discarded, []);
+
+  // The other way round, a cancelled post is never queued
+  const { scheduler: other, enqueued } = createScheduler();
+  const cancelled = await storePost(other, 'cancelled', { publish_at: Date.now() - 1000 });
+  await Promise.all([other.cancel(cancelled.id), other.tick()]);
+  assert.strictEqual((await other.get(cancelled.id)).status, 'cancelled');
+  assert.deepStrictEqual(enqueued, []);
+});
+
+test('a failed catch-up is logged and the scheduler still ticks', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const { scheduler, enqueued } = createScheduler({ tickMs: 1000 });
+  t.mock.method(scheduler.posts, 'list', async () => {
+    throw new Error('storage unavailable');
+  }, { times: 1 });
+
+  await scheduler.start();
+  const due = await storePost(scheduler, 'due', { publish_at: Date.now() - 1000 });
+  t.mock.timers.tick(1000);
+  await scheduler.ticking;
+  await scheduler.stop();
+
+  assert.strictEqual((await scheduler.get(due.id)).status, 'queued');
+  assert.strictEqual(enqueued.length, 1);
+});
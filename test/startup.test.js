@@ -0,0 +1,70 @@
+// Startup with missing or invalid settings: node index.js logs them and exits, while requiring
+// the app (embedding it, tests) throws instead of ending the caller's process
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const index = path.join(root, 'index.js');
+// No .env files in here, so only the environment given to each run counts
+const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-startup-'));
+
+test.after(() => {
+  fs.rmSync(emptyDir, { recursive: true, force: true });
+});
+
+const VALID = {
+  TIKTOK_CLIENT_KEY: 'client-key',
+  TIKTOK_CLIENT_SECRET: 'client-secret',
+  ENCRYPTION_KEY: 'a'.repeat(64),
+  STORAGE_BACKEND: 'memory',
+  API_AUTH_DISABLED: 'true'
+};
+
+function run(args, env) {
+  return spawnSync(process.execPath, args, {
+    cwd: emptyDir,
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'error', ...env },
+    encoding: 'utf8',
+    timeout: 20000
+  });
+}
+
+test('node index.js lists every invalid setting and exits with 1', () => {
+  const result = run([index], { PORT: 'not-a-port' });
+
+  assert.strictEqual(result.status, 1);
+  const line = JSON.parse(result.stderr.trim().split('\n').pop());
+  assert.strictEqual(line.msg, 'Invalid configuration');
+  assert.deepStrictEqual(line.problems, ['PORT must be a whole number at least 1 and at most 65535 (got "not-a-port")', 'TIKTOK_CLIENT_KEY is not set', 'TIKTOK_CLIENT_SECRET is not set']);
+});
+
+test('requiring the app with invalid settings throws the problems instead of exiting', () => {
+  const script = `
+    try {
+      require(${JSON.stringify(index)});
+      console.log(JSON.stringify({ loaded: true }));
+    } catch (error) {
+      console.log(JSON.stringify({ message: error.message, problems: error.problems }));
+    }
+  `;
+
+  const missingKey = run(['-e', script], { ...VALID, ENCRYPTION_KEY: '' });
+  assert.strictEqual(missingKey.status, 0, missingKey.stderr);
+  const thrown = JSON.parse(missingKey.stdout);
+  assert.strictEqual(thrown.message, 'Invalid encryption config');
+  assert.match(thrown.problems[0], /No encryption key configured/);
+
+  const keysFile = path.join(emptyDir, 'broken-keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ not: 'a list' }));
+  const badKeysFile = run(['-e', script], { ...VALID, API_KEYS_FILE: keysFile });
+  assert.strictEqual(badKeysFile.status, 0, badKeysFile.stderr);
+  assert.strictEqual(JSON.parse(badKeysFile.stdout).message, 'Invalid API authentication config');
+
+  const valid = run(['-e', script], VALID);
+  assert.strictEqual(valid.status, 0, valid.stderr);
+  assert.deepStrictEqual(JSON.parse(valid.stdout), { loaded: true });
+});
@@ -0,0 +1,234 @@
+// Storage backends against one contract: memory, the encrypted file, SQLite and Redis (a local
+// RESP stand-in speaking the few hash commands the backend uses)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const TokenCipher = require('../tokenCipher');
+const { FileBackend, MemoryBackend, SqliteBackend, RedisBackend } = require('../storage');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-storage-'));
+const cipher = new TokenCipher('storage-test-key');
+
+// Minimal Redis: RESP arrays of bulk strings in, RESP replies out, hashes kept in a Map
+function redisStandIn() {
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    return hashes.get(key);
+  };
+  const bulk = (value) => (value === undefined || value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const array = (values) => `*${values.length}\r\n${values.map(bulk).join('')}`;
+
+  const commands = {
+    info: () => bulk('# Server\r\nredis_version:7.0.0\r\nloading:0\r\n'),
+    hget: (key, field) => bulk(hashes.has(key) ? hashes.get(key).get(field) : null),
+    hset: (key, ...pairs) => {
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += hash(key).has(pairs[i]) ? 0 : 1;
+        hash(key).set(pairs[i], pairs[i + 1]);
+      }
+      return `:${added}\r\n`;
+    },
+    hdel: (key, ...fields) => `:${fields.filter((field) => hashes.has(key) && hashes.get(key).delete(field)).length}\r\n`,
+    hvals: (key) => array(hashes.has(key) ? [...hashes.get(key).values()] : []),
+    hgetall: (key) => array(hashes.has(key) ? [...hashes.get(key)].flat() : []),
+    del: (...keys) => `:${keys.filter((key) => hashes.delete(key)).length}\r\n`,
+    quit: () => '+OK\r\n'
+  };
+
+  // One command per RESP array; returns the rest of the buffer once a command is complete
+  function parse(buffer) {
+    const lines = [];
+    let offset = 0;
+    const readLine = () => {
+      const end = buffer.indexOf('\r\n', offset);
+      if (end === -1) {
+        return null;
+      }
+      const line = buffer.toString('utf8', offset, end);
+      offset = end + 2;
+      return line;
+    };
+    const header = readLine();
+    if (header === null) {
+      return null;
+    }
+    for (let count = Number(header.slice(1)); count > 0; count--) {
+      const size = readLine();
+      if (size === null || buffer.length < offset + Number(size.slice(1)) + 2) {
+        return null;
+      }
+      lines.push(buffer.toString('utf8', offset, offset + Number(size.slice(1))));
+      offset += Number(size.slice(1)) + 2;
+    }
+    return { args: lines, rest: buffer.subarray(offset) };
+  }
+
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      for (let command = parse(pending); command; command = parse(pending)) {
+        pending = command.rest;
+        const [name, ...args] = command.args;
+        const run = commands[name.toLowerCase()];
+        socket.write(run ? run(...args) : `-ERR unknown command '${name}'\r\n`);
+        if (name.toLowerCase() === 'quit') {
+          socket.end();
+        }
+      }
+    });
+  });
+  return { server, hashes };
+}
+
+let redis;
+
+test.before(async () => {
+  redis = redisStandIn();
+  await new Promise((resolve) => redis.server.listen(0, '127.0.0.1', resolve));
+});
+
+test.after(async () => {
+  await new Promise((resolve) => redis.server.close(resolve));
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const BACKENDS = {
+  memory: () => new MemoryBackend(),
+  file: (name) => new FileBackend(cipher, path.join(workDir, `${name}.encrypted.json`)),
+  sqlite: (name) => new SqliteBackend(cipher, { dbPath: path.join(workDir, 'storage.sqlite'), namespace: name }),
+  redis: (name) => new RedisBackend(cipher, { url: `redis://127.0.0.1:${redis.server.address().port}`, keyPrefix: 'test:', namespace: name })
+};
+
+for (const [backendName, open] of Object.entries(BACKENDS)) {
+  test.describe(`${backendName} backend`, () => {
+    test('stores, lists and deletes copies of JSON values', async () => {
+      const store = open('contract');
+      try {
+        assert.strictEqual(await store.get('missing'), null);
+
+        const value = { open_id: 'a', nested: { scopes: ['user.info.basic'] }, count: 1 };
+        await store.set('a', value);
+        value.count = 2;
+        assert.deepStrictEqual(await store.get('a'), { open_id: 'a', nested: { scopes: ['user.info.basic'] }, count: 1 });
+
+        const read = await store.get('a');
+        read.nested.scopes.push('changed');
+        assert.deepStrictEqual((await store.get('a')).nested.scopes, ['user.info.basic']);
+
+        await store.set('a', { open_id: 'a', count: 3 });
+        await store.set('b', { open_id: 'b' });
+        assert.deepStrictEqual((await store.list()).sort((x, y) => x.open_id.localeCompare(y.open_id)), [{ open_id: 'a', count: 3 }, { open_id: 'b' }]);
+
+        assert.strictEqual(await store.delete('a'), true);
+        assert.strictEqual(await store.delete('a'), false);
+        assert.deepStrictEqual(await store.list(), [{ open_id: 'b' }]);
+
+        const { records, unreadable } = await store.inspect();
+        assert.deepStrictEqual(records, [{ key: 'b', value: { open_id: 'b' } }]);
+        assert.deepStrictEqual(unreadable, []);
+
+        await store.clear();
+        assert.deepStrictEqual(await store.list(), []);
+        assert.strictEqual(await store.get('b'), null);
+      } finally {
+        await store.close();
+      }
+    });
+
+    test('namespaces are kept apart', async () => {
+      const jobs = open('jobs');
+      const tokens = open('tokens');
+      try {
+        await jobs.set('same-key', { from: 'jobs' });
+        await tokens.set('same-key', { from: 'tokens' });
+        await jobs.clear();
+        assert.strictEqual(await jobs.get('same-key'), null);
+        assert.deepStrictEqual(await tokens.get('same-key'), { from: 'tokens' });
+      } finally {
+        await tokens.clear();
+        await jobs.close();
+        await tokens.close();
+      }
+    });
+
+    test('concurrent writes are all kept', async () => {
+      const store = open('concurrent');
+      try {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => store.set(`key-${i}`, { i })));
+        assert.strictEqual((await store.list()).length, 20);
+        await store.clear();
+      } finally {
+        await store.close();
+      }
+    });
+  });
+}
+
+test('encrypted backends never store values in the clear', async () => {
+  const file = BACKENDS.file('secret');
+  const sqlite = BACKENDS.sqlite('secret');
+  const redisStore = BACKENDS.redis('secret');
+  try {
+    for (const store of [file, sqlite, redisStore]) {
+      await store.set('a', { access_token: 'act.very-secret-token' });
+    }
+    assert.ok(!fs.readFileSync(path.join(workDir, 'secret.encrypted.json'), 'utf8').includes('very-secret'));
+    const row = sqlite.db.prepare('SELECT value FROM records WHERE namespace = ?').get('secret');
+    assert.ok(!row.value.includes('very-secret'));
+    assert.ok(!redis.hashes.get('test:secret').get('a').includes('very-secret'));
+
+    // Records written with another key show up as unreadable instead of failing the whole store
+    const otherKey = new TokenCipher('another-key');
+    sqlite.statements.set.run('secret', 'foreign', JSON.stringify(otherKey.encrypt({ x: 1 })), Date.now());
+    redis.hashes.get('test:secret').set('foreign', JSON.stringify(otherKey.encrypt({ x: 1 })));
+    for (const store of [sqlite, redisStore]) {
+      const { records, unreadable } = await store.inspect();
+      assert.deepStrictEqual(records.map((record) => record.key), ['a']);
+      assert.deepStrictEqual(unreadable.map((record) => record.key), ['foreign']);
+      await assert.rejects(store.list(), /Failed to decrypt/);
+    }
+  } finally {
+    for (const store of [file, sqlite, redisStore]) {
+      await store.clear();
+      await store.close();
+    }
+  }
+});
+
+test('file backend: clear() waits for writes asked for before it and keeps those asked for after', async () => {
+  const filePath = path.join(workDir, 'clear-race.encrypted.json');
+  const store = new FileBackend(cipher, filePath);
+  try {
+    const before = Array.from({ length: 5 }, (_, i) => store.set(`before-${i}`, { i }));
+    const cleared = store.clear();
+    const after = store.set('after', { kept: true });
+    await Promise.all([...before, cleared, after]);
+
+    assert.deepStrictEqual(await store.list(), [{ kept: true }]);
+    // A fresh instance reads the same from disk
+    assert.deepStrictEqual(await new FileBackend(cipher, filePath).list(), [{ kept: true }]);
+  } finally {
+    await store.close();
+  }
+});
+
+test('file backend: files written by earlier versions are still read', async () => {
+  const filePath = path.join(workDir, 'legacy.encrypted.json');
+  fs.writeFileSync(filePath, JSON.stringify(cipher.encrypt({ access_token: 'act.legacy', open_id: 'old-account' })));
+  const store = new FileBackend(cipher, filePath);
+
+  assert.deepStrictEqual(await store.list(), [{ access_token: 'act.legacy', open_id: 'old-account', label: null }]);
+
+  fs.writeFileSync(filePath, JSON.stringify(new TokenCipher('another-key').encrypt({ records: {} })));
+  const { records, unreadable } = await new FileBackend(cipher, filePath).inspect();
+  assert.deepStrictEqual(records, []);
+  assert.strictEqual(unreadable[0].key, null);
+});
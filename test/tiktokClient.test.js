@@ -0,0 +1,32 @@
+// TikTok API client against a local server that never answers: timeouts become a retryable 504
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const TikTokClient = require('../tiktokClient');
+
+test('calls that get no answer time out with 504, and only idempotent ones are retried', async () => {
+  const received = [];
+  const server = http.createServer((req) => received.push(`${req.method} ${req.url}`));
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  try {
+    const client = new TikTokClient({
+      baseUrl: `http://localhost:${server.address().port}`,
+      getAccessToken: async () => 'act.token',
+      maxRetries: 1,
+      baseDelayMs: 10,
+      timeoutMs: 100
+    });
+
+    await assert.rejects(client.post('/v2/post/publish/status/fetch/', {}, { openId: 'open-id', idempotent: true }), { name: 'TikTokApiError', code: 'timeout', status: 504 });
+    assert.deepStrictEqual(received, ['POST /v2/post/publish/status/fetch/', 'POST /v2/post/publish/status/fetch/']);
+
+    // A publish init might have gone through, so it isn't sent twice
+    received.length = 0;
+    await assert.rejects(client.post('/v2/post/publish/video/init/', {}, { openId: 'open-id' }), { code: 'timeout', status: 504 });
+    assert.deepStrictEqual(received, ['POST /v2/post/publish/video/init/']);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
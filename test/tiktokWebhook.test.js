@@ -0,0 +1,185 @@
+// TikTok webhooks: signature and timestamp checks, replayed deliveries, publish and
+// deauthorization events, and forwarding to subscribers with retries
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const TikTokWebhookReceiver = require('../tiktokWebhook');
+const MemoryBackend = require('../storage/memoryBackend');
+
+const { verifySignature, parseSubscriberUrls, SIGNATURE_TOLERANCE_MS } = TikTokWebhookReceiver;
+const SECRET = 'client-secret';
+
+function signature(rawBody, timestamp, secret = SECRET) {
+  return `t=${timestamp},s=${crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')}`;
+}
+
+// A receiver with a publish queue holding one job and a recording disconnectAccount
+function createReceiver(options = {}) {
+  const applied = [];
+  const disconnected = [];
+  const publishQueue = {
+    findByPublishId: async (publishId) => (publishId === 'publish-1' ? { id: 'job-1' } : null),
+    applyStatus: async (id, data) => applied.push({ id, ...data }),
+    addPublicPostId: async (id, postId) => applied.push({ id, postId })
+  };
+  const receiver = new TikTokWebhookReceiver(new MemoryBackend(), {
+    clientKeys: ['client-key'],
+    publishQueue,
+    tokenStorage: { getAccount: async (openId) => (openId === 'connected-open-id' ? { open_id: openId } : null) },
+    disconnectAccount: async (openId, options) => disconnected.push({ openId, ...options }),
+    ...options
+  });
+  return { receiver, applied, disconnected };
+}
+
+function event(name, content, extra = {}) {
+  const body = { client_key: 'client-key', event: name, create_time: 1767225600, content: JSON.stringify(content), ...extra };
+  return { body, rawBody: Buffer.from(JSON.stringify(body)) };
+}
+
+test('a signature over the timestamp and raw body is accepted; anything else is a 401', () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const rawBody = Buffer.from('{"event":"post.publish.complete"}');
+
+  verifySignature(signature(rawBody, timestamp), rawBody, SECRET, { now });
+
+  assert.throws(() => verifySignature(signature(rawBody, timestamp, 'other-secret'), rawBody, SECRET, { now }), { status: 401, message: 'Invalid webhook signature' });
+  assert.throws(() => verifySignature(signature(rawBody, timestamp), Buffer.from('{"event":"tampered"}'), SECRET, { now }), { status: 401, message: 'Invalid webhook signature' });
+  assert.throws(() => verifySignature(`t=${timestamp},s=abc`, rawBody, SECRET, { now }), { status: 401, message: 'Invalid webhook signature' });
+  for (const header of [undefined, '', 's=abc', `t=${timestamp}`, 't=soon,s=abc', `t=${timestamp},s=not-hex`]) {
+    assert.throws(() => verifySignature(header, rawBody, SECRET, { now }), { status: 401, message: /Missing or malformed/ }, String(header));
+  }
+  assert.throws(() => verifySignature(signature(rawBody, timestamp), rawBody, undefined, { now }), { status: 500 });
+});
+
+test('signatures are only accepted within the tolerance window around the current time', () => {
+  const now = Date.now();
+  const rawBody = Buffer.from('{}');
+  const at = (offsetMs) => signature(rawBody, Math.floor((now + offsetMs) / 1000));
+
+  verifySignature(at(-SIGNATURE_TOLERANCE_MS + 5000), rawBody, SECRET, { now });
+  verifySignature(at(SIGNATURE_TOLERANCE_MS - 5000), rawBody, SECRET, { now });
+  assert.throws(() => verifySignature(at(-SIGNATURE_TOLERANCE_MS - 5000), rawBody, SECRET, { now }), { status: 401, message: /tolerance/ });
+  assert.throws(() => verifySignature(at(SIGNATURE_TOLERANCE_MS + 5000), rawBody, SECRET, { now }), { status: 401, message: /tolerance/ });
+
+  // TIKTOK_WEBHOOK_TOLERANCE_SECONDS narrows or widens it
+  assert.throws(() => verifySignature(at(-60 * 1000), rawBody, SECRET, { now, toleranceMs: 30 * 1000 }), { status: 401 });
+  verifySignature(at(-60 * 60 * 1000), rawBody, SECRET, { now, toleranceMs: 2 * 60 * 60 * 1000 });
+});
+
+test('subscriber URLs take an optional event pattern', () => {
+  assert.deepStrictEqual(parseSubscriberUrls('https://a.example.com/hook, post.publish.*=https://b.example.com/hook?x=1,authorization.removed=http://c.example.com'), [
+    { pattern: '*', url: 'https://a.example.com/hook' },
+    { pattern: 'post.publish.*', url: 'https://b.example.com/hook?x=1' },
+    { pattern: 'authorization.removed', url: 'http://c.example.com' }
+  ]);
+  assert.deepStrictEqual(parseSubscriberUrls(''), []);
+});
+
+test('publish events finish the job with that publish_id, and replayed deliveries are applied once', async () => {
+  const { receiver, applied } = createReceiver();
+  const { body, rawBody } = event('post.publish.publicly_available', { publish_id: 'publish-1', post_id: 'post-9' });
+
+  // TikTok redelivers until it gets a 200, sometimes while the first delivery is still running
+  const [first, concurrent] = await Promise.all([receiver.handle(rawBody, body), receiver.handle(rawBody, body)]);
+  const replayed = await receiver.handle(rawBody, body);
+
+  assert.deepStrictEqual(first, { jobId: 'job-1' });
+  assert.strictEqual(concurrent, first);
+  assert.deepStrictEqual(replayed, { duplicate: true });
+  assert.deepStrictEqual(applied, [
+    { id: 'job-1', status: 'PUBLISH_COMPLETE', publish_id: 'publish-1', publicaly_available_post_id: ['post-9'] },
+    { id: 'job-1', postId: 'post-9' }
+  ]);
+
+  const failed = event('post.publish.failed', { publish_id: 'publish-1', reason: 'spam_risk' });
+  await receiver.handle(failed.rawBody, failed.body);
+  assert.deepStrictEqual(applied[2], { id: 'job-1', status: 'FAILED', publish_id: 'publish-1', fail_reason: 'spam_risk' });
+
+  const unknownJob = event('post.publish.complete', { publish_id: 'someone-elses' });
+  assert.deepStrictEqual(await receiver.handle(unknownJob.rawBody, unknownJob.body), { jobId: null });
+  const otherApp = event('post.publish.complete', { publish_id: 'publish-1' }, { client_key: 'other-app' });
+  assert.deepStrictEqual(await receiver.handle(otherApp.rawBody, otherApp.body), { ignored: true });
+  assert.strictEqual(applied.length, 3);
+});
+
+test('authorization.removed disconnects the account without revoking, and is retried until it succeeds', async () => {
+  let failNext = true;
+  const disconnected = [];
+  const { receiver } = createReceiver({
+    disconnectAccount: async (openId, options) => {
+      if (failNext) {
+        failNext = false;
+        throw new Error('storage unavailable');
+      }
+      disconnected.push({ openId, ...options });
+    }
+  });
+  const { body, rawBody } = event('authorization.removed', { reason: 1 }, { user_openid: 'connected-open-id' });
+
+  await assert.rejects(receiver.handle(rawBody, body), /storage unavailable/);
+  // Not remembered after the failure, so TikTok's redelivery is applied
+  assert.deepStrictEqual(await receiver.handle(rawBody, body), {});
+  assert.deepStrictEqual(disconnected, [{ openId: 'connected-open-id', revoke: false, type: 'deauthorized', details: { reason: 'user disconnected the app' } }]);
+
+  // Users that aren't connected (anymore) are acknowledged without doing anything
+  const gone = event('authorization.removed', { reason: 2 }, { user_openid: 'unknown-open-id' });
+  await receiver.handle(gone.rawBody, gone.body);
+  assert.strictEqual(disconnected.length, 1);
+});
+
+test('forwarding retries failed deliveries, signs them, and stops after the last try without waiting again', async () => {
+  const deliveries = [];
+  let failures = 2;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      deliveries.push({ body: Buffer.concat(chunks).toString(), signature: req.headers['x-webhook-signature'] });
+      res.statusCode = failures-- > 0 ? 500 : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `http://localhost:${server.address().port}/hook`;
+
+  try {
+    const { receiver } = createReceiver({ forwardSecret: 'forward-secret', forwardRetryDelayMs: 200 });
+    await receiver.forward(url, { event: 'post.publish.complete', job_id: 'job-1' });
+
+    assert.strictEqual(deliveries.length, 3);
+    const body = JSON.stringify({ event: 'post.publish.complete', job_id: 'job-1' });
+    assert.strictEqual(deliveries[2].body, body);
+    assert.strictEqual(deliveries[2].signature, `sha256=${crypto.createHmac('sha256', 'forward-secret').update(body).digest('hex')}`);
+
+    // Three failures: waits 200 ms and 400 ms between the tries, and not again after the last one
+    deliveries.length = 0;
+    failures = 3;
+    const started = Date.now();
+    await receiver.forward(url, { event: 'post.publish.failed' });
+    const elapsed = Date.now() - started;
+    assert.strictEqual(deliveries.length, 3);
+    assert.ok(elapsed >= 600 && elapsed < 1200, `took ${elapsed} ms`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('events are forwarded to the subscribers whose pattern matches, after they are applied', async () => {
+  const { receiver } = createReceiver();
+  const received = [];
+  receiver.subscribe('post.publish.*', async (forwarded, context) => received.push(['publish', forwarded.event, forwarded.content, context.jobId]));
+  receiver.subscribe('authorization.removed', async (forwarded) => received.push(['deauth', forwarded.event]));
+  receiver.subscribe('*', async (forwarded) => received.push(['all', forwarded.event]));
+
+  const { body, rawBody } = event('post.publish.complete', { publish_id: 'publish-1' });
+  await receiver.handle(rawBody, body);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual(received, [
+    ['publish', 'post.publish.complete', { publish_id: 'publish-1' }, 'job-1'],
+    ['all', 'post.publish.complete']
+  ]);
+});
@@ -0,0 +1,183 @@
+// Token encryption: envelopes, key rotation by kid, pre-v2 envelopes, wrong keys, tampering and
+// the re-encrypt script
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenCipher = require('../tokenCipher');
+const PublishQueue = require('../publishQueue');
+const PostScheduler = require('../scheduler');
+const { FileBackend, SqliteBackend } = require('../storage');
+
+const TOKENS = { access_token: 'act.secret', refresh_token: 'rft.secret', open_id: 'open-id' };
+
+// An envelope as written before v2 by crypto.createCipher('aes-256-cbc', password)
+function legacyEnvelope(data, secret) {
+  const password = secret.length < 32 ? crypto.scryptSync(secret, 'salt', 32).toString('hex') : secret;
+  let material = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (material.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password, 'utf8')])).digest();
+    material = Buffer.concat([material, block]);
+  }
+  const cipher = crypto.createCipheriv('aes-256-cbc', material.subarray(0, 32), material.subarray(32, 48));
+  const encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex') + cipher.final('hex');
+  // The old code stored an IV it never used
+  return { iv: crypto.randomBytes(16).toString('hex'), encrypted };
+}
+
+test('envelopes round-trip and name the key that wrote them', () => {
+  const cipher = new TokenCipher('current-key');
+  const envelope = cipher.encrypt(TOKENS);
+
+  assert.strictEqual(envelope.v, 2);
+  assert.strictEqual(envelope.alg, 'aes-256-gcm');
+  assert.strictEqual(envelope.kid, cipher.activeKeyId);
+  assert.ok(!JSON.stringify(envelope).includes('secret'));
+  assert.deepStrictEqual(cipher.decrypt(envelope), TOKENS);
+  // A fresh salt and IV per envelope, even from the same process
+  const second = cipher.encrypt(TOKENS);
+  assert.notStrictEqual(second.salt, envelope.salt);
+  assert.notStrictEqual(second.iv, envelope.iv);
+  assert.deepStrictEqual(cipher.decrypt(second), TOKENS);
+  assert.throws(() => new TokenCipher([undefined, '']), /No encryption key configured/);
+});
+
+test('after a rotation, envelopes of previous keys are found by kid and flagged for re-encryption', () => {
+  const before = new TokenCipher('old-key');
+  const oldEnvelope = before.encrypt(TOKENS);
+
+  const rotated = new TokenCipher(['new-key', 'older-key', 'old-key']);
+  assert.deepStrictEqual(rotated.decrypt(oldEnvelope), TOKENS);
+  assert.strictEqual(rotated.needsReencrypt(oldEnvelope), true);
+
+  const newEnvelope = rotated.encrypt(TOKENS);
+  assert.notStrictEqual(newEnvelope.kid, oldEnvelope.kid);
+  assert.strictEqual(rotated.needsReencrypt(newEnvelope), false);
+  // Only the active key encrypts; the old one can't read what the new one wrote
+  assert.strictEqual(before.decrypt(newEnvelope), null);
+
+  // Envelopes written by the same key in another process (another salt) decrypt too
+  assert.deepStrictEqual(new TokenCipher('old-key').decrypt(oldEnvelope), TOKENS);
+});
+
+test('pre-v2 envelopes decrypt with any configured key, short or long', () => {
+  const longKey = 'a'.repeat(64);
+  for (const secret of ['short-key', longKey]) {
+    const envelope = legacyEnvelope(TOKENS, secret);
+    const cipher = new TokenCipher(['new-key', secret]);
+    assert.deepStrictEqual(cipher.decrypt(envelope), TOKENS, secret);
+    assert.strictEqual(cipher.needsReencrypt(envelope), true);
+  }
+  assert.strictEqual(new TokenCipher('new-key').decrypt(legacyEnvelope(TOKENS, 'short-key')), null);
+});
+
+test('a key that isn\'t configured, or a changed envelope, decrypts to null', () => {
+  const cipher = new TokenCipher('current-key');
+  const envelope = cipher.encrypt(TOKENS);
+
+  assert.strictEqual(new TokenCipher('other-key').decrypt(envelope), null);
+  // The right key with another salt derives another AES key
+  assert.strictEqual(new TokenCipher('current-key').decrypt({ ...envelope, salt: crypto.randomBytes(16).toString('hex') }), null);
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  assert.strictEqual(cipher.decrypt({ ...envelope, data: data.toString('base64') }), null);
+  const tag = Buffer.from(envelope.tag, 'hex');
+  tag[0] ^= 1;
+  assert.strictEqual(cipher.decrypt({ ...envelope, tag: tag.toString('hex') }), null);
+  assert.strictEqual(cipher.decrypt({ ...envelope, iv: crypto.randomBytes(12).toString('hex') }), null);
+  assert.strictEqual(cipher.decrypt({ ...envelope, v: 3 }), null);
+  assert.strictEqual(cipher.decrypt({ ...envelope, alg: 'aes-256-cbc' }), null);
+  assert.strictEqual(cipher.decrypt(null), null);
+});
+
+test('signing keys differ per purpose and change with the active key', () => {
+  const cipher = new TokenCipher(['current-key', 'old-key']);
+  assert.notDeepStrictEqual(cipher.signingKey('login-links'), cipher.signingKey('other'));
+  assert.deepStrictEqual(cipher.signingKey('login-links'), new TokenCipher('current-key').signingKey('login-links'));
+  assert.notDeepStrictEqual(cipher.signingKey('login-links'), new TokenCipher('old-key').signingKey('login-links'));
+});
+
+test('the re-encrypt script rewrites token files with the active key', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-cipher-'));
+  try {
+    const current = path.join(workDir, 'current.json');
+    const legacy = path.join(workDir, 'legacy.json');
+    fs.writeFileSync(current, JSON.stringify(new TokenCipher('old-key').encrypt({ records: { 'open-id': TOKENS } })));
+    fs.writeFileSync(legacy, JSON.stringify(legacyEnvelope({ accounts: { 'open-id': TOKENS } }, 'older-key')));
+
+    const run = (env) => spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'reencrypt-tokens.js'), current, legacy], {
+      cwd: workDir,
+      env: { PATH: process.env.PATH, LOG_LEVEL: 'error', ...env },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    const missingKey = run({ ENCRYPTION_KEY: 'new-key' });
+    assert.strictEqual(missingKey.status, 1);
+    assert.match(missingKey.stderr, /Could not decrypt .*current\.json/);
+
+    const result = run({ ENCRYPTION_KEY: 'new-key', ENCRYPTION_KEYS_PREVIOUS: 'old-key, older-key' });
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const rotated = new TokenCipher('new-key');
+    for (const [filePath, expected] of [[current, { records: { 'open-id': TOKENS } }], [legacy, { accounts: { 'open-id': TOKENS } }]]) {
+      const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      assert.strictEqual(envelope.kid, rotated.activeKeyId);
+      assert.deepStrictEqual(rotated.decrypt(envelope), expected);
+    }
+    assert.deepStrictEqual(fs.readdirSync(workDir).sort(), ['current.json', 'legacy.json']);
+
+    const again = run({ ENCRYPTION_KEY: 'new-key' });
+    assert.match(again.stdout, /already uses the active key/);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('the re-encrypt script rotates every store, so jobs and scheduled posts stay readable', async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-rotate-'));
+  const job = { id: 'job-1', type: 'video.direct-post', open_id: 'open-id', status: 'queued' };
+  const post = { id: 'post-1', open_id: 'open-id', status: 'scheduled', publish_at: Date.now() + 60 * 60 * 1000 };
+  const sqlitePath = path.join(workDir, 'storage.sqlite');
+  const backends = {
+    file: (cipher, namespace) => new FileBackend(cipher, path.join(workDir, `${namespace}.encrypted.json`)),
+    sqlite: (cipher, namespace) => new SqliteBackend(cipher, { dbPath: sqlitePath, namespace })
+  };
+
+  try {
+    for (const [name, open] of Object.entries(backends)) {
+      const old = new TokenCipher('old-key');
+      for (const [namespace, key, value] of [['tokens', 'open-id', TOKENS], ['jobs', job.id, job], ['schedules', post.id, post]]) {
+        const store = open(old, namespace);
+        await store.set(key, value);
+        await store.close();
+      }
+
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'reencrypt-tokens.js')], {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, LOG_LEVEL: 'error', STORAGE_BACKEND: name, SQLITE_PATH: sqlitePath, ENCRYPTION_KEY: 'new-key', ENCRYPTION_KEYS_PREVIOUS: 'old-key' },
+        encoding: 'utf8',
+        timeout: 20000
+      });
+      assert.strictEqual(result.status, 0, result.stderr);
+
+      // The old key is gone
+      const rotated = new TokenCipher('new-key');
+      const queue = new PublishQueue(open(rotated, 'jobs'));
+      const scheduler = new PostScheduler(open(rotated, 'schedules'), open(rotated, 'slots'));
+      try {
+        assert.deepStrictEqual(await queue.get(job.id), job, name);
+        assert.deepStrictEqual(await scheduler.get(post.id), post, name);
+      } finally {
+        await Promise.all([queue.store.close(), scheduler.posts.close(), scheduler.slots.close()]);
+      }
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+// Warehouse sync against a recording warehouse and TikTok client: where each dataset starts and
+// how a failing dataset is reported
+const test = require('node:test');
+const assert = require('node:assert');
+const WarehouseSync = require('../warehouseSync');
+const { addDays, formatDate } = require('../warehouse');
+
+function createSync({ syncedThrough = () => null } = {}) {
+  const requests = [];
+  const warehouse = {
+    syncedThrough,
+    saveRecords: () => {},
+    markSynced: () => {}
+  };
+  const tiktok = {
+    post: async (path, params) => {
+      requests.push(params);
+      return { data: { rows: [{ id: 1 }], has_more: false } };
+    }
+  };
+  return { sync: new WarehouseSync(warehouse, { tiktok, backfillDays: 5 }), requests };
+}
+
+test('a dataset starts at the day it was synced through, or backfills new ones', async () => {
+  const today = formatDate(Date.now());
+  const yesterday = addDays(today, -1);
+
+  const fresh = createSync();
+  const backfilled = await fresh.sync.syncDataset('open-id', 'creator_orders');
+  assert.strictEqual(backfilled.start_date, addDays(today, -4));
+  assert.strictEqual(backfilled.records, 1);
+
+  const resumed = createSync({ syncedThrough: () => yesterday });
+  const result = await resumed.sync.syncDataset('open-id', 'creator_orders');
+  assert.strictEqual(result.start_date, yesterday);
+  assert.strictEqual(resumed.requests[0].start_date, yesterday);
+});
+
+test('a warehouse that cannot read its sync state fails that dataset instead of the whole sync', async () => {
+  const { sync, requests } = createSync({
+    syncedThrough: () => {
+      throw new Error('database is locked');
+    }
+  });
+
+  const result = await sync.syncDataset('open-id', 'seller_analytics');
+
+  assert.strictEqual(result.error, 'database is locked');
+  assert.strictEqual(result.records, 0);
+  assert.deepStrictEqual(requests, []);
+});
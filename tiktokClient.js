@@ -0,0 +1,183 @@
+const axios = require('axios');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// HTTP status we answer with for TikTok's error codes
+// (https://developers.tiktok.com/doc/tiktok-api-v2-error-handling)
+const ERROR_STATUS = {
+  access_token_invalid: 401,
+  scope_not_authorized: 403,
+  scope_permission_missed: 403,
+  unaudited_client_can_only_post_to_private_accounts: 403,
+  url_ownership_unverified: 403,
+  spam_risk_user_banned_from_posting: 403,
+  privacy_level_option_mismatch: 400,
+  invalid_params: 400,
+  invalid_file_upload: 400,
+  invalid_publish_id: 404,
+  rate_limit_exceeded: 429,
+  spam_risk_too_many_posts: 429,
+  spam_risk_too_many_pending_share: 429,
+  reached_active_user_cap: 429,
+  internal_error: 502
+};
+
+// Codes worth retrying: TikTok may succeed on a later attempt
+// (posting quotas like spam_risk_too_many_posts only reset after hours, so they are not retried)
+const RETRYABLE_CODES = new Set(['rate_limit_exceeded', 'internal_error']);
+
+// Longest wait before a retry; a rate limit that resets later than this fails right away
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// How long a call may take before it is given up (a hung connection would otherwise hold the
+// route, the publish worker and a graceful shutdown forever)
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// An error reported by TikTok's API
+// status is the HTTP status to answer with; logId is TikTok's request id for support tickets
+class TikTokApiError extends Error {
+  constructor(message, { code, status, logId, tiktokStatus, retryAfterMs, response } = {}) {
+    super(message);
+    this.name = 'TikTokApiError';
+    this.code = code;
+    this.status = status;
+    this.logId = logId || null;
+    this.tiktokStatus = tiktokStatus || null;
+    this.retryAfterMs = retryAfterMs || null;
+    this.response = response;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wait requested by TikTok through Retry-After (seconds) or X-RateLimit-Reset (epoch seconds)
+function retryAfterMs(headers = {}) {
+  const retryAfter = Number(headers['retry-after']);
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (reset > 0) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+  return null;
+}
+
+// TikTok's id for a request (from the error envelope or the x-tt-logid header), quoted in support tickets
+function tiktokLogId(response) {
+  if (!response) {
+    return null;
+  }
+  const body = response.data;
+  return (body && body.error && body.error.log_id) || (body && body.log_id) || (response.headers && response.headers['x-tt-logid']) || null;
+}
+
+// Turn a failed request (HTTP error, TikTok error envelope or network failure) into a TikTokApiError
+function toApiError(err, response) {
+  if (!response && (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT')) {
+    return new TikTokApiError(`TikTok API did not answer in time: ${err.message}`, { code: 'timeout', status: 504 });
+  }
+  if (!response) {
+    return new TikTokApiError(`TikTok API unreachable: ${err.message}`, { code: 'network_error', status: 502 });
+  }
+
+  const error = (response.data && response.data.error) || {};
+  const code = error.code || `http_${response.status}`;
+  let status = ERROR_STATUS[code];
+  if (!status) {
+    // Unknown codes: pass client errors through, report TikTok's own failures as a bad gateway
+    status = response.status >= 400 && response.status < 500 ? response.status : 502;
+  }
+
+  return new TikTokApiError(`TikTok API Error: ${error.message || `HTTP ${response.status}`}`, {
+    code,
+    status,
+    logId: tiktokLogId(response),
+    tiktokStatus: response.status,
+    retryAfterMs: retryAfterMs(response.headers),
+    response
+  });
+}
+
+// Client for TikTok's Open API (https://open.tiktokapis.com)
+// Adds the account's bearer token, unwraps TikTok's { data, error: { code, message, log_id } } envelope
+// and throws TikTokApiError for failures. Calls are made for an account (openId, token looked up
+// through getAccessToken) or with an explicit accessToken. getBaseUrl, when given, picks the API
+// address per account (accounts of a sandbox app can live elsewhere than production ones).
+// Idempotent calls (GET, or POST with idempotent: true for read-only queries) are retried with
+// backoff on rate limits, TikTok server errors, network failures and timeouts (answered with 504).
+class TikTokClient {
+  constructor({ baseUrl = 'https://open.tiktokapis.com', getAccessToken, getBaseUrl, maxRetries = 3, baseDelayMs = 500, timeoutMs = REQUEST_TIMEOUT_MS }) {
+    this.baseUrl = baseUrl;
+    this.getAccessToken = getAccessToken;
+    this.getBaseUrl = getBaseUrl || null;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async request(method, path, { openId, accessToken, data, params, idempotent = method === 'GET' } = {}) {
+    const token = accessToken || await this.getAccessToken(openId);
+    const baseUrl = openId && this.getBaseUrl ? await this.getBaseUrl(openId) : this.baseUrl;
+
+    for (let attempt = 0; ; attempt++) {
+      let apiError;
+      const startedAt = Date.now();
+      const timer = process.hrtime.bigint();
+      try {
+        const response = await axios.request({
+          method,
+          url: `${baseUrl}${path}`,
+          data,
+          params,
+          timeout: this.timeoutMs,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            ...(data !== undefined && { 'Content-Type': 'application/json; charset=UTF-8' })
+          }
+        });
+
+        const { error } = response.data || {};
+        if (!error || error.code === 'ok') {
+          metrics.tiktokApiRequests.inc({ endpoint: path, code: 'ok' });
+          metrics.tiktokApiDuration.observeSince({ endpoint: path }, timer);
+          logger.debug('TikTok API call', { method, path, status: response.status, log_id: tiktokLogId(response), duration_ms: Date.now() - startedAt, attempt: attempt + 1 });
+          return response.data;
+        }
+        apiError = toApiError(null, response);
+      } catch (err) {
+        apiError = toApiError(err, err.response);
+      }
+      metrics.tiktokApiRequests.inc({ endpoint: path, code: apiError.code });
+      metrics.tiktokApiDuration.observeSince({ endpoint: path }, timer);
+
+      const delay = apiError.retryAfterMs !== null
+        ? apiError.retryAfterMs
+        : this.baseDelayMs * 2 ** attempt + Math.floor(Math.random() * this.baseDelayMs);
+      const retryable = apiError.code === 'network_error' || apiError.code === 'timeout' || RETRYABLE_CODES.has(apiError.code) || apiError.tiktokStatus >= 500;
+      if (!idempotent || !retryable || attempt >= this.maxRetries || delay > MAX_RETRY_DELAY_MS) {
+        logger.warn('TikTok API call failed', { method, path, code: apiError.code, status: apiError.tiktokStatus, log_id: apiError.logId, duration_ms: Date.now() - startedAt, attempt: attempt + 1 });
+        throw apiError;
+      }
+
+      logger.warn('TikTok API call failed, retrying', { method, path, code: apiError.code, status: apiError.tiktokStatus, log_id: apiError.logId, attempt: attempt + 1, retry_in_ms: delay });
+      await sleep(delay);
+    }
+  }
+
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  post(path, data, options = {}) {
+    return this.request('POST', path, { ...options, data });
+  }
+}
+
+module.exports = TikTokClient;
+module.exports.TikTokApiError = TikTokApiError;
+module.exports.ERROR_STATUS = ERROR_STATUS;
+module.exports.tiktokLogId = tiktokLogId;
+module.exports.REQUEST_TIMEOUT_MS = REQUEST_TIMEOUT_MS;
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Events older than this (or this far in the future) are rejected, so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+// TikTok redelivers events it got no 200 for over several days; duplicates are recognised that long
+const DEDUP_WINDOW_MS = 4 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Forwarding to a subscriber is tried this often, waiting 1s, then 2s between tries
+const FORWARD_ATTEMPTS = 3;
+const FORWARD_RETRY_DELAY_MS = 1000;
+
+// Publish events as the status/fetch data PublishQueue.applyStatus understands
+const PUBLISH_EVENT_STATUSES = {
+  'post.publish.complete': 'PUBLISH_COMPLETE',
+  'post.publish.publicly_available': 'PUBLISH_COMPLETE',
+  'post.publish.inbox_delivered': 'SEND_TO_USER_INBOX',
+  'post.publish.failed': 'FAILED'
+};
+
+// Why TikTok removed an authorization (content.reason of authorization.removed)
+const DEAUTHORIZATION_REASONS = {
+  0: 'unknown',
+  1: 'user disconnected the app',
+  2: 'user deleted their account',
+  3: 'user age changed',
+  4: 'user account banned',
+  5: 'developer revoked authorization'
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function webhookError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Parse a TikTok-Signature header ("t=<unix seconds>,s=<hex hmac>")
+function parseSignatureHeader(header) {
+  const parts = {};
+  for (const part of String(header || '').split(',')) {
+    const [key, ...value] = part.trim().split('=');
+    parts[key] = value.join('=');
+  }
+  const timestamp = Number(parts.t);
+  if (!parts.t || !Number.isInteger(timestamp) || !/^[0-9a-f]+$/i.test(parts.s || '')) {
+    return null;
+  }
+  return { timestamp, signature: parts.s.toLowerCase() };
+}
+
+// Check that a webhook body was signed by TikTok with the app's client secret
+// TikTok signs "<timestamp>.<raw body>" with HMAC-SHA256; throws a 401 error when it doesn't match
+function verifySignature(header, rawBody, secret, { toleranceMs = SIGNATURE_TOLERANCE_MS, now = Date.now() } = {}) {
+  if (!secret) {
+    throw webhookError(500, 'TIKTOK_CLIENT_SECRET is not set, so webhook signatures cannot be verified');
+  }
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    throw webhookError(401, 'Missing or malformed TikTok-Signature header');
+  }
+  if (Math.abs(now - parsed.timestamp * 1000) > toleranceMs) {
+    throw webhookError(401, 'Webhook timestamp is outside the allowed tolerance');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parsed.timestamp}.`).update(rawBody || '').digest();
+  const actual = Buffer.from(parsed.signature, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw webhookError(401, 'Invalid webhook signature');
+  }
+}
+
+// Webhook event content arrives as a JSON string inside the event
+function parseEventContent(event) {
+  if (typeof event.content !== 'string') {
+    return event.content || {};
+  }
+  try {
+    return JSON.parse(event.content);
+  } catch (err) {
+    return {};
+  }
+}
+
+// "post.publish.*" matches every publish event, "*" every event
+function matchesEvent(pattern, eventName) {
+  if (pattern === '*') {
+    return true;
+  }
+  return pattern.endsWith('.*') ? eventName.startsWith(pattern.slice(0, -1)) : pattern === eventName;
+}
+
+// Parse TIKTOK_WEBHOOK_SUBSCRIBERS: comma-separated URLs, each optionally prefixed with "<event pattern>="
+function parseSubscriberUrls(value) {
+  return String(value || '').split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf('=');
+    const hasPattern = separator > 0 && !/^https?:\/\//i.test(entry);
+    return hasPattern
+      ? { pattern: entry.slice(0, separator), url: entry.slice(separator + 1) }
+      : { pattern: '*', url: entry };
+  });
+}
+
+// Handles verified TikTok webhook events
+// - duplicates (TikTok redelivers until it gets a 200) are recognised by a hash of the raw body
+// - post.publish.* events update the publish job with that publish_id, so it doesn't wait for polling
+// - authorization.removed deletes the user's stored tokens
+// - every event is passed on to the subscribers whose pattern matches, after it has been applied
+class TikTokWebhookReceiver {
+  constructor(store, { clientKeys = [], publishQueue, tokenStorage, disconnectAccount, forwardSecret, dedupWindowMs = DEDUP_WINDOW_MS, forwardRetryDelayMs = FORWARD_RETRY_DELAY_MS } = {}) {
+    this.store = store;
+    this.clientKeys = clientKeys;
+    this.publishQueue = publishQueue;
+    this.tokenStorage = tokenStorage;
+    this.disconnectAccount = disconnectAccount;
+    this.forwardSecret = forwardSecret || null;
+    this.dedupWindowMs = dedupWindowMs;
+    this.forwardRetryDelayMs = forwardRetryDelayMs;
+    this.subscribers = [];
+    this.processing = new Map();
+    this.lastPrunedAt = 0;
+  }
+
+  // handler: async (event, { jobId }) => void; errors are logged, not returned to TikTok
+  subscribe(pattern, handler) {
+    this.subscribers.push({ pattern, handler });
+  }
+
+  // Forward matching events to an HTTP endpoint, signed like publish job webhooks (X-Webhook-Signature)
+  subscribeUrl(pattern, url) {
+    this.subscribe(pattern, (event, context) => this.forward(url, { ...event, job_id: context.jobId || null }));
+  }
+
+  // Handle one event; resolves to { duplicate, ignored, jobId }
+  // Concurrent deliveries of the same event share one run
+  handle(rawBody, event) {
+    const eventId = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+    if (!this.processing.has(eventId)) {
+      const pending = this.process(eventId, event).finally(() => {
+        this.processing.delete(eventId);
+      });
+      this.processing.set(eventId, pending);
+    }
+    return this.processing.get(eventId);
+  }
+
+  async process(eventId, event) {
+    if (await this.store.get(eventId)) {
+      return { duplicate: true };
+    }
+    if (this.clientKeys.length > 0 && event.client_key && !this.clientKeys.includes(event.client_key)) {
+      return { ignored: true };
+    }
+
+    const content = parseEventContent(event);
+    const context = {};
+    if (PUBLISH_EVENT_STATUSES[event.event]) {
+      context.jobId = await this.applyPublishEvent(event.event, content);
+    } else if (event.event === 'authorization.removed') {
+      await this.removeAuthorization(event.user_openid, content);
+    }
+
+    // Only remembered once applied, so a failure here makes TikTok deliver it again
+    await this.store.set(eventId, { id: eventId, event: event.event, received_at: Date.now() });
+    this.prune();
+
+    const parsedEvent = { ...event, content };
+    for (const { pattern, handler } of this.subscribers) {
+      if (matchesEvent(pattern, event.event || '')) {
+        Promise.resolve()
+          .then(() => handler(parsedEvent, context))
+          .catch((error) => logger.error('Webhook subscriber failed', { event: event.event, error }));
+      }
+    }
+    return context;
+  }
+
+  async applyPublishEvent(eventName, content) {
+    const job = content.publish_id && await this.publishQueue.findByPublishId(content.publish_id);
+    if (!job) {
+      return null;
+    }
+
+    const data = { status: PUBLISH_EVENT_STATUSES[eventName], publish_id: content.publish_id };
+    if (eventName === 'post.publish.failed') {
+      data.fail_reason = content.reason || 'failed';
+    }
+    if (content.post_id) {
+      data.publicaly_available_post_id = [content.post_id];
+    }
+    await this.publishQueue.applyStatus(job.id, data);
+    if (content.post_id) {
+      await this.publishQueue.addPublicPostId(job.id, content.post_id);
+    }
+    return job.id;
+  }
+
+  async removeAuthorization(openId, content) {
+    if (!openId || !(await this.tokenStorage.getAccount(openId))) {
+      return;
+    }
+    await this.disconnectAccount(openId, {
+      revoke: false,
+      type: 'deauthorized',
+      details: { reason: DEAUTHORIZATION_REASONS[content.reason] || DEAUTHORIZATION_REASONS[0] }
+    });
+  }
+
+  async forward(url, event) {
+    const body = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.forwardSecret) {
+      headers['X-Webhook-Signature'] = `sha256=${crypto.createHmac('sha256', this.forwardSecret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await axios.post(url, body, { headers, timeout: 10000 });
+        return;
+      } catch (error) {
+        if (attempt === FORWARD_ATTEMPTS) {
+          logger.error('Forwarding webhook event failed, giving up', { event: event.event, url, attempts: attempt, error });
+          return;
+        }
+        logger.warn('Forwarding webhook event failed', { event: event.event, url, attempt, error });
+        await sleep(this.forwardRetryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  // Forget event ids older than the dedup window (at most once an hour)
+  prune() {
+    const now = Date.now();
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    (async () => {
+      for (const seen of await this.store.list()) {
+        if (now - seen.received_at > this.dedupWindowMs) {
+          await this.store.delete(seen.id);
+        }
+      }
+    })().catch((error) => logger.error('Pruning webhook events failed', error));
+  }
+}
+
+module.exports = TikTokWebhookReceiver;
+module.exports.verifySignature = verifySignature;
+module.exports.parseSignatureHeader = parseSignatureHeader;
+module.exports.parseEventContent = parseEventContent;
+module.exports.parseSubscriberUrls = parseSubscriberUrls;
+module.exports.SIGNATURE_TOLERANCE_MS = SIGNATURE_TOLERANCE_MS;
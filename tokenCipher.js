@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Versioned envelope format written by encrypt():
+//   { v: 2, alg: 'aes-256-gcm', kid, salt, iv, tag, data }
+// kid identifies the key that encrypted the envelope, salt (fresh for every envelope) feeds
+// the scrypt key derivation and iv/tag are the GCM nonce and authentication tag (all hex, data base64).
+// Envelopes written before v2 ({ iv, encrypted } from crypto.createCipher) can still
+// be decrypted so existing token files keep working until they are re-encrypted.
+const ENVELOPE_VERSION = 2;
+const ALGORITHM = 'aes-256-gcm';
+// Derived keys kept in memory; every envelope has its own salt, so the oldest are dropped
+const MAX_CACHED_KEYS = 1000;
+
+// Short, stable identifier for a key, so envelopes can name the key they need
+function keyId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+// OpenSSL EVP_BytesToKey (MD5, one round, no salt) as used by the removed crypto.createCipher
+function evpBytesToKey(password, keyLength, ivLength) {
+  let material = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (material.length < keyLength + ivLength) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password, 'utf8')])).digest();
+    material = Buffer.concat([material, block]);
+  }
+  return {
+    key: material.subarray(0, keyLength),
+    iv: material.subarray(keyLength, keyLength + ivLength)
+  };
+}
+
+class TokenCipher {
+  // keys: the active key (encrypts and decrypts) followed by previous keys (decrypt only)
+  constructor(keys) {
+    const secrets = (Array.isArray(keys) ? keys : [keys]).filter(Boolean);
+    if (secrets.length === 0) {
+      throw new Error('No encryption key configured. Set ENCRYPTION_KEY (e.g. generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))")');
+    }
+
+    this.keys = new Map(secrets.map((secret) => [keyId(secret), secret]));
+    this.activeKeyId = keyId(secrets[0]);
+    this.derivedKeys = new Map();
+  }
+
+  // Build a cipher from ENCRYPTION_KEY and the comma-separated ENCRYPTION_KEYS_PREVIOUS
+  static fromEnv(env = process.env) {
+    const previous = (env.ENCRYPTION_KEYS_PREVIOUS || '').split(',').map((key) => key.trim());
+    return new TokenCipher([env.ENCRYPTION_KEY, ...previous]);
+  }
+
+  // scrypt is slow on purpose, so derived keys are cached per key and salt (records read again
+  // after being written or loaded don't pay for it twice)
+  deriveKey(kid, salt) {
+    const cacheKey = `${kid}:${salt}`;
+    if (!this.derivedKeys.has(cacheKey)) {
+      if (this.derivedKeys.size >= MAX_CACHED_KEYS) {
+        this.derivedKeys.delete(this.derivedKeys.keys().next().value);
+      }
+      this.derivedKeys.set(cacheKey, crypto.scryptSync(this.keys.get(kid), Buffer.from(salt, 'hex'), 32));
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  // Encrypt data with the active key
+  encrypt(data) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(this.activeKeyId, salt), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+      v: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      kid: this.activeKeyId,
+      salt,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: encrypted.toString('base64')
+    };
+  }
+
+  // Decrypt data written by any configured key, including pre-v2 envelopes
+  decrypt(encryptedData) {
+    try {
+      if (!encryptedData || encryptedData.v === undefined) {
+        return this.decryptLegacy(encryptedData);
+      }
+      if (encryptedData.v !== ENVELOPE_VERSION || encryptedData.alg !== ALGORITHM) {
+        throw new Error(`Unsupported envelope version ${encryptedData.v} (${encryptedData.alg})`);
+      }
+      if (!this.keys.has(encryptedData.kid)) {
+        throw new Error(`Key ${encryptedData.kid} is not configured (add it to ENCRYPTION_KEYS_PREVIOUS)`);
+      }
+
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        this.deriveKey(encryptedData.kid, encryptedData.salt),
+        Buffer.from(encryptedData.iv, 'hex')
+      );
+      decipher.setAuthTag(Buffer.from(encryptedData.tag, 'hex'));
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(encryptedData.data, 'base64')), decipher.final()]);
+
+      return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      logger.error('Decryption failed', error);
+      return null;
+    }
+  }
+
+  // Pre-v2 envelopes: AES-256-CBC keyed through EVP_BytesToKey from the (stretched) secret.
+  // The stored IV was never used by the old code, so it is ignored here as well.
+  decryptLegacy(encryptedData) {
+    for (const secret of this.keys.values()) {
+      const password = secret.length < 32 ? crypto.scryptSync(secret, 'salt', 32).toString('hex') : secret;
+      const { key, iv } = evpBytesToKey(password, 32, 16);
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+        let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+        return JSON.parse(decrypted);
+      } catch (error) {
+        // Wrong key; try the next one
+      }
+    }
+    throw new Error('No configured key can decrypt this legacy envelope');
+  }
+
+  // Key for signing things other than envelopes (e.g. login links), derived from the active key
+  signingKey(purpose) {
+    return crypto.createHmac('sha256', this.keys.get(this.activeKeyId)).update(purpose).digest();
+  }
+
+  // Whether an envelope should be rewritten (legacy format or not the active key)
+  needsReencrypt(encryptedData) {
+    return !encryptedData || encryptedData.v !== ENVELOPE_VERSION || encryptedData.kid !== this.activeKeyId;
+  }
+}
+
+module.exports = TokenCipher;
@@ -0,0 +1,266 @@
+const axios = require('axios');
+const { parseScopes } = require('./scopes');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { tiktokLogId, REQUEST_TIMEOUT_MS } = require('./tiktokClient');
+
+// OAuth errors that no retry can fix: the user has to log in again
+const PERMANENT_REFRESH_ERRORS = ['invalid_grant', 'access_denied', 'invalid_scope'];
+
+// Thrown when an account's refresh token can no longer be used
+class ReauthRequiredError extends Error {
+  constructor(openId, reason) {
+    super(`Re-authentication required for account ${openId}: ${reason}. Visit /auth/login to connect it again`);
+    this.name = 'ReauthRequiredError';
+    this.code = 'reauth_required';
+    this.status = 401;
+    this.openId = openId;
+    this.reason = reason;
+  }
+}
+
+function accountNotFound(openId) {
+  const error = new Error(`Account not found: ${openId}`);
+  error.status = 404;
+  return error;
+}
+
+// Keeps account access tokens fresh
+// - at most one refresh per account is in flight; concurrent callers share its result
+// - a background timer renews tokens shortly before they expire
+// - accounts whose refresh token is expired or rejected are flagged for re-authentication
+class TokenRefresher {
+  constructor(tokenStorage, options = {}) {
+    this.tokenStorage = tokenStorage;
+    // (account) => the TikTok app ({ clientKey, clientSecret, apiBaseUrl }) the account was connected through
+    this.appFor = options.appFor;
+    this.renewBeforeMs = options.renewBeforeMs || 30 * 60 * 1000; // 30 minutes
+    this.intervalMs = options.intervalMs || 5 * 60 * 1000; // 5 minutes
+    this.inFlight = new Map();
+    this.timer = null;
+  }
+
+  tokenUrl(app) {
+    return `${app.apiBaseUrl}/v2/oauth/token/`;
+  }
+
+  revokeUrl(app) {
+    return `${app.apiBaseUrl}/v2/oauth/revoke/`;
+  }
+
+  // Return a usable access token, refreshing it first if it's about to expire
+  async getValidAccessToken(openId) {
+    const tokens = await this.tokenStorage.loadTokens(openId);
+    if (!tokens) {
+      // Disconnected (or never connected), e.g. while one of its jobs was waiting
+      throw accountNotFound(openId);
+    }
+    if (tokens.reauth_required) {
+      throw new ReauthRequiredError(openId, tokens.reauth_reason || 'refresh failed');
+    }
+
+    if (Date.now() < tokens.expires_at - 60 * 1000) {
+      return tokens.access_token;
+    }
+
+    const refreshed = await this.refresh(openId);
+    return refreshed.access_token;
+  }
+
+  // Refresh an account's tokens (single-flight per account)
+  refresh(openId) {
+    if (!this.inFlight.has(openId)) {
+      const pending = this.performRefresh(openId).then((tokens) => {
+        metrics.tokenRefreshes.inc({ outcome: 'success' });
+        return tokens;
+      }, (error) => {
+        metrics.tokenRefreshes.inc({ outcome: error.code === 'reauth_required' ? 'reauth_required' : 'error' });
+        throw error;
+      }).finally(() => {
+        this.inFlight.delete(openId);
+      });
+      this.inFlight.set(openId, pending);
+    }
+    return this.inFlight.get(openId);
+  }
+
+  async performRefresh(openId) {
+    const tokens = await this.tokenStorage.loadTokens(openId);
+    if (!tokens) {
+      throw accountNotFound(openId);
+    }
+
+    if (tokens.refresh_expires_at && Date.now() >= tokens.refresh_expires_at) {
+      return this.flagReauth(openId, 'refresh token expired');
+    }
+
+    const app = this.appFor(tokens);
+    logger.info('Refreshing TikTok access token', { open_id: openId, app: app.name });
+    let data;
+    let response;
+    try {
+      response = await axios.post(this.tokenUrl(app), new URLSearchParams({
+        client_key: app.clientKey,
+        client_secret: app.clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refresh_token,
+      }), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      data = response.data;
+    } catch (err) {
+      response = err.response;
+      data = err.response?.data;
+      if (!data || !data.error) {
+        const error = new Error(`Token refresh failed for account ${openId}: ${err.message}`);
+        error.status = 502;
+        throw error;
+      }
+    }
+
+    const logId = tiktokLogId(response);
+    if (data.error || !data.access_token) {
+      const reason = data.error_description || data.error || 'no access token returned';
+      logger.warn('TikTok token refresh rejected', { open_id: openId, code: data.error || null, log_id: logId });
+      if (PERMANENT_REFRESH_ERRORS.includes(data.error)) {
+        return this.flagReauth(openId, reason);
+      }
+      const error = new Error(`Token refresh failed for account ${openId}: ${reason}`);
+      error.status = 502;
+      error.logId = logId;
+      throw error;
+    }
+    logger.debug('TikTok token refreshed', { open_id: openId, log_id: logId });
+
+    const now = Date.now();
+    const refreshed = {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token || tokens.refresh_token,
+      expires_at: now + data.expires_in * 1000
+    };
+    if (data.refresh_expires_in) {
+      refreshed.refresh_expires_at = now + data.refresh_expires_in * 1000;
+    }
+    if (data.scope) {
+      refreshed.scopes = parseScopes(data.scope);
+    }
+
+    // TikTok has rotated the refresh token, so a failed write leaves the account without a usable one
+    try {
+      await this.tokenStorage.saveTokens(openId, refreshed);
+    } catch (error) {
+      logger.error('Refreshed tokens could not be stored; the account may need to log in again', { open_id: openId, log_id: logId });
+      throw error;
+    }
+    return refreshed;
+  }
+
+  async flagReauth(openId, reason) {
+    logger.warn('Account needs to log in again', { open_id: openId, reason });
+    await this.tokenStorage.markReauthRequired(openId, reason);
+    throw new ReauthRequiredError(openId, reason);
+  }
+
+  // Wait for a refresh of the account that is already running, so it can't write tokens back afterwards
+  async settle(openId) {
+    await Promise.allSettled([this.inFlight.get(openId)]);
+  }
+
+  // Revoke an account's access with TikTok (oauth/revoke), which also invalidates its refresh token
+  // Stored tokens are left alone; the caller removes them.
+  async revoke(openId) {
+    await this.settle(openId);
+    const tokens = await this.tokenStorage.loadTokens(openId);
+    if (!tokens) {
+      throw accountNotFound(openId);
+    }
+
+    const app = this.appFor(tokens);
+    let data;
+    let response;
+    try {
+      response = await axios.post(this.revokeUrl(app), new URLSearchParams({
+        client_key: app.clientKey,
+        client_secret: app.clientSecret,
+        token: tokens.access_token
+      }), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      data = response.data || {};
+    } catch (err) {
+      response = err.response;
+      data = err.response?.data;
+      if (!data || !data.error) {
+        const error = new Error(`Token revocation failed for account ${openId}: ${err.message}`);
+        error.status = 502;
+        throw error;
+      }
+    }
+
+    if (data.error) {
+      const error = new Error(`Token revocation failed for account ${openId}: ${data.error_description || data.error}`);
+      error.status = 502;
+      error.code = data.error;
+      error.logId = tiktokLogId(response);
+      throw error;
+    }
+    logger.debug('TikTok token revoked', { open_id: openId, log_id: tiktokLogId(response) });
+  }
+
+  // Renew every account whose access token expires within renewBeforeMs
+  async renewExpiring() {
+    const accounts = await this.tokenStorage.listAccounts();
+    const now = Date.now();
+
+    for (const account of accounts) {
+      if (account.reauth_required) {
+        continue;
+      }
+
+      if (account.refresh_expires_at && account.refresh_expires_at - now < 7 * 24 * 60 * 60 * 1000) {
+        logger.warn('Refresh token expires soon; log in again before then', { open_id: account.open_id, refresh_expires_at: new Date(account.refresh_expires_at).toISOString() });
+      }
+
+      if (account.expires_at - now < this.renewBeforeMs) {
+        try {
+          await this.refresh(account.open_id);
+        } catch (error) {
+          logger.error('Background token renewal failed', { open_id: account.open_id, error });
+        }
+      }
+    }
+  }
+
+  // Start background renewal
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.renewExpiring().catch((error) => {
+        logger.error('Background token renewal failed', error);
+      });
+    };
+
+    this.timer = setInterval(tick, this.intervalMs);
+    this.timer.unref();
+    tick();
+  }
+
+  // Stop background renewal and wait for refreshes already running
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled(this.inFlight.values());
+  }
+}
+
+module.exports = TokenRefresher;
+module.exports.ReauthRequiredError = ReauthRequiredError;
@@ -1,106 +1,133 @@
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
+const logger = require('./logger');
 
+// Account token store on top of a storage backend (see ./storage)
+// Records are keyed by TikTok open_id; encryption is handled by the backend.
 class SecureTokenStorage {
-  constructor(encryptionKey, filePath = './tokens.encrypted.json') {
-    this.encryptionKey = encryptionKey || this.generateEncryptionKey();
-    this.filePath = filePath;
-    
-    // Ensure the encryption key is at least 32 bytes for AES-256
-    if (this.encryptionKey.length < 32) {
-      this.encryptionKey = crypto.scryptSync(this.encryptionKey, 'salt', 32).toString('hex');
-    }
-  }
-
-  // Generate a random encryption key if none provided
-  generateEncryptionKey() {
-    return crypto.randomBytes(32).toString('hex');
+  constructor(backend) {
+    this.backend = backend;
   }
 
-  // Encrypt data
-  encrypt(data) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
-    
-    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
+  // Strip tokens from an account record
+  summarize(account) {
     return {
-      iv: iv.toString('hex'),
-      encrypted: encrypted
+      open_id: account.open_id,
+      label: account.label || null,
+      app: account.app || null,
+      expires_at: account.expires_at,
+      refresh_expires_at: account.refresh_expires_at || null,
+      reauth_required: Boolean(account.reauth_required),
+      reauth_reason: account.reauth_reason || null,
+      scopes: account.scopes || null,
+      created_at: account.created_at,
+      updated_at: account.updated_at
     };
   }
 
-  // Decrypt data
-  decrypt(encryptedData) {
-    try {
-      const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
-      
-      let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return JSON.parse(decrypted);
-    } catch (error) {
-      console.error('Decryption failed:', error.message);
-      return null;
+  // List connected accounts without exposing their tokens
+  async listAccounts() {
+    const accounts = await this.backend.list();
+    return accounts.map((account) => this.summarize(account));
+  }
+
+  // Accounts (without tokens) plus the stored records that couldn't be read, for health checks
+  async inspectAccounts() {
+    const { records, unreadable } = await this.backend.inspect();
+    return { accounts: records.map(({ value }) => this.summarize(value)), unreadable };
+  }
+
+  // Get a single account (including tokens) by open_id
+  async getAccount(openId) {
+    return this.backend.get(openId);
+  }
+
+  // Find an account by open_id or label
+  async findAccount(selector) {
+    const account = await this.backend.get(selector);
+    if (account) {
+      return account;
     }
+    const accounts = await this.backend.list();
+    return accounts.find((candidate) => candidate.label === selector) || null;
   }
 
-  // Save tokens to encrypted file
-  saveTokens(tokens) {
+  // Save tokens for an account, keeping its label and creation time
+  // Fresh tokens always clear a pending re-authentication flag
+  // Throws (status 500) when they can't be stored: TikTok has already replaced the old refresh
+  // token by then, so the caller must not carry on as if the account were connected
+  async saveTokens(openId, tokens) {
     try {
-      const encrypted = this.encrypt(tokens);
-      fs.writeFileSync(this.filePath, JSON.stringify(encrypted));
-      console.log('Tokens saved securely');
-      return true;
+      const existing = (await this.backend.get(openId)) || {};
+      const now = Date.now();
+
+      await this.backend.set(openId, {
+        ...existing,
+        reauth_required: false,
+        reauth_reason: null,
+        ...tokens,
+        open_id: openId,
+        label: existing.label || null,
+        created_at: existing.created_at || now,
+        updated_at: now
+      });
     } catch (error) {
-      console.error('Failed to save tokens:', error.message);
+      logger.error('Failed to save tokens', { open_id: openId, error });
+      const err = new Error(`Failed to save tokens for account ${openId}: ${error.message}`);
+      err.status = 500;
+      throw err;
+    }
+  }
+
+  // Load tokens for an account
+  async loadTokens(openId) {
+    return this.getAccount(openId);
+  }
+
+  // Set or clear the human-readable label of an account
+  async setLabel(openId, label) {
+    const account = await this.backend.get(openId);
+    if (!account) {
       return false;
     }
+
+    account.label = label || null;
+    account.updated_at = Date.now();
+    await this.backend.set(openId, account);
+    return true;
   }
 
-  // Load tokens from encrypted file
-  loadTokens() {
-    try {
-      if (!fs.existsSync(this.filePath)) {
-        console.log('No existing tokens found');
-        return null;
-      }
-
-      const encryptedData = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
-      const tokens = this.decrypt(encryptedData);
-      
-      if (tokens) {
-        console.log('Tokens loaded successfully');
-        return tokens;
-      } else {
-        console.log('Failed to decrypt tokens');
-        return null;
-      }
-    } catch (error) {
-      console.error('Failed to load tokens:', error.message);
-      return null;
+  // Flag an account whose refresh token can no longer be used
+  async markReauthRequired(openId, reason) {
+    const account = await this.backend.get(openId);
+    if (!account) {
+      return false;
     }
+
+    account.reauth_required = true;
+    account.reauth_reason = reason;
+    account.updated_at = Date.now();
+    await this.backend.set(openId, account);
+    return true;
   }
 
-  // Clear stored tokens
-  clearTokens() {
+  // Remove a single account
+  async removeAccount(openId) {
+    return this.backend.delete(openId);
+  }
+
+  // Clear stored tokens for every account
+  async clearTokens() {
     try {
-      if (fs.existsSync(this.filePath)) {
-        fs.unlinkSync(this.filePath);
-        console.log('Tokens cleared');
-      }
+      await this.backend.clear();
       return true;
     } catch (error) {
-      console.error('Failed to clear tokens:', error.message);
+      logger.error('Failed to clear tokens', error);
       return false;
     }
   }
 
-  // Check if tokens exist and are valid
-  hasValidTokens() {
-    const tokens = this.loadTokens();
+  // Check if tokens exist and are valid for an account
+  async hasValidTokens(openId) {
+    const tokens = await this.loadTokens(openId);
     if (!tokens || !tokens.access_token) {
       return false;
     }
@@ -109,6 +136,11 @@ class SecureTokenStorage {
     const bufferTime = 5 * 60 * 1000; // 5 minutes
     return Date.now() < (tokens.expires_at - bufferTime);
   }
+
+  // Release the backend's connections
+  async close() {
+    await this.backend.close();
+  }
 }
 
-module.exports = SecureTokenStorage;
\ No newline at end of file
+module.exports = SecureTokenStorage;
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { tiktokLogId } = require('./tiktokClient');
+const metrics = require('./metrics');
+
+// TikTok FILE_UPLOAD chunk rules (https://developers.tiktok.com/doc/content-posting-api-media-transfer-guide)
+// - videos under 5 MB must be sent as a single chunk
+// - chunk_size is 5-64 MB; the final chunk absorbs the remainder and may be up to 128 MB
+// - total_chunk_count is video_size / chunk_size rounded down, at most 1000
+const MB = 1024 * 1024;
+const MIN_CHUNK_SIZE = 5 * MB;
+const MAX_CHUNK_SIZE = 64 * MB;
+const MAX_FINAL_CHUNK_SIZE = 128 * MB;
+const MAX_CHUNK_COUNT = 1000;
+const DEFAULT_CHUNK_SIZE = 10 * MB;
+
+// Upload checkpoints older than this are dropped
+const CHECKPOINT_TTL_MS = 24 * 60 * 60 * 1000;
+// A chunk (up to 128 MB) that takes longer than this is given up and retried
+const CHUNK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+// Work out chunk_size / total_chunk_count and the byte range of every chunk
+function planChunks(fileSize, preferredChunkSize = DEFAULT_CHUNK_SIZE) {
+  if (!fileSize) {
+    throw new Error('Cannot upload an empty file');
+  }
+
+  let chunkSize;
+  if (fileSize < MIN_CHUNK_SIZE || fileSize <= preferredChunkSize) {
+    chunkSize = fileSize;
+  } else {
+    chunkSize = Math.min(Math.max(preferredChunkSize, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+    // Grow chunks until the count fits the limit and the final chunk stays in bounds
+    while (Math.floor(fileSize / chunkSize) > MAX_CHUNK_COUNT && chunkSize < MAX_CHUNK_SIZE) {
+      chunkSize = Math.min(chunkSize * 2, MAX_CHUNK_SIZE);
+    }
+  }
+
+  const totalChunkCount = Math.floor(fileSize / chunkSize);
+  if (totalChunkCount > MAX_CHUNK_COUNT) {
+    throw new Error(`File is too large to upload: ${fileSize} bytes needs more than ${MAX_CHUNK_COUNT} chunks`);
+  }
+
+  const chunks = [];
+  for (let index = 0; index < totalChunkCount; index++) {
+    const start = index * chunkSize;
+    const end = index === totalChunkCount - 1 ? fileSize - 1 : start + chunkSize - 1;
+    chunks.push({ index, start, end });
+  }
+
+  const finalChunkSize = chunks[chunks.length - 1].end - chunks[chunks.length - 1].start + 1;
+  if (totalChunkCount > 1 && finalChunkSize > MAX_FINAL_CHUNK_SIZE) {
+    throw new Error(`Final chunk of ${finalChunkSize} bytes exceeds TikTok's 128 MB limit`);
+  }
+
+  return { chunkSize, totalChunkCount, chunks };
+}
+
+function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'video/mp4';
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Network errors, 5xx and 429 are worth another try; other 4xx are not
+function isRetryable(err) {
+  if (!err.response) {
+    return true;
+  }
+  return err.response.status >= 500 || err.response.status === 429;
+}
+
+// Streams a file to TikTok's upload_url chunk by chunk, retrying failed chunks with
+// backoff and checkpointing progress so an interrupted upload can be resumed
+class UploadEngine {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.chunkTimeoutMs = options.chunkTimeoutMs ?? CHUNK_TIMEOUT_MS;
+    this.running = new Map();
+  }
+
+  // Start uploading a file to an upload_url returned by a TikTok init call
+  // removeFileWhenDone: delete the file once uploaded or abandoned (managed temp files)
+  // onCheckpoint: async (uploadId) => void, called once the checkpoint is stored, before any chunk is sent
+  async start({ openId, kind, publishId, uploadUrl, filePath, plan, removeFileWhenDone = false, onCheckpoint }) {
+    await this.prune();
+
+    const stats = await fs.promises.stat(filePath);
+    const checkpoint = {
+      id: crypto.randomUUID(),
+      open_id: openId,
+      kind,
+      publish_id: publishId,
+      upload_url: uploadUrl,
+      file_path: filePath,
+      file_size: stats.size,
+      file_mtime: stats.mtimeMs,
+      remove_file_when_done: removeFileWhenDone,
+      content_type: contentTypeFor(filePath),
+      chunk_size: plan.chunkSize,
+      total_chunk_count: plan.totalChunkCount,
+      completed_chunks: [],
+      status: 'uploading',
+      attempts: 0,
+      last_error: null,
+      created_at: Date.now(),
+      updated_at: Date.now()
+    };
+    await this.store.set(checkpoint.id, checkpoint);
+    if (onCheckpoint) {
+      await onCheckpoint(checkpoint.id);
+    }
+
+    return this.run(checkpoint);
+  }
+
+  // Continue an interrupted or failed upload from its last completed chunk
+  async resume(uploadId) {
+    const checkpoint = await this.store.get(uploadId);
+    if (!checkpoint) {
+      const error = new Error(`Upload not found: ${uploadId}`);
+      error.status = 404;
+      throw error;
+    }
+    if (checkpoint.status === 'completed') {
+      return checkpoint;
+    }
+    if (this.running.has(uploadId)) {
+      return this.running.get(uploadId);
+    }
+
+    const stats = await fs.promises.stat(checkpoint.file_path).catch(() => null);
+    if (!stats || stats.size !== checkpoint.file_size || stats.mtimeMs !== checkpoint.file_mtime) {
+      const error = new Error('The file changed or disappeared since the upload started; start a new upload');
+      error.status = 409;
+      throw error;
+    }
+
+    return this.run({ ...checkpoint, status: 'uploading', last_error: null });
+  }
+
+  async get(uploadId) {
+    return this.store.get(uploadId);
+  }
+
+  run(checkpoint) {
+    const pending = this.uploadChunks(checkpoint).finally(() => {
+      this.running.delete(checkpoint.id);
+    });
+    this.running.set(checkpoint.id, pending);
+    return pending;
+  }
+
+  async uploadChunks(checkpoint) {
+    const { chunks } = planChunks(checkpoint.file_size, checkpoint.chunk_size);
+    const completed = new Set(checkpoint.completed_chunks);
+    const kind = { kind: checkpoint.kind };
+    const startedAt = process.hrtime.bigint();
+
+    for (const chunk of chunks) {
+      if (completed.has(chunk.index)) {
+        continue;
+      }
+
+      let logId;
+      const chunkStartedAt = process.hrtime.bigint();
+      try {
+        logId = tiktokLogId(await this.uploadChunkWithRetry(checkpoint, chunk));
+      } catch (err) {
+        metrics.uploads.inc({ ...kind, outcome: 'failed' });
+        metrics.uploadDuration.observeSince(kind, startedAt);
+        checkpoint.status = 'failed';
+        checkpoint.last_error = err.response ? `HTTP ${err.response.status}` : err.message;
+        checkpoint.updated_at = Date.now();
+        await this.store.set(checkpoint.id, checkpoint);
+
+        const error = new Error(`Upload of chunk ${chunk.index + 1}/${chunks.length} failed: ${checkpoint.last_error}`);
+        error.status = 502;
+        error.uploadId = checkpoint.id;
+        error.response = err.response;
+        throw error;
+      }
+
+      metrics.uploadBytes.inc(kind, chunk.end - chunk.start + 1);
+      metrics.uploadChunkDuration.observeSince(kind, chunkStartedAt);
+      completed.add(chunk.index);
+      checkpoint.completed_chunks = Array.from(completed).sort((a, b) => a - b);
+      checkpoint.updated_at = Date.now();
+      await this.store.set(checkpoint.id, checkpoint);
+      logger.debug('Uploaded chunk', { upload_id: checkpoint.id, publish_id: checkpoint.publish_id, chunk: chunk.index + 1, chunks: chunks.length, log_id: logId });
+    }
+
+    checkpoint.status = 'completed';
+    checkpoint.updated_at = Date.now();
+    await this.store.set(checkpoint.id, checkpoint);
+    metrics.uploads.inc({ ...kind, outcome: 'completed' });
+    metrics.uploadDuration.observeSince(kind, startedAt);
+    await this.removeFile(checkpoint);
+    return checkpoint;
+  }
+
+  async uploadChunkWithRetry(checkpoint, chunk) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.uploadChunk(checkpoint, chunk);
+      } catch (err) {
+        checkpoint.attempts += 1;
+        if (attempt >= this.maxRetries || !isRetryable(err)) {
+          throw err;
+        }
+
+        const retryAfter = Number(err.response?.headers?.['retry-after']);
+        const delay = retryAfter > 0
+          ? retryAfter * 1000
+          : this.baseDelayMs * 2 ** attempt + Math.floor(Math.random() * this.baseDelayMs);
+        logger.warn('Chunk upload failed, retrying', { upload_id: checkpoint.id, chunk: chunk.index + 1, status: err.response ? err.response.status : null, log_id: tiktokLogId(err.response), error: err.message, retry_in_ms: delay });
+        await sleep(delay);
+      }
+    }
+  }
+
+  uploadChunk(checkpoint, chunk) {
+    const length = chunk.end - chunk.start + 1;
+    return axios.put(checkpoint.upload_url, fs.createReadStream(checkpoint.file_path, { start: chunk.start, end: chunk.end }), {
+      headers: {
+        'Content-Range': `bytes ${chunk.start}-${chunk.end}/${checkpoint.file_size}`,
+        'Content-Type': checkpoint.content_type,
+        'Content-Length': length
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: this.chunkTimeoutMs
+    });
+  }
+
+  // Drop checkpoints past their TTL (TikTok's upload_url is long expired by then)
+  async prune() {
+    const cutoff = Date.now() - CHECKPOINT_TTL_MS;
+    for (const checkpoint of await this.store.list()) {
+      if (checkpoint.updated_at < cutoff && !this.running.has(checkpoint.id)) {
+        await this.removeFile(checkpoint);
+        await this.store.delete(checkpoint.id);
+      }
+    }
+  }
+
+  async removeFile(checkpoint) {
+    if (checkpoint.remove_file_when_done) {
+      await fs.promises.rm(checkpoint.file_path, { force: true }).catch((error) => {
+        logger.error('Failed to remove uploaded file', { file: checkpoint.file_path, error });
+      });
+    }
+  }
+
+  // Wait for uploads that are still running
+  async drain() {
+    await Promise.allSettled(this.running.values());
+  }
+}
+
+module.exports = UploadEngine;
+module.exports.planChunks = planChunks;
@@ -0,0 +1,178 @@
+const { missingScopes } = require('./scopes');
+const logger = require('./logger');
+
+// TikTok Display API (scope video.list): the account's own videos and their counts
+
+// Fields video/list and video/query can return
+const VIDEO_FIELDS = [
+  'id', 'create_time', 'cover_image_url', 'share_url', 'video_description', 'duration', 'height', 'width',
+  'title', 'embed_html', 'embed_link', 'like_count', 'comment_count', 'share_count', 'view_count'
+];
+const DEFAULT_FIELDS = ['id', 'title', 'create_time', 'cover_image_url', 'share_url', 'duration', 'view_count', 'like_count', 'comment_count', 'share_count'];
+const METRIC_FIELDS = ['id', 'title', 'create_time', 'share_url', 'view_count', 'like_count', 'comment_count', 'share_count'];
+// TikTok returns at most 20 videos per call
+const MAX_VIDEOS_PER_CALL = 20;
+
+function videoError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Validated field selection (comma-separated string or list), defaulting to DEFAULT_FIELDS
+function parseFields(fields) {
+  if (fields === undefined || fields === '') {
+    return DEFAULT_FIELDS;
+  }
+  const list = (Array.isArray(fields) ? fields : String(fields).split(',')).map((field) => String(field).trim()).filter(Boolean);
+  const unknown = list.filter((field) => !VIDEO_FIELDS.includes(field));
+  if (list.length === 0 || unknown.length > 0) {
+    throw videoError(400, `Unknown video field(s): ${unknown.join(', ') || '(none given)'}. Available: ${VIDEO_FIELDS.join(', ')}`);
+  }
+  return Array.from(new Set(['id', ...list]));
+}
+
+// Validated video ids for video/query (1-20, as strings)
+function parseVideoIds(ids) {
+  const list = (Array.isArray(ids) ? ids : String(ids || '').split(',')).map((id) => String(id).trim()).filter(Boolean);
+  if (list.length === 0 || list.length > MAX_VIDEOS_PER_CALL) {
+    throw videoError(400, `video_ids must list 1 to ${MAX_VIDEOS_PER_CALL} video ids`);
+  }
+  if (!list.every((id) => /^\d+$/.test(id))) {
+    throw videoError(400, 'video_ids must be numeric TikTok video ids');
+  }
+  return list;
+}
+
+// One page of the account's videos, newest first
+async function listVideos(tiktok, openId, { fields = DEFAULT_FIELDS, cursor, maxCount = MAX_VIDEOS_PER_CALL } = {}) {
+  const body = await tiktok.post('/v2/video/list/', {
+    max_count: maxCount,
+    ...(cursor !== undefined && cursor !== null && { cursor: Number(cursor) })
+  }, { openId, idempotent: true, params: { fields: fields.join(',') } });
+  const data = body.data || {};
+  return { videos: data.videos || [], cursor: data.cursor, has_more: Boolean(data.has_more) };
+}
+
+async function queryVideos(tiktok, openId, videoIds, { fields = DEFAULT_FIELDS } = {}) {
+  const body = await tiktok.post('/v2/video/query/', {
+    filters: { video_ids: videoIds }
+  }, { openId, idempotent: true, params: { fields: fields.join(',') } });
+  return (body.data && body.data.videos) || [];
+}
+
+// Periodic snapshots of view/like/comment/share counts into the warehouse
+// Each run covers the account's most recent videos (up to maxVideos) plus every video posted
+// through a publish job, so their growth after posting can be followed via the publish_id.
+class VideoMetricsSnapshotter {
+  constructor(warehouse, { tiktok, tokenStorage, publishQueue, maxVideos = 100, intervalMs = 60 * 60 * 1000 }) {
+    this.warehouse = warehouse;
+    this.tiktok = tiktok;
+    this.tokenStorage = tokenStorage;
+    this.publishQueue = publishQueue;
+    this.maxVideos = maxVideos;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = null;
+  }
+
+  // Link finished publish jobs to the video ids TikTok assigned
+  async linkPublishedVideos(openId) {
+    const jobs = await this.publishQueue.list({ status: 'completed', openId });
+    for (const job of jobs) {
+      const postIds = (job.result && job.result.publicaly_available_post_id) || [];
+      for (const videoId of postIds) {
+        this.warehouse.linkPublishedVideo(openId, videoId, { publishId: job.publish_id, jobId: job.id });
+      }
+    }
+  }
+
+  async snapshotAccount(openId) {
+    const capturedAt = Date.now();
+    await this.linkPublishedVideos(openId);
+
+    const seen = new Set();
+    let cursor;
+    while (seen.size < this.maxVideos) {
+      const page = await listVideos(this.tiktok, openId, { fields: METRIC_FIELDS, cursor });
+      for (const video of page.videos) {
+        this.warehouse.saveVideoSnapshot(openId, video, capturedAt);
+        seen.add(String(video.id));
+      }
+      if (!page.has_more || page.videos.length === 0) {
+        break;
+      }
+      cursor = page.cursor;
+    }
+
+    // Published videos older than the recent list are looked up by id
+    const missing = this.warehouse.publishedVideoIds(openId).filter((id) => !seen.has(id));
+    for (let i = 0; i < missing.length; i += MAX_VIDEOS_PER_CALL) {
+      const videos = await queryVideos(this.tiktok, openId, missing.slice(i, i + MAX_VIDEOS_PER_CALL), { fields: METRIC_FIELDS });
+      for (const video of videos) {
+        this.warehouse.saveVideoSnapshot(openId, video, capturedAt);
+        seen.add(String(video.id));
+      }
+    }
+
+    logger.info('Video metrics snapshot taken', { open_id: openId, videos: seen.size });
+    return { open_id: openId, captured_at: capturedAt, videos: seen.size };
+  }
+
+  // Snapshot every connected account that doesn't need to log in again; one run at a time
+  snapshotAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        const results = [];
+        for (const account of await this.tokenStorage.listAccounts()) {
+          // Accounts that haven't granted video.list can't be read
+          if (account.reauth_required || missingScopes(account, ['video.list']).length > 0) {
+            continue;
+          }
+          try {
+            results.push(await this.snapshotAccount(account.open_id));
+          } catch (err) {
+            logger.error('Video metrics snapshot failed', { open_id: account.open_id, error: err });
+            results.push({ open_id: account.open_id, error: err.message });
+          }
+        }
+        return results;
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.snapshotAll().catch((error) => {
+        logger.error('Video metrics snapshot failed', error);
+      });
+    };
+
+    this.timer = setInterval(tick, this.intervalMs);
+    this.timer.unref();
+    tick();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.resolve(this.running).catch(() => {});
+  }
+}
+
+module.exports = {
+  VideoMetricsSnapshotter,
+  listVideos,
+  queryVideos,
+  parseFields,
+  parseVideoIds,
+  VIDEO_FIELDS,
+  MAX_VIDEOS_PER_CALL
+};
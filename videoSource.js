@@ -0,0 +1,313 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const Busboy = require('busboy');
+const { planChunks } = require('./uploadEngine');
+const logger = require('./logger');
+const config = require('./config');
+
+// Where multipart uploads are stored until they have been sent to TikTok
+const TEMP_DIR = config.uploads.tmpDir || path.join(os.tmpdir(), 'tiktok-oauth2-uploads');
+// TikTok accepts videos up to 4 GB (MAX_UPLOAD_BYTES)
+const MAX_UPLOAD_BYTES = config.uploads.maxBytes;
+// Temp files older than this are removed (resumable uploads are dropped after 24 hours as well)
+const TEMP_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+// Uploads for scheduled posts wait here until they are published or cancelled (never pruned)
+const HELD_DIR = path.join(TEMP_DIR, 'scheduled');
+
+function sourceError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Remove a temp file; missing files are fine
+async function removeTempFile(filePath) {
+  await fs.promises.rm(filePath, { force: true }).catch((error) => {
+    logger.error('Failed to remove temp file', { file: filePath, error });
+  });
+}
+
+// Delete abandoned temp files
+async function pruneTempDir() {
+  const entries = await fs.promises.readdir(TEMP_DIR).catch(() => []);
+  const cutoff = Date.now() - TEMP_FILE_TTL_MS;
+  for (const entry of entries) {
+    const filePath = path.join(TEMP_DIR, entry);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && stats.isFile() && stats.mtimeMs < cutoff) {
+      await removeTempFile(filePath);
+    }
+  }
+}
+
+// Move a multipart upload out of the pruned temp area, for posts scheduled past the temp TTL
+// The source is updated in place and still removed once its upload is done
+async function holdTempFile(source) {
+  if (!source.tempFile) {
+    return source;
+  }
+
+  await fs.promises.mkdir(HELD_DIR, { recursive: true });
+  const heldPath = path.join(HELD_DIR, path.basename(source.filePath));
+  await fs.promises.rename(source.filePath, heldPath);
+  source.filePath = heldPath;
+  return source;
+}
+
+// Stream a multipart/form-data request to the temp area
+// The video goes in a file field named "video"; every other field becomes req.body
+// A client that disconnects mid-upload rejects the promise and its partial file is removed.
+function saveMultipartUpload(req) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (error) {
+      reject(sourceError(400, `Invalid multipart request: ${error.message}`));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let fileStream = null;
+    let failure = null;
+    let settled = false;
+    let writing = Promise.resolve();
+
+    // Wait for the temp file to be written (or abandoned), then settle once
+    async function settle() {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      try {
+        await writing;
+      } catch (error) {
+        failure = failure || error;
+      }
+
+      if (failure) {
+        if (file) {
+          await removeTempFile(file.path);
+        }
+        reject(failure);
+        return;
+      }
+      resolve({ fields, file });
+    }
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('file', (name, stream, info) => {
+      if (name !== 'video') {
+        stream.resume();
+        return;
+      }
+
+      const filePath = path.join(TEMP_DIR, `${crypto.randomUUID()}${path.extname(info.filename || '') || '.mp4'}`);
+      file = { path: filePath, name: info.filename, mime_type: info.mimeType, size: 0 };
+      fileStream = stream;
+
+      stream.on('data', (data) => {
+        file.size += data.length;
+      });
+      stream.on('limit', () => {
+        failure = sourceError(413, `Video exceeds the ${MAX_UPLOAD_BYTES} byte upload limit`);
+      });
+
+      writing = new Promise((done, fail) => {
+        pipeline(stream, fs.createWriteStream(filePath), (error) => (error ? fail(error) : done()));
+      });
+    });
+
+    busboy.on('error', (error) => {
+      failure = failure || sourceError(400, `Invalid multipart request: ${error.message}`);
+    });
+
+    busboy.on('close', settle);
+
+    // The request ends without its last bytes when the client goes away; busboy would wait forever
+    req.on('close', () => {
+      if (req.complete || settled) {
+        return;
+      }
+      failure = sourceError(400, 'Client disconnected before the upload finished');
+      req.unpipe(busboy);
+      if (fileStream) {
+        fileStream.destroy();
+      }
+      busboy.destroy();
+      settle();
+    });
+
+    fs.promises.mkdir(TEMP_DIR, { recursive: true })
+      .then(() => req.pipe(busboy))
+      .catch(reject);
+  });
+}
+
+// Work out where the video comes from. Exactly one of:
+//   file_path - a file on this server's disk          -> FILE_UPLOAD
+//   video_url - a URL TikTok fetches itself           -> PULL_FROM_URL (domain must be verified with TikTok)
+//   multipart - a "video" file field in the request   -> FILE_UPLOAD from a managed temp file
+// For multipart requests the other form fields are copied onto req.body.
+async function receiveVideoSource(req) {
+  if (req.is('multipart/form-data')) {
+    pruneTempDir();
+    const { fields, file } = await saveMultipartUpload(req);
+    req.body = fields;
+
+    if (!file || file.size === 0) {
+      if (file) {
+        await removeTempFile(file.path);
+      }
+      throw sourceError(400, 'multipart requests need a non-empty "video" file field');
+    }
+
+    return {
+      type: 'FILE_UPLOAD',
+      origin: 'multipart',
+      filePath: file.path,
+      fileName: file.name,
+      tempFile: true
+    };
+  }
+
+  const { file_path, video_url } = req.body || {};
+  if (file_path && video_url) {
+    throw sourceError(400, 'Provide either file_path or video_url, not both');
+  }
+
+  if (video_url) {
+    let url;
+    try {
+      url = new URL(video_url);
+    } catch (error) {
+      throw sourceError(400, 'video_url must be a valid URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw sourceError(400, 'video_url must be an http(s) URL');
+    }
+    return { type: 'PULL_FROM_URL', origin: 'video_url', videoUrl: url.toString() };
+  }
+
+  if (file_path) {
+    if (!fs.existsSync(file_path)) {
+      throw sourceError(400, 'File not found at specified path');
+    }
+    return { type: 'FILE_UPLOAD', origin: 'file_path', filePath: file_path, tempFile: false };
+  }
+
+  throw sourceError(400, 'A video source is required: file_path, video_url, or a multipart "video" file');
+}
+
+// Build TikTok's source_info for a video source (and the chunk plan for FILE_UPLOAD)
+async function prepareSourceInfo(source) {
+  if (source.type === 'PULL_FROM_URL') {
+    return {
+      sourceInfo: { source: 'PULL_FROM_URL', video_url: source.videoUrl },
+      plan: null,
+      fileSize: null
+    };
+  }
+
+  const stats = await fs.promises.stat(source.filePath);
+  const plan = planChunks(stats.size); // 10MB chunks, within TikTok's chunk rules
+  return {
+    sourceInfo: {
+      source: 'FILE_UPLOAD',
+      video_size: stats.size,
+      chunk_size: plan.chunkSize,
+      total_chunk_count: plan.totalChunkCount
+    },
+    plan,
+    fileSize: stats.size
+  };
+}
+
+// Find a box of the given type between two offsets of an MP4/MOV (ISO BMFF) file
+async function findBox(handle, start, end, type) {
+  const header = Buffer.alloc(16);
+  let offset = start;
+  while (offset + 8 <= end) {
+    await handle.read(header, 0, 16, offset);
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) {
+      return null;
+    }
+
+    if (header.toString('latin1', 4, 8) === type) {
+      return { dataStart: offset + headerSize, end: offset + size };
+    }
+    offset += size;
+  }
+  return null;
+}
+
+// Read a video's duration (seconds) from the moov/mvhd box; null when it can't be determined
+async function probeDurationSec(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const moov = await findBox(handle, 0, size, 'moov');
+    const mvhd = moov && await findBox(handle, moov.dataStart, moov.end, 'mvhd');
+    if (!mvhd) {
+      return null;
+    }
+
+    const data = Buffer.alloc(32);
+    await handle.read(data, 0, 32, mvhd.dataStart);
+    const version = data[0];
+    const timescale = data.readUInt32BE(version === 1 ? 20 : 12);
+    const duration = version === 1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+    return timescale ? duration / timescale : null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+// file_info block for route responses
+function describeSource(source, fileSize, plan) {
+  if (source.type === 'PULL_FROM_URL') {
+    return { source: source.type, origin: source.origin, video_url: source.videoUrl };
+  }
+
+  return {
+    source: source.type,
+    origin: source.origin,
+    path: source.tempFile ? undefined : source.filePath,
+    name: source.fileName,
+    size: fileSize,
+    size_mb: (fileSize / 1024 / 1024).toFixed(2),
+    chunk_size: plan.chunkSize,
+    total_chunk_count: plan.totalChunkCount
+  };
+}
+
+module.exports = {
+  receiveVideoSource,
+  prepareSourceInfo,
+  probeDurationSec,
+  describeSource,
+  removeTempFile,
+  holdTempFile,
+  pruneTempDir,
+  TEMP_DIR
+};
@@ -0,0 +1,384 @@
+const requireOptional = require('./storage/requireOptional');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metrics the top lists can be ranked by
+const PRODUCT_METRICS = ['gmv', 'units_sold', 'views'];
+const CREATOR_METRICS = ['gmv', 'commission', 'orders'];
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return formatDate(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+}
+
+// First numeric value among a record's fields ("12.50", 12.5 and { amount: "12.50" } all count)
+function pickNumber(record, ...keys) {
+  for (const key of keys) {
+    let value = record[key];
+    if (value && typeof value === 'object') {
+      value = value.amount !== undefined ? value.amount : value.value;
+    }
+    const number = Number(value);
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(number)) {
+      return number;
+    }
+  }
+  return 0;
+}
+
+function pickString(record, ...keys) {
+  for (const key of keys) {
+    if (record[key] !== undefined && record[key] !== null && record[key] !== '') {
+      return String(record[key]);
+    }
+  }
+  return null;
+}
+
+// Day a record belongs to: its own date field, its create_time (unix seconds), or the fallback
+function recordDate(record, fallback) {
+  const date = pickString(record, 'date', 'stat_date', 'order_date');
+  if (date && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const time = pickNumber(record, 'create_time', 'order_create_time');
+  return time > 0 ? formatDate(time * 1000) : fallback;
+}
+
+// Local SQLite copy of shop/affiliate analytics, keyed by account and date,
+// plus snapshots of each video's counts over time
+// Rows are upserted, so re-fetching a day replaces it; the raw TikTok record is kept next to
+// the columns used for aggregates. The database is opened on first use.
+class AnalyticsWarehouse {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    const Database = requireOptional('better-sqlite3', 'The analytics warehouse');
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS seller_daily (
+        open_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        gmv REAL NOT NULL,
+        commission REAL NOT NULL,
+        orders INTEGER NOT NULL,
+        raw TEXT NOT NULL,
+        PRIMARY KEY (open_id, date)
+      );
+      CREATE TABLE IF NOT EXISTS creator_orders (
+        open_id TEXT NOT NULL,
+        order_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        creator_id TEXT,
+        product_id TEXT,
+        gmv REAL NOT NULL,
+        commission REAL NOT NULL,
+        raw TEXT NOT NULL,
+        PRIMARY KEY (open_id, order_id)
+      );
+      CREATE INDEX IF NOT EXISTS creator_orders_by_date ON creator_orders (open_id, date);
+      CREATE TABLE IF NOT EXISTS product_daily (
+        open_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        gmv REAL NOT NULL,
+        units_sold INTEGER NOT NULL,
+        views INTEGER NOT NULL,
+        raw TEXT NOT NULL,
+        PRIMARY KEY (open_id, product_id, date)
+      );
+      CREATE TABLE IF NOT EXISTS creator_content (
+        open_id TEXT NOT NULL,
+        creator_id TEXT NOT NULL,
+        video_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        views INTEGER NOT NULL,
+        gmv REAL NOT NULL,
+        raw TEXT NOT NULL,
+        PRIMARY KEY (open_id, creator_id, video_id, date)
+      );
+      CREATE TABLE IF NOT EXISTS videos (
+        open_id TEXT NOT NULL,
+        video_id TEXT NOT NULL,
+        publish_id TEXT,
+        job_id TEXT,
+        title TEXT,
+        share_url TEXT,
+        create_time INTEGER,
+        first_seen_at INTEGER NOT NULL,
+        PRIMARY KEY (open_id, video_id)
+      );
+      CREATE INDEX IF NOT EXISTS videos_by_publish_id ON videos (publish_id);
+      CREATE TABLE IF NOT EXISTS video_snapshots (
+        open_id TEXT NOT NULL,
+        video_id TEXT NOT NULL,
+        captured_at INTEGER NOT NULL,
+        view_count INTEGER NOT NULL,
+        like_count INTEGER NOT NULL,
+        comment_count INTEGER NOT NULL,
+        share_count INTEGER NOT NULL,
+        PRIMARY KEY (open_id, video_id, captured_at)
+      );
+      CREATE TABLE IF NOT EXISTS sync_state (
+        open_id TEXT NOT NULL,
+        dataset TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        synced_through TEXT NOT NULL,
+        synced_at INTEGER NOT NULL,
+        PRIMARY KEY (open_id, dataset, scope)
+      );
+    `);
+
+    this.statements = {
+      sellerDaily: db.prepare(`
+        INSERT INTO seller_daily (open_id, date, gmv, commission, orders, raw) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, date) DO UPDATE SET
+          gmv = excluded.gmv, commission = excluded.commission, orders = excluded.orders, raw = excluded.raw
+      `),
+      creatorOrder: db.prepare(`
+        INSERT INTO creator_orders (open_id, order_id, date, creator_id, product_id, gmv, commission, raw) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, order_id) DO UPDATE SET
+          date = excluded.date, creator_id = excluded.creator_id, product_id = excluded.product_id,
+          gmv = excluded.gmv, commission = excluded.commission, raw = excluded.raw
+      `),
+      productDaily: db.prepare(`
+        INSERT INTO product_daily (open_id, product_id, date, gmv, units_sold, views, raw) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, product_id, date) DO UPDATE SET
+          gmv = excluded.gmv, units_sold = excluded.units_sold, views = excluded.views, raw = excluded.raw
+      `),
+      creatorContent: db.prepare(`
+        INSERT INTO creator_content (open_id, creator_id, video_id, date, views, gmv, raw) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, creator_id, video_id, date) DO UPDATE SET
+          views = excluded.views, gmv = excluded.gmv, raw = excluded.raw
+      `),
+      video: db.prepare(`
+        INSERT INTO videos (open_id, video_id, title, share_url, create_time, first_seen_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, video_id) DO UPDATE SET
+          title = COALESCE(excluded.title, title), share_url = COALESCE(excluded.share_url, share_url),
+          create_time = COALESCE(excluded.create_time, create_time)
+      `),
+      linkVideo: db.prepare(`
+        INSERT INTO videos (open_id, video_id, publish_id, job_id, first_seen_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, video_id) DO UPDATE SET publish_id = excluded.publish_id, job_id = excluded.job_id
+      `),
+      videoSnapshot: db.prepare(`
+        INSERT OR REPLACE INTO video_snapshots (open_id, video_id, captured_at, view_count, like_count, comment_count, share_count)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getSyncState: db.prepare('SELECT synced_through FROM sync_state WHERE open_id = ? AND dataset = ? AND scope = ?'),
+      setSyncState: db.prepare(`
+        INSERT INTO sync_state (open_id, dataset, scope, synced_through, synced_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (open_id, dataset, scope) DO UPDATE SET synced_through = excluded.synced_through, synced_at = excluded.synced_at
+      `)
+    };
+    this.db = db;
+    return db;
+  }
+
+  // Store one page of records from a dataset; window is the { start_date, end_date } they were fetched for
+  saveRecords(dataset, openId, records, { window, scope }) {
+    this.open();
+    const save = this.db.transaction(() => {
+      for (const record of records) {
+        const date = recordDate(record, window.start_date);
+        const raw = JSON.stringify(record);
+        if (dataset === 'seller_analytics') {
+          this.statements.sellerDaily.run(openId, date,
+            pickNumber(record, 'gmv', 'total_gmv'),
+            pickNumber(record, 'commission', 'total_commission', 'estimated_commission'),
+            pickNumber(record, 'orders', 'order_count', 'total_orders'),
+            raw);
+        } else if (dataset === 'creator_orders') {
+          const orderId = pickString(record, 'order_id', 'id');
+          if (!orderId) {
+            continue;
+          }
+          this.statements.creatorOrder.run(openId, orderId, date,
+            pickString(record, 'creator_id', 'creator_open_id'),
+            pickString(record, 'product_id'),
+            pickNumber(record, 'gmv', 'order_amount', 'payment_amount'),
+            pickNumber(record, 'commission', 'estimated_commission', 'actual_commission'),
+            raw);
+        } else if (dataset === 'product_performance') {
+          this.statements.productDaily.run(openId, scope, date,
+            pickNumber(record, 'gmv', 'total_gmv'),
+            pickNumber(record, 'units_sold', 'sold_count', 'units'),
+            pickNumber(record, 'views', 'view_count', 'impressions'),
+            raw);
+        } else if (dataset === 'creator_content') {
+          const videoId = pickString(record, 'video_id', 'id');
+          if (!videoId) {
+            continue;
+          }
+          this.statements.creatorContent.run(openId, scope, videoId, date,
+            pickNumber(record, 'views', 'view_count', 'play_count'),
+            pickNumber(record, 'gmv', 'total_gmv'),
+            raw);
+        }
+      }
+    });
+    save();
+  }
+
+  // Last day a dataset (for one product/creator scope) was synced through, or null
+  syncedThrough(openId, dataset, scope = '') {
+    this.open();
+    const row = this.statements.getSyncState.get(openId, dataset, scope);
+    return row ? row.synced_through : null;
+  }
+
+  markSynced(openId, dataset, scope, syncedThrough) {
+    this.open();
+    this.statements.setSyncState.run(openId, dataset, scope || '', syncedThrough, Date.now());
+  }
+
+  syncState(openId) {
+    this.open();
+    return this.db.prepare(`
+      SELECT open_id, dataset, scope, synced_through, synced_at FROM sync_state
+      WHERE (? IS NULL OR open_id = ?) ORDER BY open_id, dataset, scope
+    `).all(openId || null, openId || null);
+  }
+
+  // Creators and products already seen for an account (their per-item datasets are synced too)
+  knownCreators(openId) {
+    this.open();
+    return this.db.prepare(`
+      SELECT DISTINCT creator_id FROM creator_orders WHERE open_id = ? AND creator_id IS NOT NULL
+    `).all(openId).map((row) => row.creator_id);
+  }
+
+  // Record a video's current counts (a Display API video object)
+  saveVideoSnapshot(openId, video, capturedAt = Date.now()) {
+    this.open();
+    const videoId = String(video.id);
+    this.db.transaction(() => {
+      this.statements.video.run(openId, videoId,
+        pickString(video, 'title', 'video_description'),
+        pickString(video, 'share_url'),
+        pickNumber(video, 'create_time') || null,
+        capturedAt);
+      this.statements.videoSnapshot.run(openId, videoId, capturedAt,
+        pickNumber(video, 'view_count'),
+        pickNumber(video, 'like_count'),
+        pickNumber(video, 'comment_count'),
+        pickNumber(video, 'share_count'));
+    })();
+  }
+
+  // Tie a video to the publish job (and TikTok publish_id) that posted it
+  linkPublishedVideo(openId, videoId, { publishId, jobId }) {
+    this.open();
+    this.statements.linkVideo.run(openId, String(videoId), publishId, jobId || null, Date.now());
+  }
+
+  // Videos posted through this server, whose growth is tracked even when they drop out of the recent list
+  publishedVideoIds(openId) {
+    this.open();
+    return this.db.prepare('SELECT video_id FROM videos WHERE open_id = ? AND publish_id IS NOT NULL')
+      .all(openId).map((row) => row.video_id);
+  }
+
+  findVideoByPublishId(publishId) {
+    this.open();
+    return this.db.prepare('SELECT * FROM videos WHERE publish_id = ?').get(publishId) || null;
+  }
+
+  // A video and its snapshots over time, oldest first
+  videoMetrics(openId, videoId) {
+    this.open();
+    const video = this.db.prepare('SELECT * FROM videos WHERE open_id = ? AND video_id = ?').get(openId, videoId);
+    if (!video) {
+      return null;
+    }
+    const snapshots = this.db.prepare(`
+      SELECT captured_at, view_count, like_count, comment_count, share_count FROM video_snapshots
+      WHERE open_id = ? AND video_id = ? ORDER BY captured_at
+    `).all(openId, videoId);
+    return { video, snapshots };
+  }
+
+  // GMV, commission and orders per day
+  gmvByDay(openId, { start_date, end_date }) {
+    this.open();
+    return this.db.prepare(`
+      SELECT date, gmv, commission, orders FROM seller_daily
+      WHERE open_id = ? AND date BETWEEN ? AND ? ORDER BY date
+    `).all(openId, start_date, end_date);
+  }
+
+  topProducts(openId, { start_date, end_date }, { metric = 'gmv', limit = 10 } = {}) {
+    if (!PRODUCT_METRICS.includes(metric)) {
+      throw new Error(`Unknown product metric: ${metric}`);
+    }
+    this.open();
+    return this.db.prepare(`
+      SELECT product_id, SUM(gmv) AS gmv, SUM(units_sold) AS units_sold, SUM(views) AS views
+      FROM product_daily WHERE open_id = ? AND date BETWEEN ? AND ?
+      GROUP BY product_id ORDER BY ${metric} DESC LIMIT ?
+    `).all(openId, start_date, end_date, limit);
+  }
+
+  topCreators(openId, { start_date, end_date }, { metric = 'gmv', limit = 10 } = {}) {
+    if (!CREATOR_METRICS.includes(metric)) {
+      throw new Error(`Unknown creator metric: ${metric}`);
+    }
+    this.open();
+    return this.db.prepare(`
+      SELECT creator_id, SUM(gmv) AS gmv, SUM(commission) AS commission, COUNT(*) AS orders
+      FROM creator_orders WHERE open_id = ? AND creator_id IS NOT NULL AND date BETWEEN ? AND ?
+      GROUP BY creator_id ORDER BY ${metric} DESC LIMIT ?
+    `).all(openId, start_date, end_date, limit);
+  }
+
+  totals(openId, { start_date, end_date }) {
+    this.open();
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(gmv), 0) AS gmv, COALESCE(SUM(commission), 0) AS commission, COALESCE(SUM(orders), 0) AS orders
+      FROM seller_daily WHERE open_id = ? AND date BETWEEN ? AND ?
+    `).get(openId, start_date, end_date);
+  }
+
+  // Totals for a range against the period of the same length right before it
+  comparePeriods(openId, range) {
+    const days = (Date.parse(range.end_date) - Date.parse(range.start_date)) / DAY_MS + 1;
+    const previous = { start_date: addDays(range.start_date, -days), end_date: addDays(range.start_date, -1) };
+    const current = this.totals(openId, range);
+    const before = this.totals(openId, previous);
+
+    const deltas = {};
+    for (const metric of Object.keys(current)) {
+      deltas[metric] = {
+        current: current[metric],
+        previous: before[metric],
+        change: current[metric] - before[metric],
+        change_pct: before[metric] ? Math.round(((current[metric] - before[metric]) / before[metric]) * 10000) / 100 : null
+      };
+    }
+    return { period: range, previous_period: previous, metrics: deltas };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = AnalyticsWarehouse;
+module.exports.PRODUCT_METRICS = PRODUCT_METRICS;
+module.exports.CREATOR_METRICS = CREATOR_METRICS;
+module.exports.addDays = addDays;
+module.exports.formatDate = formatDate;
@@ -0,0 +1,188 @@
+const { paginate, pageItems, splitDateRange } = require('./exporter');
+const { addDays, formatDate } = require('./warehouse');
+const { missingScopes } = require('./scopes');
+const logger = require('./logger');
+
+// What the warehouse pulls from TikTok
+// scope: the dataset is fetched per product (product_id) or per creator (creator_id)
+// windowDays: date range per request (product performance is fetched per day to keep daily rows)
+// oauthScope: the TikTok scope the account must have granted; datasets without it are skipped
+const DATASETS = {
+  seller_analytics: { path: '/v2/affiliate/seller/analytics/', windowDays: 30, paged: true, oauthScope: 'affiliate.seller' },
+  creator_orders: { path: '/v2/affiliate/creator/orders/', windowDays: 30, paged: true, oauthScope: 'affiliate.seller' },
+  product_performance: { path: '/v2/shop/product/performance/', windowDays: 1, paged: false, scope: 'product_id', oauthScope: 'shop.partner.analytics' },
+  creator_content: { path: '/v2/affiliate/creator/content/', windowDays: 30, paged: true, scope: 'creator_id', oauthScope: 'affiliate.seller' }
+};
+const PAGE_SIZE = 50;
+
+// Incremental sync of shop/affiliate analytics into the warehouse
+// Each dataset (and product/creator scope) remembers the last day it was synced through;
+// the next run starts again at that day, so late updates to it are picked up, and
+// fetches nothing older. New accounts and scopes are backfilled for backfillDays.
+class WarehouseSync {
+  constructor(warehouse, { tiktok, tokenStorage, backfillDays = 30, intervalMs = 6 * 60 * 60 * 1000 }) {
+    this.warehouse = warehouse;
+    this.tiktok = tiktok;
+    this.tokenStorage = tokenStorage;
+    this.backfillDays = backfillDays;
+    this.intervalMs = intervalMs;
+    this.inFlight = new Map();
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  // Sync one account; concurrent calls for the same account share one run
+  syncAccount(openId) {
+    if (!this.inFlight.has(openId)) {
+      const pending = this.performSync(openId).finally(() => {
+        this.inFlight.delete(openId);
+      });
+      this.inFlight.set(openId, pending);
+    }
+    return this.inFlight.get(openId);
+  }
+
+  async performSync(openId) {
+    const startedAt = Date.now();
+    const results = [];
+    const account = await this.tokenStorage.getAccount(openId);
+    const granted = (dataset) => {
+      const missing = missingScopes(account, [DATASETS[dataset].oauthScope]);
+      if (missing.length > 0) {
+        results.push({ dataset, skipped: `scope ${missing[0]} not granted` });
+        return false;
+      }
+      return true;
+    };
+
+    if (granted('seller_analytics')) {
+      results.push(await this.syncDataset(openId, 'seller_analytics'));
+    }
+    if (granted('creator_orders')) {
+      results.push(await this.syncDataset(openId, 'creator_orders'));
+    }
+
+    if (granted('product_performance')) {
+      let productIds = [];
+      try {
+        productIds = await this.listProductIds(openId);
+      } catch (err) {
+        results.push({ dataset: 'product_performance', error: err.message });
+      }
+      for (const productId of productIds) {
+        results.push(await this.syncDataset(openId, 'product_performance', productId));
+      }
+    }
+    if (granted('creator_content')) {
+      for (const creatorId of this.warehouse.knownCreators(openId)) {
+        results.push(await this.syncDataset(openId, 'creator_content', creatorId));
+      }
+    }
+
+    const summary = { open_id: openId, started_at: startedAt, finished_at: Date.now(), results };
+    const failed = results.filter((result) => result.error).length;
+    const skipped = results.filter((result) => result.skipped).length;
+    logger.info('Warehouse sync finished', { open_id: openId, synced: results.length - failed - skipped, failed, skipped });
+    return summary;
+  }
+
+  // Fetch a dataset from where it was last synced through today, window by window
+  async syncDataset(openId, dataset, scopeValue = '') {
+    const config = DATASETS[dataset];
+    const today = formatDate(Date.now());
+    const result = { dataset, scope: scopeValue || undefined, start_date: null, end_date: today, records: 0 };
+
+    // Reading the sync state can fail too (locked or corrupt warehouse); that fails this dataset only
+    try {
+      const syncedThrough = this.warehouse.syncedThrough(openId, dataset, scopeValue);
+      result.start_date = syncedThrough || addDays(today, -(this.backfillDays - 1));
+      for (const window of splitDateRange({ start_date: result.start_date, end_date: today }, config.windowDays)) {
+        const params = { ...window, ...(config.scope && { [config.scope]: scopeValue }) };
+        const records = await this.fetchWindow(openId, config, params);
+        this.warehouse.saveRecords(dataset, openId, records, { window, scope: scopeValue });
+        this.warehouse.markSynced(openId, dataset, scopeValue, window.end_date);
+        result.records += records.length;
+      }
+    } catch (err) {
+      logger.error('Warehouse dataset sync failed', { open_id: openId, dataset, ...(scopeValue && { scope: scopeValue }), error: err });
+      result.error = err.message;
+    }
+    return result;
+  }
+
+  async fetchWindow(openId, config, params) {
+    if (!config.paged) {
+      const body = await this.tiktok.post(config.path, params, { openId, idempotent: true });
+      const items = pageItems(body.data);
+      // Aggregate endpoints answer with a single object instead of a list
+      return items.length > 0 || !body.data || Array.isArray(body.data) ? items : [body.data];
+    }
+
+    const records = [];
+    const pages = paginate(({ page, cursor }) => this.tiktok.post(config.path, {
+      ...params,
+      page,
+      page_size: PAGE_SIZE,
+      ...(cursor !== undefined && { cursor })
+    }, { openId, idempotent: true }), { pageSize: PAGE_SIZE });
+    for await (const record of pages) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  async listProductIds(openId) {
+    const ids = [];
+    const pages = paginate(({ page, cursor }) => this.tiktok.post('/v2/shop/product/list/', {
+      page,
+      page_size: PAGE_SIZE,
+      ...(cursor !== undefined && { cursor })
+    }, { openId, idempotent: true }), { pageSize: PAGE_SIZE });
+    for await (const product of pages) {
+      const id = product.product_id || product.id;
+      if (id) {
+        ids.push(String(id));
+      }
+    }
+    return ids;
+  }
+
+  // Sync every connected account that doesn't need to log in again
+  async syncAll() {
+    const accounts = await this.tokenStorage.listAccounts();
+    const summaries = [];
+    for (const account of accounts) {
+      if (account.reauth_required) {
+        continue;
+      }
+      summaries.push(await this.syncAccount(account.open_id));
+    }
+    this.lastRun = Date.now();
+    return summaries;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.syncAll().catch((error) => {
+        logger.error('Warehouse sync failed', error);
+      });
+    };
+
+    this.timer = setInterval(tick, this.intervalMs);
+    this.timer.unref();
+    tick();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled(this.inFlight.values());
+  }
+}
+
+module.exports = WarehouseSync;
+module.exports.DATASETS = DATASETS;